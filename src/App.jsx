@@ -3,11 +3,77 @@ import React, { useState, useEffect, useRef, useCallback } from 'react';
 import './App.css';
 import Table from './components/Table';
 import * as Logic from './logic/pokerLogic';
+import { createHandRecord, formatPokerStarsSession } from './logic/handHistory';
+import { createEventStream } from './logic/eventStream';
+import * as GameHistory from './logic/gameHistory';
+import { assertInvariants } from './logic/invariants';
+import { DEFAULT_STRATEGY, decideAction, listStrategies } from './logic/strategies';
+import { calculateIcm } from './logic/icm';
+import { createPlayerStats, getPlayerStats, recordHand } from './logic/playerStats';
+import { createTableClient } from './logic/tableClient';
 
 const STARTING_CHIPS = 1000;
 const SMALL_BLIND = 10;
 const BIG_BLIND = 20;
 
+// Where node src/logic/tableServerCli.js listens by default
+const DEFAULT_TABLE_URL = 'ws://127.0.0.1:8090/';
+const TABLE_STATUS_TEXT = {
+    connecting: 'Connecting to the table...',
+    seated: 'Waiting for the server to deal',
+    reconnecting: 'Connection lost, reconnecting...',
+};
+
+// Prize pool for ICM: every player buys in for BUY_IN dollars, top places split it
+const BUY_IN = 10;
+const PAYOUT_SHARES = [0.5, 0.3, 0.2];
+
+// Heads-up is winner takes all; otherwise one place fewer than players, up to three
+const payoutsFor = (count) => {
+    const shares = PAYOUT_SHARES.slice(0, Math.max(1, count - 1));
+    const total = shares.reduce((acc, s) => acc + s, 0);
+    return shares.map(s => Math.round((BUY_IN * count * s) / total));
+};
+
+// Tournament blind schedule; the engine picks the current level at the start of each hand
+const TOURNAMENT_LEVELS = [
+    { sbAmount: 10, bbAmount: 20, anteAmount: 0 },
+    { sbAmount: 15, bbAmount: 30, anteAmount: 0 },
+    { sbAmount: 25, bbAmount: 50, anteAmount: 5 },
+    { sbAmount: 50, bbAmount: 100, anteAmount: 10 },
+    { sbAmount: 75, bbAmount: 150, anteAmount: 15 },
+    { sbAmount: 100, bbAmount: 200, anteAmount: 25 },
+    { sbAmount: 150, bbAmount: 300, anteAmount: 40 },
+    { sbAmount: 200, bbAmount: 400, anteAmount: 50 },
+];
+
+const BLIND_STRUCTURES = {
+    fixed: null,
+    hands: {
+        levels: TOURNAMENT_LEVELS,
+        advanceBy: Logic.LEVEL_ADVANCE.HANDS,
+        handsPerLevel: 10,
+    },
+    clock: {
+        levels: TOURNAMENT_LEVELS,
+        advanceBy: Logic.LEVEL_ADVANCE.CLOCK,
+        secondsPerLevel: 15 * 60,
+        secondsPerHand: 90, // simulated time each hand takes
+    },
+};
+
+const formatClock = (seconds) => `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+
+const formatLevel = (level) => `${level.sbAmount}/${level.bbAmount}${level.anteAmount ? ` (ante ${level.anteAmount})` : ''}`;
+
+const formatNextLevel = ({ nextLevel, handsUntilNext, secondsUntilNext }) => {
+    if (!nextLevel) return 'Final level';
+    const blinds = formatLevel(nextLevel);
+    if (handsUntilNext === null) return `${blinds} in ${formatClock(secondsUntilNext)}`;
+    if (handsUntilNext === 0) return `${blinds} next hand`;
+    return `${blinds} in ${handsUntilNext} hand${handsUntilNext === 1 ? '' : 's'}`;
+};
+
 // Helper function to get the current phase name for the status bubble
 const getPhaseName = (phase, communityCards) => {
     switch (phase) {
@@ -26,6 +92,26 @@ const getPhaseName = (phase, communityCards) => {
     }
 };
 
+const MOVE_LABELS = {
+    [Logic.ACTIONS.FOLD]: 'Fold',
+    [Logic.ACTIONS.CHECK]: 'Check',
+    [Logic.ACTIONS.CALL]: 'Call',
+    [Logic.ACTIONS.BET]: 'Bet',
+    [Logic.ACTIONS.RAISE]: 'Raise',
+};
+
+// Analysis sidebar entry for a logged engine action
+const moveFromEvent = (event, state) => ({
+    id: `${event.handNumber}-${event.seq}`,
+    playerId: event.playerIndex,
+    playerName: state.players[event.playerIndex]?.name || `Player ${event.playerIndex}`,
+    phase: event.street,
+    action: event.allIn ? 'All-In' : MOVE_LABELS[event.kind],
+    amount: event.amount,
+    pot: event.pot,
+    timestamp: new Date().toISOString()
+});
+
 const App = () => {
     // --- Game State ---
     const [players, setPlayers] = useState([]);
@@ -37,6 +123,7 @@ const App = () => {
     const [winners, setWinners] = useState([]);
     const [gameMessage, setGameMessage] = useState("Welcome to React Hold'em");
     const [game, setGame] = useState(null);
+    const [history, setHistory] = useState(null); // this hand's states, for undo/redo
 
     // UI State for User
     const [userRaiseAmount, setUserRaiseAmount] = useState(BIG_BLIND * 2);
@@ -50,9 +137,30 @@ const App = () => {
     const [selectedBotId, setSelectedBotId] = useState(1); // Default to Bot 1
     const [settingsMode, setSettingsMode] = useState('Custom'); // Beginner, Advanced, Mixture, Custom
     const [numberOfBots, setNumberOfBots] = useState(5); // Default to 5 bots (6 total players)
+    const [seed, setSeed] = useState(() => Logic.createSeed()); // Shuffle seed; the same seed deals the same game again from hand 1
+    const [buttonRule, setButtonRule] = useState(Logic.BUTTON_RULES.MOVING);
+    const [blindMode, setBlindMode] = useState('fixed'); // key into BLIND_STRUCTURES
+    const [variant, setVariant] = useState(Logic.VARIANTS.HOLDEM);
+    const [bettingStructure, setBettingStructure] = useState(Logic.BETTING_STRUCTURES.NO_LIMIT);
+    // Engine events drive the move list and the session's hand histories
+    const eventStreamRef = useRef(createEventStream());
+    const handStartedAtRef = useRef(null);
+    const [sessionHands, setSessionHands] = useState([]);
+    const [playerStats, setPlayerStats] = useState(() => createPlayerStats()); // VPIP, PFR, ... for the HUD and the bots
+
+    // Networked table (logic/tableServer.js): the server deals and runs the bots, this tab plays one seat
+    const tableClientRef = useRef(null);
+    const [tableUrl, setTableUrl] = useState(DEFAULT_TABLE_URL);
+    const [tableName, setTableName] = useState('Player');
+    const [tableStatus, setTableStatus] = useState(null); // null while playing locally, else a TABLE_STATUS_TEXT key
+    const [tableSeat, setTableSeat] = useState(null);
+    const [tableError, setTableError] = useState(null);
+    const heroIndex = tableSeat ?? 0; // the seat this tab plays
 
     // --- Initialization ---
     useEffect(() => {
+        // A networked table's state comes from the server; leaving it deals a fresh local game
+        if (tableStatus) return;
         const totalPlayers = numberOfBots + 1; // Human + bots
         const initialPlayers = Array.from({ length: totalPlayers }, (_, i) => ({
             id: i,
@@ -74,6 +182,7 @@ const App = () => {
             currentAction: '',
             showCards: false,
             // Bot configuration (only for bots)
+            strategy: i === 0 ? null : DEFAULT_STRATEGY,
             aggressiveLevel: i === 0 ? null : 50, // 0 = passive, 100 = aggressive
             tightLevel: i === 0 ? null : 50 // 0 = loose, 100 = tight
         }));
@@ -85,19 +194,58 @@ const App = () => {
         setWinners([]);
         setPhase('idle');
         setGameMessage("Welcome to React Hold'em");
+        eventStreamRef.current.reset();
+        handStartedAtRef.current = null;
+        setHistory(null);
+        setSessionHands([]);
+        setPlayerStats(createPlayerStats());
+        setGameMoves([]);
         setGame(Logic.createInitialGameState({
             players: initialPlayers,
             sbAmount: SMALL_BLIND,
             bbAmount: BIG_BLIND,
             dealerIndex: 0,
+            buttonRule,
+            blindStructure: BLIND_STRUCTURES[blindMode],
+            payouts: payoutsFor(totalPlayers),
+            variant,
+            bettingStructure,
+            seed,
         }));
         // Reset selectedBotId if it's out of range
         if (selectedBotId >= totalPlayers) {
             setSelectedBotId(1);
         }
-    }, [numberOfBots]);
+    }, [numberOfBots, seed, buttonRule, blindMode, variant, bettingStructure, tableStatus]);
 
-    const syncFromGame = useCallback((nextGame) => {
+    useEffect(() => {
+        const stream = eventStreamRef.current;
+        const unsubscribers = [
+            stream.subscribe((event) => {
+                setGameMoves([]);
+                // Time travel republishes the hand from the start; keep when it really began
+                if (handStartedAtRef.current?.handNumber !== event.handNumber) {
+                    handStartedAtRef.current = { handNumber: event.handNumber, startedAt: new Date().toISOString() };
+                }
+            }, { types: [Logic.EVENT_TYPES.HAND_STARTED] }),
+            stream.subscribe((event, state) => {
+                setGameMoves(prev => [...prev, moveFromEvent(event, state)]);
+            }, { types: [Logic.EVENT_TYPES.ACTION] }),
+            stream.subscribe((event, state) => {
+                const record = createHandRecord(state, { startedAt: handStartedAtRef.current?.startedAt });
+                // A hand finished again after an undo replaces its earlier record
+                setSessionHands(prev => [...prev.filter(h => h.handId !== record.handId), record]);
+                setPlayerStats(prev => recordHand(prev, state.log));
+            }, { types: [Logic.EVENT_TYPES.HAND_ENDED] }),
+        ];
+        return () => unsubscribers.forEach(unsubscribe => unsubscribe());
+    }, []);
+
+    const syncFromGame = useCallback((nextGame, { checkInvariants = true } = {}) => {
+        // Dev builds stop on engine bugs (lost chips, duplicate cards, ...) instead of playing on.
+        // A server's view hides the deck and other hands, so only local games are checked.
+        if (import.meta.env.DEV && checkInvariants) assertInvariants(nextGame);
+        eventStreamRef.current.publish(nextGame);
         setGame(nextGame);
         setPlayers(nextGame.players);
         setCommunityCards(nextGame.communityCards);
@@ -111,56 +259,52 @@ const App = () => {
         setGameMessage(nextGame.message || `Phase: ${getPhaseName(nextGame.phase, nextGame.communityCards)}`);
     }, []);
     
-    // Helper function to record a move
-    const recordMove = useCallback((playerId, action, amount = 0, currentPot = pot, currentPhase = phase) => {
-        const player = players[playerId];
-        const move = {
-            id: Date.now() + Math.random(), // Unique ID
-            playerId,
-            playerName: player?.name || `Player ${playerId}`,
-            phase: currentPhase,
-            action,
-            amount,
-            pot: currentPot,
-            timestamp: new Date().toISOString()
-        };
-        setGameMoves(prev => [...prev, move]);
-    }, [players, pot, phase]);
-
-    const applyAndRecord = useCallback((playerId, action, amount = 0) => {
-        if (!game) return;
-        const beforeCommitted = game.players?.[playerId]?.totalCommitted ?? 0;
-        const beforePhase = game.phase;
-        const beforePot = game.players.reduce((acc, p) => acc + (p.totalCommitted || 0), 0);
-
-        const nextGame = Logic.applyAction(game, playerId, action, amount);
-        const afterCommitted = nextGame.players?.[playerId]?.totalCommitted ?? beforeCommitted;
-        const delta = Math.max(0, afterCommitted - beforeCommitted);
-
-        let label = action;
-        if (action === Logic.ACTIONS.FOLD) label = 'Fold';
-        if (action === Logic.ACTIONS.CHECK) label = 'Check';
-        if (action === Logic.ACTIONS.CALL) label = delta > 0 ? (nextGame.players?.[playerId]?.status === Logic.PLAYER_STATUS.ALL_IN ? 'All-In' : 'Call') : 'Call';
-        if (action === Logic.ACTIONS.BET) label = nextGame.players?.[playerId]?.status === Logic.PLAYER_STATUS.ALL_IN ? 'All-In' : 'Bet';
-        if (action === Logic.ACTIONS.RAISE) label = nextGame.players?.[playerId]?.status === Logic.PLAYER_STATUS.ALL_IN ? 'All-In' : 'Raise';
-        if (action === Logic.ACTIONS.ALL_IN) label = 'All-In';
-
-        recordMove(playerId, label, delta, beforePot + delta, beforePhase);
-        syncFromGame(nextGame);
-    }, [game, recordMove, syncFromGame]);
+    const [actionError, setActionError] = useState(null); // last rejected human action
+
+    // Applies an action through the engine's validation. Returns the engine's error
+    // for a rejected action (null when it was applied).
+    const applyPlayerAction = useCallback((playerId, action, amount = 0) => {
+        if (!game) return null;
+        // At a networked table the server applies it; a refusal comes back through onRejected
+        if (tableClientRef.current) {
+            tableClientRef.current.act(action, amount);
+            return null;
+        }
+        const result = Logic.tryApplyAction(game, playerId, action, amount);
+        if (!result.ok) {
+            if (game.players[playerId]?.isHuman) setActionError(result.error);
+            return result.error;
+        }
+        setActionError(null);
+        setHistory(prev => GameHistory.recordSnapshot(prev, result.state));
+        syncFromGame(result.state);
+        return null;
+    }, [game, syncFromGame]);
+
+    // --- Time Travel ---
+    const timeTraveling = Boolean(history && GameHistory.isTimeTraveling(history));
+
+    const travelTo = (nextHistory) => {
+        if (!history || nextHistory === history) return;
+        // Republish the snapshot's whole log so the move list matches it
+        eventStreamRef.current.reset();
+        setHistory(nextHistory);
+        setActionError(null);
+        syncFromGame(GameHistory.getSnapshot(nextHistory));
+    };
 
     // --- Player Action Implementations ---
 
     const performFold = (id) => {
-        applyAndRecord(id, Logic.ACTIONS.FOLD);
+        applyPlayerAction(id, Logic.ACTIONS.FOLD);
     };
 
     const performCheck = (id) => {
-        applyAndRecord(id, Logic.ACTIONS.CHECK);
+        applyPlayerAction(id, Logic.ACTIONS.CHECK);
     };
 
     const performCall = (id) => {
-        applyAndRecord(id, Logic.ACTIONS.CALL);
+        applyPlayerAction(id, Logic.ACTIONS.CALL);
     };
 
     const performRaise = (id, totalBetAmount) => {
@@ -168,9 +312,9 @@ const App = () => {
         if (!game) return;
         const highest = game.betting.highestBetThisRound;
         if (highest === 0) {
-            applyAndRecord(id, Logic.ACTIONS.BET, totalBetAmount);
+            applyPlayerAction(id, Logic.ACTIONS.BET, totalBetAmount);
         } else {
-            applyAndRecord(id, Logic.ACTIONS.RAISE, totalBetAmount);
+            applyPlayerAction(id, Logic.ACTIONS.RAISE, totalBetAmount);
         }
     };
 
@@ -179,17 +323,73 @@ const App = () => {
 
     const startNewHand = () => {
         if (!game) return;
-        setGameMoves([]); // Reset moves for new hand
-        const rotated = { ...game, dealerIndex: (game.dealerIndex + 1) % game.players.length };
-        const started = Logic.startHand(rotated);
+        // Engine moves the button over busted seats (moving or dead-button rule)
+        const started = Logic.startHand(Logic.moveButton(game));
+        setActionError(null);
+        setTableError(null);
+        setHistory(GameHistory.createGameHistory(started));
         syncFromGame(started);
         // Reset User UI
-        setUserRaiseAmount(BIG_BLIND * 2);
+        setUserRaiseAmount(started.bbAmount * 2);
+    };
+
+    // --- Networked Table ---
+
+    const joinTable = () => {
+        tableClientRef.current?.close();
+        eventStreamRef.current.reset();
+        setHistory(null);
+        setSessionHands([]);
+        setPlayerStats(createPlayerStats());
+        setActionError(null);
+        setTableError(null);
+        setTableStatus('connecting');
+        tableClientRef.current = createTableClient(tableUrl, {
+            name: tableName,
+            onWelcome: (message) => {
+                setTableSeat(message.seat);
+                setTableStatus('seated');
+            },
+            onState: (message) => syncFromGame(message.state, { checkInvariants: false }),
+            onRejected: (error) => setActionError(error),
+            onError: (message) => {
+                setTableError(message.message);
+                if (message.code === 'table_full') leaveTable();
+            },
+            onStatus: (connected) => {
+                if (!connected) setTableStatus(prev => prev && 'reconnecting');
+            },
+        });
+    };
+
+    const leaveTable = () => {
+        tableClientRef.current?.close();
+        tableClientRef.current = null;
+        eventStreamRef.current.reset();
+        setTableSeat(null);
+        setTableStatus(null);
+    };
+
+    useEffect(() => () => tableClientRef.current?.close(), []);
+
+    // Session hand histories as a PokerStars-format text file
+    const downloadHistory = () => {
+        const text = formatPokerStarsSession(sessionHands);
+        const url = URL.createObjectURL(new Blob([text], { type: 'text/plain' }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `hand-history-${seed}.txt`;
+        link.click();
+        URL.revokeObjectURL(url);
     };
 
     // --- Bot Logic ---
     useEffect(() => {
         if (!game) return;
+        // The server runs the bots at a networked table
+        if (tableStatus) return;
+        // Bots wait while an earlier state is on screen; acting from it (or resuming) goes live again
+        if (timeTraveling) return;
         if (game.handOver || game.phase === 'idle' || game.phase === Logic.PHASES.SHOWDOWN) return;
         const idx = game.betting.currentActorIndex;
         if (idx === -1 || idx >= game.players.length) return;
@@ -198,49 +398,37 @@ const App = () => {
         // Skip if player cannot act (all-in)
         if (currentPlayer.status !== Logic.PLAYER_STATUS.ACTIVE || currentPlayer.stack === 0) return;
 
-        const legal = Logic.getLegalActions(game, idx);
-        const canCheck = legal.canCheck;
-        const canCall = legal.canCall;
-        
+        const canCheck = Logic.getLegalActions(game, idx).canCheck;
+
         const delay = Math.floor(Math.random() * 1000) + 1000;
         const actionTimer = setTimeout(() => {
-            // Simple Random AI (Weighted) - This will be replaced by your Agentic logic
-            const rand = Math.random();
-            const highest = game.betting.highestBetThisRound;
-            const minRaiseAmt = game.betting.minRaiseAmount;
-            const totalBetSize = highest + minRaiseAmt; // Example raise size
-
-            if (canCheck) {
-                if (rand > 0.8 && currentPlayer.chips >= totalBetSize) {
-                    // If no bet exists yet this street, this is a BET, not a raise.
-                    applyAndRecord(idx, highest === 0 ? Logic.ACTIONS.BET : Logic.ACTIONS.RAISE, totalBetSize);
-                } else {
-                    applyAndRecord(idx, Logic.ACTIONS.CHECK);
-                }
-            } else { // Facing a bet
-                if (rand > 0.8 && currentPlayer.chips >= totalBetSize) {
-                    applyAndRecord(idx, Logic.ACTIONS.RAISE, totalBetSize);
-                } else if (rand > 0.3 && canCall) {
-                    applyAndRecord(idx, Logic.ACTIONS.CALL);
-                } else {
-                    applyAndRecord(idx, Logic.ACTIONS.FOLD);
-                }
+            // The seat's strategy (see logic/strategies.js) decides from its own view of the table
+            const { action, amount } = decideAction(game, idx, { stats: playerStats });
+            const error = applyPlayerAction(idx, action, amount);
+            if (error) {
+                // e.g. a fixed-limit raise past the cap: log it and take the free option
+                console.warn(`${currentPlayer.name}: ${action} rejected (${error.code}) - ${error.message}. Legal: ${error.alternatives}`);
+                applyPlayerAction(idx, canCheck ? Logic.ACTIONS.CHECK : Logic.ACTIONS.FOLD);
             }
         }, delay);
 
         return () => clearTimeout(actionTimer);
-    }, [game, syncFromGame, applyAndRecord]);
+    }, [game, tableStatus, timeTraveling, playerStats, syncFromGame, applyPlayerAction]);
 
     // --- Interaction (Human Player) ---
-    const human = players[0];
+    const human = players[heroIndex];
     // Human can't act if they're all-in (no chips)
-    const isHumanTurn = game && game.betting.currentActorIndex === 0 && game.phase !== 'idle' && game.phase !== Logic.PHASES.SHOWDOWN && human && human.stack > 0 && human.status === Logic.PLAYER_STATUS.ACTIVE;
-    const legalHuman = game ? Logic.getLegalActions(game, 0) : null;
+    const isHumanTurn = game && game.betting.currentActorIndex === heroIndex && game.phase !== 'idle' && game.phase !== Logic.PHASES.SHOWDOWN && human && human.stack > 0 && human.status === Logic.PLAYER_STATUS.ACTIVE;
+    const legalHuman = game ? Logic.getLegalActions(game, heroIndex) : null;
     const callAmt = legalHuman ? legalHuman.callAmount : 0;
     
-    // Slider Limits
-    const minTotalRaise = legalHuman ? legalHuman.minTotalBet : BIG_BLIND * 2;
+    // Slider Limits (min/max/step come from the betting structure: NL, PL or fixed-limit)
+    const bigBlind = game ? game.bbAmount : BIG_BLIND;
+    const minTotalRaise = legalHuman ? legalHuman.minTotalBet : bigBlind * 2;
     const maxTotalRaise = legalHuman ? legalHuman.maxTotalBet : 0;
+    const raiseStep = legalHuman?.step || bigBlind;
+    const canRaiseOrBet = Boolean(legalHuman && (legalHuman.canRaise || legalHuman.canBet));
+    const raiseTarget = Math.min(Math.max(userRaiseAmount, minTotalRaise), Math.max(minTotalRaise, maxTotalRaise));
 
     useEffect(() => {
         // Keep the user raise amount within valid bounds when state changes
@@ -250,25 +438,32 @@ const App = () => {
     }, [minTotalRaise]);
 
 
+    const levelInfo = game ? Logic.getBlindLevelInfo(game) : null;
+
+    // Chips in the pot still count as the player's until it is awarded
+    const chipCounts = game ? game.players.map(p => p.stack + (game.handOver ? 0 : p.totalCommitted)) : [];
+    const icmEquities = showAnalysis && game?.payouts ? calculateIcm(chipCounts, game.payouts) : [];
+
     // Get current action player name for status bubble
     const currentActionPlayer = activePlayerIndex >= 0 && activePlayerIndex < players.length 
         ? players[activePlayerIndex].name 
         : '';
 
     // Handle bot configuration updates
-    const updateBotConfig = (botId, aggressiveLevel, tightLevel) => {
-        const newPlayers = players.map(p => 
-            p.id === botId 
-                ? { ...p, aggressiveLevel, tightLevel }
-                : p
-        );
-        setPlayers(newPlayers);
+    // Bot settings are kept on the engine's players too, so they carry into the next hands
+    const updateBotSettings = (update) => {
+        setPlayers(prev => prev.map(update));
+        setGame(prev => prev && { ...prev, players: prev.players.map(update) });
+    };
+
+    const updateBotConfig = (botId, changes) => {
+        updateBotSettings(p => p.id === botId ? { ...p, ...changes } : p);
     };
     
     // Apply preset configurations
     const applyPresetConfig = (mode) => {
         setSettingsMode(mode);
-        const newPlayers = players.map(p => {
+        updateBotSettings(p => {
             if (p.isHuman) return p;
             
             let aggressiveLevel, tightLevel;
@@ -293,7 +488,6 @@ const App = () => {
             }
             return { ...p, aggressiveLevel, tightLevel };
         });
-        setPlayers(newPlayers);
     };
 
     return (
@@ -319,6 +513,26 @@ const App = () => {
                         <div className="status-bubble-value">{currentActionPlayer}</div>
                     </>
                 )}
+                {levelInfo && (
+                    <>
+                        <div className="status-bubble-label">Level {levelInfo.levelIndex + 1}</div>
+                        <div className="status-bubble-value">{formatLevel(levelInfo.level)}</div>
+                        <div className="status-bubble-label">Next Level</div>
+                        <div className="status-bubble-value">{formatNextLevel(levelInfo)}</div>
+                    </>
+                )}
+                {tableStatus && (
+                    <>
+                        <div className="status-bubble-label">Table</div>
+                        <div className="status-bubble-value">{tableStatus === 'reconnecting' ? 'Reconnecting' : `Seat ${heroIndex + 1}`}</div>
+                    </>
+                )}
+                {game && game.handNumber > 0 && !tableStatus && (
+                    <>
+                        <div className="status-bubble-label">Hand #{game.handNumber} · Game Seed</div>
+                        <div className="status-bubble-value">{game.seed}</div>
+                    </>
+                )}
             </div>
             
             <Table 
@@ -328,44 +542,96 @@ const App = () => {
                 activePlayerIndex={activePlayerIndex}
                 dealerIndex={dealerIndex}
                 winners={winners}
+                heroIndex={heroIndex}
+                stats={players.map((_, i) => getPlayerStats(playerStats, i))}
                 gameStatus={gameMessage || `Phase: ${getPhaseName(phase)}`}
             />
 
+            {actionError && (
+                <div className="action-error" role="alert">
+                    {actionError.message}. You can: {actionError.alternatives}
+                </div>
+            )}
+
+            {tableError && (
+                <div className="action-error" role="alert">
+                    {tableError}
+                </div>
+            )}
+
+            {history && history.snapshots.length > 1 && (
+                <div className="timeline-bar">
+                    <button className="secondary" disabled={!GameHistory.canUndo(history)} onClick={() => travelTo(GameHistory.undo(history))}>
+                        Undo
+                    </button>
+                    <input
+                        type="range"
+                        min={0}
+                        max={history.snapshots.length - 1}
+                        value={history.index}
+                        onChange={(e) => travelTo(GameHistory.jumpTo(history, parseInt(e.target.value)))}
+                        aria-label="Hand timeline"
+                    />
+                    <span className="timeline-label">
+                        Action {GameHistory.getActionNumber(history)} of {GameHistory.getActionNumber(GameHistory.jumpToLatest(history))}
+                    </span>
+                    <button className="secondary" disabled={!GameHistory.canRedo(history)} onClick={() => travelTo(GameHistory.redo(history))}>
+                        Redo
+                    </button>
+                    {timeTraveling && (
+                        <button className="primary" onClick={() => travelTo(GameHistory.jumpToLatest(history))}>
+                            Resume
+                        </button>
+                    )}
+                </div>
+            )}
+
             <div className="controls-bar">
                 {phase === 'idle' || phase === Logic.PHASES.SHOWDOWN ? (
                     <>
-                        <button 
-                            className="primary" 
-                            onClick={() => {
-                                if (phase === 'idle') {
-                                    // Show settings first when starting a new game
-                                    setShowSettings(true);
-                                } else {
-                                    // Just start next hand if already in a game
-                                    startNewHand();
-                                }
-                            }}
-                        >
-                            {phase === 'idle' ? 'Start Game' : 'Next Hand'}
-                        </button>
+                        {tableStatus ? (
+                            <span className="table-status">
+                                {phase === Logic.PHASES.SHOWDOWN && tableStatus === 'seated' ? 'Next hand soon' : TABLE_STATUS_TEXT[tableStatus]}
+                            </span>
+                        ) : (
+                            <button 
+                                className="primary" 
+                                onClick={() => {
+                                    if (phase === 'idle') {
+                                        // Show settings first when starting a new game
+                                        setShowSettings(true);
+                                    } else {
+                                        // Just start next hand if already in a game
+                                        startNewHand();
+                                    }
+                                }}
+                            >
+                                {phase === 'idle' ? 'Start Game' : 'Next Hand'}
+                            </button>
+                        )}
                         {phase === Logic.PHASES.SHOWDOWN && gameMoves.length > 0 && (
                             <button className="secondary" onClick={() => setShowAnalysis(!showAnalysis)}>
                                 Get Analysis
                             </button>
                         )}
+                        {sessionHands.length > 0 && (
+                            <button className="secondary" onClick={downloadHistory}>
+                                Download History
+                            </button>
+                        )}
                     </>
                 ) : (
                     <>
                         <button 
                             disabled={!isHumanTurn} 
-                            onClick={() => performFold(0)}
+                            onClick={() => performFold(heroIndex)}
                         >
                             Fold
                         </button>
                         
                         <button 
                             disabled={!isHumanTurn} 
-                            onClick={() => callAmt === 0 ? performCheck(0) : performCall(0)}
+                            onClick={() => callAmt === 0 ? performCheck(heroIndex) : performCall(heroIndex)}
                         >
                             {callAmt === 0 ? 'Check' : `Call ${callAmt}`}
                         </button>
@@ -376,16 +642,16 @@ const App = () => {
                                 type="range" 
                                 min={minTotalRaise} 
                                 max={Math.max(minTotalRaise, maxTotalRaise)} 
-                                step={BIG_BLIND}
-                                value={userRaiseAmount}
+                                step={raiseStep}
+                                value={raiseTarget}
                                 onChange={(e) => setUserRaiseAmount(parseInt(e.target.value))}
                                 disabled={!isHumanTurn || maxTotalRaise <= minTotalRaise}
                             />
                             <button 
-                                disabled={!isHumanTurn || maxTotalRaise <= minTotalRaise || userRaiseAmount < minTotalRaise}
-                                onClick={() => performRaise(0, userRaiseAmount)}
+                                disabled={!isHumanTurn || !canRaiseOrBet || maxTotalRaise < minTotalRaise}
+                                onClick={() => performRaise(heroIndex, raiseTarget)}
                             >
-                                {(game && game.betting.highestBetThisRound === 0) ? `Bet ${userRaiseAmount}` : `Raise ${userRaiseAmount}`}
+                                {(game && game.betting.highestBetThisRound === 0) ? `Bet ${raiseTarget}` : `Raise ${raiseTarget}`}
                             </button>
                         </div>
                     </>
@@ -400,6 +666,21 @@ const App = () => {
                         <button className="close-analysis" onClick={() => setShowAnalysis(false)}>×</button>
                     </div>
                     <div className="analysis-content">
+                        {icmEquities.length > 0 && (
+                            <div className="icm-table">
+                                <div className="icm-title">
+                                    <span>Stacks</span>
+                                    <span>ICM (prizes ${game.payouts.join(' / ')})</span>
+                                </div>
+                                {game.players.map((p, i) => (
+                                    <div key={p.id} className="icm-row">
+                                        <span className="icm-name">{p.name}</span>
+                                        <span className="icm-stack">{chipCounts[i]}</span>
+                                        <span className="icm-equity">${icmEquities[i].toFixed(2)}</span>
+                                    </div>
+                                ))}
+                            </div>
+                        )}
                         {gameMoves.length === 0 ? (
                             <div className="no-moves">No moves recorded yet.</div>
                         ) : (
@@ -452,6 +733,72 @@ const App = () => {
                                     className="bot-count-slider"
                                 />
                             </div>
+
+                            {phase === 'idle' && (
+                                <div className="settings-field">
+                                    <label>Game:</label>
+                                    <select
+                                        value={variant}
+                                        onChange={(e) => {
+                                            setVariant(e.target.value);
+                                            // Omaha is normally played pot-limit
+                                            setBettingStructure(e.target.value === Logic.VARIANTS.OMAHA
+                                                ? Logic.BETTING_STRUCTURES.POT_LIMIT
+                                                : Logic.BETTING_STRUCTURES.NO_LIMIT);
+                                        }}
+                                    >
+                                        <option value={Logic.VARIANTS.HOLDEM}>Hold'em</option>
+                                        <option value={Logic.VARIANTS.OMAHA}>Omaha</option>
+                                    </select>
+                                </div>
+                            )}
+
+                            {phase === 'idle' && (
+                                <div className="settings-field">
+                                    <label>Betting:</label>
+                                    <select value={bettingStructure} onChange={(e) => setBettingStructure(e.target.value)}>
+                                        <option value={Logic.BETTING_STRUCTURES.NO_LIMIT}>No-limit</option>
+                                        <option value={Logic.BETTING_STRUCTURES.POT_LIMIT}>Pot-limit</option>
+                                        <option value={Logic.BETTING_STRUCTURES.FIXED_LIMIT}>Fixed-limit</option>
+                                    </select>
+                                </div>
+                            )}
+
+                            {phase === 'idle' && (
+                                <div className="settings-field">
+                                    <label>Shuffle seed (a game's seed deals its hands again from hand 1, given the same actions):</label>
+                                    <input
+                                        type="number"
+                                        min="0"
+                                        value={seed}
+                                        onChange={(e) => {
+                                            const parsed = parseInt(e.target.value, 10);
+                                            setSeed(Number.isNaN(parsed) ? 0 : parsed >>> 0);
+                                        }}
+                                    />
+                                </div>
+                            )}
+
+                            {phase === 'idle' && (
+                                <div className="settings-field">
+                                    <label>Button rule when players bust:</label>
+                                    <select value={buttonRule} onChange={(e) => setButtonRule(e.target.value)}>
+                                        <option value={Logic.BUTTON_RULES.MOVING}>Moving button</option>
+                                        <option value={Logic.BUTTON_RULES.DEAD}>Dead button</option>
+                                    </select>
+                                </div>
+                            )}
+
+                            {phase === 'idle' && (
+                                <div className="settings-field">
+                                    <label>Blinds:</label>
+                                    <select value={blindMode} onChange={(e) => setBlindMode(e.target.value)}>
+                                        <option value="fixed">Fixed {SMALL_BLIND}/{BIG_BLIND}</option>
+                                        <option value="hands">Tournament: level up every {BLIND_STRUCTURES.hands.handsPerLevel} hands</option>
+                                        <option value="clock">Tournament: {BLIND_STRUCTURES.clock.secondsPerLevel / 60}-minute levels (simulated clock)</option>
+                                    </select>
+                                </div>
+                            )}
                             
                             <div className="preset-selector">
                                 <label>Difficulty Level:</label>
@@ -499,6 +846,20 @@ const App = () => {
                                     
                                     {players[selectedBotId] && (
                                         <>
+                                            <div className="settings-field">
+                                                <label>Strategy:</label>
+                                                <select
+                                                    value={players[selectedBotId].strategy || DEFAULT_STRATEGY}
+                                                    onChange={(e) => updateBotConfig(selectedBotId, { strategy: e.target.value })}
+                                                >
+                                                    {listStrategies().map(strategy => (
+                                                        <option key={strategy.name} value={strategy.name} title={strategy.description}>
+                                                            {strategy.label}
+                                                        </option>
+                                                    ))}
+                                                </select>
+                                            </div>
+
                                             <div className="slider-group">
                                                 <div className="slider-label">
                                                     <span>Passive</span>
@@ -510,7 +871,7 @@ const App = () => {
                                                     min="0"
                                                     max="100"
                                                     value={players[selectedBotId].aggressiveLevel || 50}
-                                                    onChange={(e) => updateBotConfig(selectedBotId, parseInt(e.target.value), players[selectedBotId].tightLevel || 50)}
+                                                    onChange={(e) => updateBotConfig(selectedBotId, { aggressiveLevel: parseInt(e.target.value) })}
                                                     className="config-slider"
                                                 />
                                             </div>
@@ -526,7 +887,7 @@ const App = () => {
                                                     min="0"
                                                     max="100"
                                                     value={players[selectedBotId].tightLevel || 50}
-                                                    onChange={(e) => updateBotConfig(selectedBotId, players[selectedBotId].aggressiveLevel || 50, parseInt(e.target.value))}
+                                                    onChange={(e) => updateBotConfig(selectedBotId, { tightLevel: parseInt(e.target.value) })}
                                                     className="config-slider"
                                                 />
                                             </div>
@@ -535,7 +896,34 @@ const App = () => {
                                 </>
                             )}
                             
-                            {phase === 'idle' && (
+                            {phase === 'idle' && !tableStatus && (
+                                <div className="settings-field">
+                                    <label>Or play at a table server (node src/logic/tableServerCli.js):</label>
+                                    <input type="text" value={tableName} onChange={(e) => setTableName(e.target.value)} aria-label="Your name" />
+                                    <input type="text" value={tableUrl} onChange={(e) => setTableUrl(e.target.value)} aria-label="Table address" />
+                                    <button
+                                        className="secondary"
+                                        onClick={() => {
+                                            setShowSettings(false);
+                                            joinTable();
+                                        }}
+                                        style={{ width: '100%', marginTop: '10px' }}
+                                    >
+                                        Join Table
+                                    </button>
+                                </div>
+                            )}
+
+                            {tableStatus && (
+                                <div className="settings-field">
+                                    <label>Playing at {tableUrl}{tableSeat !== null ? `, seat ${tableSeat + 1}` : ''}</label>
+                                    <button className="secondary" onClick={leaveTable} style={{ width: '100%' }}>
+                                        Leave Table
+                                    </button>
+                                </div>
+                            )}
+
+                            {phase === 'idle' && !tableStatus && (
                                 <div className="settings-footer">
                                     <button 
                                         className="primary" 
@@ -14,10 +14,12 @@ const Card = ({ rank, suit, faceUp }) => {
           <img src={backSrc} alt="Card Back" className="card-img" />
         </div>
 
-        {/* Front Face (Visible when flipped) */}
-        <div className="card-face card-face-front">
-          <img src={frontSrc} alt={`${rank}${suit}`} className="card-img" />
-        </div>
+        {/* Front Face (Visible when flipped); a card we may not see has none */}
+        {rank && (
+          <div className="card-face card-face-front">
+            <img src={frontSrc} alt={`${rank}${suit}`} className="card-img" />
+          </div>
+        )}
       </div>
     </div>
   );
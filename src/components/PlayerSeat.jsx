@@ -2,17 +2,36 @@
 import React from 'react';
 import Card from './Card';
 
+// '-' until the player has had a chance to show the stat
+const stat = (value) => (value === null ? '-' : Math.round(value));
+
+// Session HUD: VPIP/PFR/3-bet on top, aggression, fold to c-bet and showdowns below
+const StatsHud = ({ stats }) => (
+  <div
+    className="player-hud"
+    title={`${stats.hands} hands. VPIP ${stat(stats.vpip)}%, PFR ${stat(stats.pfr)}%, 3-bet ${stat(stats.threeBet)}%, `
+      + `aggression factor ${stats.af ?? '-'}, fold to c-bet ${stat(stats.foldToCbet)}%, went to showdown ${stat(stats.wtsd)}%`}
+  >
+    <div>{stat(stats.vpip)}/{stat(stats.pfr)}/{stat(stats.threeBet)} <span className="hud-hands">({stats.hands})</span></div>
+    <div>AF {stats.af ?? '-'} · FC {stat(stats.foldToCbet)} · SD {stat(stats.wtsd)}</div>
+  </div>
+);
+
 const PlayerSeat = ({ 
   player, 
   seatIndex, 
   isActive, 
   isDealer, 
-  isWinner 
+  isWinner,
+  isHero,
+  stats
 }) => {
   // Determine if cards should be shown
-  // Human (seat 0) always sees their cards (unless folded logic hides them, but usually we fade)
+  // The human always sees their cards (unless folded logic hides them, but usually we fade)
   // Bots: show only at showdown or if needed logic applies
-  const showCards = !player.folded && (player.id === 0 || player.showCards);
+  const showCards = !player.folded && (isHero || player.showCards);
+  // A table server sends no cards for hidden hands, only how many there are
+  const hiddenCards = player.hand.length === 0 ? player.holeCardCount || 0 : 0;
 
   return (
     <div className={`player-seat seat-${seatIndex}`}>
@@ -22,9 +41,13 @@ const PlayerSeat = ({
         </div>
         <div className="player-chips">${player.chips}</div>
         <div className="player-action">{player.currentAction}</div>
+        {stats && stats.hands > 0 && <StatsHud stats={stats} />}
       </div>
 
-      <div className="hand-container" style={{ opacity: player.folded ? 0.5 : 1 }}>
+      <div
+        className={`hand-container ${Math.max(player.hand.length, hiddenCards) > 2 ? 'four-card-hand' : ''}`}
+        style={{ opacity: player.folded ? 0.5 : 1 }}
+      >
         {player.hand.map((card, idx) => (
           <Card 
             key={`${card.rank}${card.suit}`}
@@ -33,8 +56,11 @@ const PlayerSeat = ({
             faceUp={showCards}
           />
         ))}
+        {Array.from({ length: hiddenCards }, (_, idx) => (
+          <Card key={`hidden-${idx}`} faceUp={false} />
+        ))}
         {/* Render empty card slots if no cards yet (optional visual polish) */}
-        {player.hand.length === 0 && <div style={{width:60, height:84}}></div>}
+        {player.hand.length === 0 && hiddenCards === 0 && <div style={{width:60, height:84}}></div>}
       </div>
     </div>
   );
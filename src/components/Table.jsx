@@ -10,6 +10,8 @@ const Table = ({
   activePlayerIndex, 
   dealerIndex, 
   winners,
+  heroIndex = 0,
+  stats = [],
   gameStatus
 }) => {
   return (
@@ -17,11 +19,14 @@ const Table = ({
       {players.map((player, index) => (
         <PlayerSeat
           key={player.id}
-          seatIndex={index}
+          // Turn the table so this tab's player sits at the bottom
+          seatIndex={(index - heroIndex + players.length) % players.length}
           player={player}
+          isHero={index === heroIndex}
           isActive={index === activePlayerIndex}
           isDealer={index === dealerIndex}
           isWinner={winners.includes(player.id)}
+          stats={stats[index]}
         />
       ))}
 
@@ -0,0 +1,149 @@
+// src/logic/adaptiveBot.js
+// A bot steered by the settings sliders:
+// - tightLevel (0 loose .. 100 tight) sets how many starting hands it plays
+// - aggressiveLevel (0 passive .. 100 aggressive) sets how often it bets or raises
+//   rather than checks or calls, and how big its bets are
+// Postflop hand strength comes from evaluateHand on its cards and the board.
+
+import { ACTIONS, PHASES, RANKS, VARIANTS, createDeck, evaluateHand } from './pokerLogic.js';
+
+const rankValue = (card) => RANKS.indexOf(card.rank) + 2;
+
+// --- Preflop ---
+
+// Chen formula: high card points, doubled for pairs, plus suited/connected bonuses
+const chenScore = (a, b) => {
+  const points = (v) => ({ 14: 10, 13: 8, 12: 7, 11: 6 }[v] ?? v / 2);
+  const hi = Math.max(rankValue(a), rankValue(b));
+  const lo = Math.min(rankValue(a), rankValue(b));
+  if (hi === lo) return Math.max(5, points(hi) * 2);
+  let score = points(hi);
+  if (a.suit === b.suit) score += 2;
+  const gap = hi - lo - 1;
+  score -= [0, 1, 2, 4][gap] ?? 5;
+  if (gap <= 1 && hi < 12) score += 1;
+  return Math.ceil(score);
+};
+
+// Chen score -> share of the 1326 starting hands that score no better (AA = 1)
+const CHEN_PERCENTILE = (() => {
+  const deck = createDeck();
+  const scores = [];
+  for (let i = 0; i < deck.length; i++) {
+    for (let j = i + 1; j < deck.length; j++) scores.push(chenScore(deck[i], deck[j]));
+  }
+  const percentile = new Map();
+  [...new Set(scores)].forEach(s => percentile.set(s, scores.filter(x => x <= s).length / scores.length));
+  return percentile;
+})();
+
+// Omaha hands are rated by their best two-card combination (a rough guide only)
+export const preflopStrength = (holeCards) => {
+  let best = -Infinity;
+  for (let i = 0; i < holeCards.length; i++) {
+    for (let j = i + 1; j < holeCards.length; j++) best = Math.max(best, chenScore(holeCards[i], holeCards[j]));
+  }
+  return CHEN_PERCENTILE.get(best) ?? 0;
+};
+
+// --- Postflop ---
+
+// Rough strength of each made-hand tier (0 = high card .. 8 = straight flush)
+const TIER_STRENGTH = [0.15, 0.45, 0.7, 0.8, 0.85, 0.88, 0.93, 0.97, 1];
+
+// Pairs/trips showing on the board itself (flushes and straights are ignored)
+const boardTier = (board) => {
+  const counts = Object.values(board.reduce((acc, c) => ({ ...acc, [c.rank]: (acc[c.rank] || 0) + 1 }), {}));
+  if (counts.some(n => n >= 3)) return 3;
+  const pairs = counts.filter(n => n === 2).length;
+  if (pairs >= 2) return 2;
+  return pairs;
+};
+
+// Four to a flush that uses our hole cards (two of them in Omaha)
+const hasFlushDraw = (holeCards, board, variant) => {
+  const needed = variant === VARIANTS.OMAHA ? 2 : 1;
+  return [...new Set(holeCards.map(c => c.suit))].some(suit => (
+    holeCards.filter(c => c.suit === suit).length >= needed
+    && holeCards.filter(c => c.suit === suit).length + board.filter(c => c.suit === suit).length === 4
+  ));
+};
+
+// 0..1 estimate of how good the made hand is
+export const postflopStrength = (holeCards, board, variant = VARIANTS.HOLDEM) => {
+  const hand = evaluateHand(holeCards, board, variant);
+  // Just playing the board's pair (or trips) counts as nothing
+  if (hand.tier > 0 && hand.tier <= boardTier(board)) return TIER_STRENGTH[0];
+  let strength = TIER_STRENGTH[hand.tier];
+  if (hand.tier === 1) {
+    // Top pair or an overpair plays better than a pair under the board's top card
+    const topBoard = Math.max(...board.map(rankValue));
+    strength += hand.kickers[0] >= topBoard ? 0.15 : -0.1;
+  }
+  if (hand.tier === 0 && hasFlushDraw(holeCards, board, variant)) strength += 0.2;
+  return strength;
+};
+
+// --- Decisions ---
+
+const clampTotal = (legal, total) => Math.min(legal.maxTotalBet, Math.max(legal.minTotalBet, Math.round(total)));
+
+// Bet or raise to `total` for the street, or just check/call when raising isn't allowed
+export const betOrRaiseTo = (legal, total) => {
+  if (legal.canBet) return { action: ACTIONS.BET, amount: clampTotal(legal, total) };
+  if (legal.canRaise) return { action: ACTIONS.RAISE, amount: clampTotal(legal, total) };
+  return { action: legal.canCheck ? ACTIONS.CHECK : ACTIONS.CALL, amount: 0 };
+};
+
+const passive = (legal, keepPlaying) => {
+  if (legal.canCheck) return { action: ACTIONS.CHECK, amount: 0 };
+  return { action: keepPlaying ? ACTIONS.CALL : ACTIONS.FOLD, amount: 0 };
+};
+
+const decidePreflop = (view, random, tight, aggression) => {
+  const { legal, bbAmount, highestBet } = view;
+  const strength = preflopStrength(view.holeCards);
+  // Loosest plays 70% of hands, tightest 10%; half as many against a raise
+  const raised = highestBet > bbAmount;
+  const playShare = (0.7 - 0.6 * tight) * (raised ? 0.5 : 1);
+  const playable = strength >= 1 - playShare;
+  // The best part of the playable range raises, the more so the more aggressive
+  const raiseShare = playShare * (0.15 + 0.6 * aggression);
+  const bluff = random() < 0.05 * aggression;
+  if (strength >= 1 - raiseShare || (playable && random() < 0.25 * aggression) || bluff) {
+    const total = raised ? highestBet * (2.5 + 1.5 * aggression) : bbAmount * (2 + 2 * aggression);
+    return betOrRaiseTo(legal, total);
+  }
+  return passive(legal, playable);
+};
+
+const decidePostflop = (view, random, aggression) => {
+  const { legal, pot, highestBet } = view;
+  const strength = postflopStrength(view.holeCards, view.board, view.variant);
+  const betSize = pot * (0.33 + 0.67 * aggression);
+  if (legal.canCheck) {
+    const valueBet = strength >= 0.6 && random() < 0.4 + 0.6 * aggression;
+    const bluff = strength < 0.3 && random() < 0.25 * aggression;
+    return valueBet || bluff ? betOrRaiseTo(legal, betSize) : passive(legal, true);
+  }
+  // Facing a bet: raise strong hands, call while the hand beats the price, else fold
+  const potOdds = legal.callAmount / (pot + legal.callAmount);
+  const raiseTo = highestBet * (2.5 + aggression);
+  if (strength >= 0.8 && random() < 0.3 + 0.6 * aggression) return betOrRaiseTo(legal, raiseTo);
+  if (strength >= 0.6 && random() < 0.3 * aggression) return betOrRaiseTo(legal, raiseTo);
+  if (strength < 0.3 && random() < 0.1 * aggression) return betOrRaiseTo(legal, raiseTo);
+  return passive(legal, strength >= 0.45 || strength >= potOdds + 0.2);
+};
+
+export const adaptiveStrategy = {
+  name: 'adaptive',
+  label: 'Adaptive',
+  description: 'Plays by its sliders: tightness picks starting hands, aggression sets how often and how big it bets',
+  decide: (view, { random }) => {
+    const tight = view.self.tightLevel / 100;
+    const aggression = view.self.aggressiveLevel / 100;
+    return view.street === PHASES.PREFLOP
+      ? decidePreflop(view, random, tight, aggression)
+      : decidePostflop(view, random, aggression);
+  },
+};
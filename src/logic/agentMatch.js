@@ -0,0 +1,84 @@
+// src/logic/agentMatch.js
+// Plays hands with outside agents (agentProtocol.js) in some seats and built-in
+// bot strategies in the rest. Unlike runSimulation this waits on the agents, so
+// it is async, and busted seats stay out (a freezeout, no rebuys).
+
+import { ACTIONS, EVENT_TYPES, createInitialGameState, createPlayers, createRng, moveButton, startHand, tryApplyAction } from './pokerLogic.js';
+import { decideAction, getStrategy } from './strategies.js';
+import { askAgent } from './agentProtocol.js';
+import { createPlayerStats, recordHand } from './playerStats.js';
+
+/**
+ * playAgentMatch(options) -> Promise<{ config, handsPlayed, seats }>
+ * options: {
+ *   seats: one entry per seat, a strategy name or an agent transport (agentTransport.js),
+ *   stack = 1000, sbAmount = 10, bbAmount = 20, anteAmount = 0, variant, bettingStructure,
+ *   hands = 100 (stops early once one player has all the chips), seed = 1,
+ *   timeoutMs = 5000 (per agent decision), onFallback(seat, error) (optional)
+ * }
+ * Per seat: { seat, name, controller, finalStack, net, handsWon, decisions, fallbacks }
+ */
+export const playAgentMatch = async ({
+  seats,
+  stack = 1000,
+  sbAmount = 10,
+  bbAmount = 20,
+  anteAmount = 0,
+  variant,
+  bettingStructure,
+  hands = 100,
+  seed = 1,
+  timeoutMs = 5000,
+  onFallback = () => {},
+} = {}) => {
+  if (!Array.isArray(seats) || seats.length < 2) throw new Error('A match needs at least two seats');
+  seats.filter(s => typeof s === 'string').forEach(getStrategy); // unknown names fail before any hand
+  const controllers = seats.map(s => (typeof s === 'string' ? s : `agent ${s.name}`));
+  const results = seats.map((_, i) => ({
+    seat: i,
+    name: `Seat ${i + 1} (${controllers[i]})`,
+    controller: controllers[i],
+    handsWon: 0,
+    decisions: 0,
+    fallbacks: 0,
+  }));
+  const table = createPlayers(seats.length, stack, results.map(r => r.name)).map((p, i) => ({
+    ...p,
+    isHuman: false,
+    strategy: typeof seats[i] === 'string' ? seats[i] : null,
+  }));
+  let state = createInitialGameState({ players: table, sbAmount, bbAmount, anteAmount, variant, bettingStructure, seed });
+  const random = createRng(seed ^ 0x5bd1e995).next;
+  let stats = createPlayerStats();
+
+  let handsPlayed = 0;
+  for (; handsPlayed < hands; handsPlayed++) {
+    if (state.players.filter(p => p.stack > 0).length < 2) break;
+    state = startHand(handsPlayed ? moveButton(state) : state);
+    while (!state.handOver) {
+      const i = state.betting.currentActorIndex;
+      let move;
+      if (typeof seats[i] === 'string') {
+        move = decideAction(state, i, { random, stats });
+      } else {
+        move = await askAgent(seats[i], state, i, { timeoutMs, stats });
+        results[i].decisions++;
+        if (move.fallback) {
+          results[i].fallbacks++;
+          onFallback(i, move.error);
+        }
+      }
+      const result = tryApplyAction(state, i, move.action, move.amount);
+      state = result.ok ? result.state : tryApplyAction(state, i, result.error.legal.canCheck ? ACTIONS.CHECK : ACTIONS.FOLD).state;
+    }
+    const ended = state.log.find(e => e.type === EVENT_TYPES.HAND_ENDED);
+    (ended?.winners || []).forEach(w => { results[w].handsWon++; });
+    stats = recordHand(stats, state.log);
+  }
+
+  return {
+    config: { seats: controllers, stack, sbAmount, bbAmount, anteAmount, variant: state.variant, bettingStructure: state.bettingStructure, hands, seed, timeoutMs },
+    handsPlayed,
+    seats: results.map(r => ({ ...r, finalStack: state.players[r.seat].stack, net: state.players[r.seat].stack - stack })),
+  };
+};
@@ -0,0 +1,81 @@
+// Plays a freezeout between outside agents and built-in bots and prints per-seat results.
+// Run with: node src/logic/agentMatchCli.js --agent 1=http://127.0.0.1:8787/ [options]
+//   --agent seat=URL (HTTP agent) or seat="command args" (stdio agent), repeatable;
+//     seats count from 0
+//   --players 6  --bots adaptive,chart (the other seats, in turn)  --stack 1000
+//   --blinds 10/20  --hands 100  --seed 1  --timeout 5000 (ms per agent decision)
+// Try it with the bundled mock agent: node src/logic/mockAgent.js --port 8787
+
+import { parseArgs } from 'node:util';
+import { playAgentMatch } from './agentMatch.js';
+import { createHttpAgent, createStdioAgent } from './agentTransport.js';
+
+const USAGE = 'Usage: node src/logic/agentMatchCli.js --agent seat=url|"command args" [--agent ...] [--players n] [--bots name,...] '
+  + '[--stack n] [--blinds sb/bb] [--hands n] [--seed n] [--timeout ms]';
+
+const toInt = (text, name) => {
+  const n = Number.parseInt(text, 10);
+  if (!Number.isFinite(n) || n < 0) throw new Error(`--${name} must be a whole number, got "${text}"`);
+  return n;
+};
+
+const createAgent = (target) => {
+  if (/^https?:\/\//.test(target)) return createHttpAgent(target);
+  const [command, ...args] = target.split(/\s+/).filter(Boolean);
+  return createStdioAgent(command, args);
+};
+
+const run = async () => {
+  const { values } = parseArgs({
+    args: globalThis.process.argv.slice(2),
+    options: {
+      agent: { type: 'string', multiple: true, default: [] },
+      players: { type: 'string', default: '6' },
+      bots: { type: 'string', default: 'adaptive' },
+      stack: { type: 'string', default: '1000' },
+      blinds: { type: 'string', default: '10/20' },
+      hands: { type: 'string', default: '100' },
+      seed: { type: 'string', default: '1' },
+      timeout: { type: 'string', default: '5000' },
+      help: { type: 'boolean', short: 'h', default: false },
+    },
+  });
+  if (values.help) {
+    console.log(USAGE);
+    return;
+  }
+  const players = toInt(values.players, 'players');
+  const agents = new Map(values.agent.map(spec => {
+    const [seat, ...target] = spec.split('=');
+    const index = toInt(seat, 'agent');
+    if (index >= players || target.length === 0) throw new Error(`--agent must be seat=target with a seat below ${players}, got "${spec}"`);
+    return [index, target.join('=')];
+  }));
+  if (agents.size === 0) throw new Error('Give at least one --agent');
+  const bots = values.bots.split(',');
+  let nextBot = 0;
+  const seats = Array.from({ length: players }, (_, i) => (agents.has(i) ? createAgent(agents.get(i)) : bots[nextBot++ % bots.length]));
+  const [sb, bb] = values.blinds.split('/');
+
+  try {
+    const result = await playAgentMatch({
+      seats,
+      stack: toInt(values.stack, 'stack'),
+      sbAmount: toInt(sb, 'blinds'),
+      bbAmount: toInt(bb ?? sb * 2, 'blinds'),
+      hands: toInt(values.hands, 'hands'),
+      seed: toInt(values.seed, 'seed'),
+      timeoutMs: toInt(values.timeout, 'timeout'),
+      onFallback: (seat, error) => console.error(`Seat ${seat}: ${error}; playing the fallback`),
+    });
+    console.log(JSON.stringify(result, null, 2));
+  } finally {
+    seats.forEach(s => typeof s !== 'string' && s.close());
+  }
+};
+
+run().catch((e) => {
+  console.error(e.message);
+  console.error(USAGE);
+  globalThis.process.exitCode = 2;
+});
@@ -0,0 +1,122 @@
+// src/logic/agentProtocol.js
+// JSON messages between the engine and an outside agent (an LLM wrapper, a script, ...).
+// At each decision point the agent gets
+//
+//   { "type": "act", "version": 1, "requestId": 7, "observation": { ... } }
+//
+// and answers with
+//
+//   { "action": "raise", "amount": 120 }   (amount: street total for bets and raises)
+//
+// The observation only holds what that seat may know (see createObservation).
+// Transports (HTTP, stdio) live in agentTransport.js; mockAgent.js is a local agent
+// to test against.
+
+import { ACTIONS, EVENT_TYPES, computeSidePots, getLegalActions, validateAction } from './pokerLogic.js';
+import { createPlayerView } from './strategies.js';
+
+export const AGENT_PROTOCOL_VERSION = 1;
+
+const cardIds = (cards) => cards.map(c => c.id);
+
+/**
+ * createObservation(state, playerIndex, { stats }) -> JSON-ready object
+ * {
+ *   handNumber, seat, variant, bettingStructure, street,
+ *   holeCards: ['AH', 'KD'], board: [...card ids],
+ *   blinds: { sb, bb, ante, anteType }, dealerIndex, sbIndex, bbIndex, payouts,
+ *   pot, pots: [{ amount, eligible: [seat, ...] }], highestBet,
+ *   players: [{ seat, name, stack, currentBet, totalCommitted, status, stats }],
+ *   legal: getLegalActions(state, seat),
+ *   history: [{ seat, street, action, amount, total, allIn }] (this hand so far)
+ * }
+ * Blinds and antes are part of history as 'small_blind', 'big_blind' and 'ante'.
+ */
+export const createObservation = (state, playerIndex, { stats } = {}) => {
+  const view = createPlayerView(state, playerIndex, { stats });
+  const seatOf = (id) => state.players.findIndex(p => p.id === id);
+  const history = state.log.flatMap(e => {
+    if (e.type === EVENT_TYPES.ANTE) return [{ seat: e.playerIndex, street: 'preflop', action: 'ante', amount: e.amount, total: e.amount, allIn: e.allIn }];
+    if (e.type === EVENT_TYPES.BLIND) return [{ seat: e.playerIndex, street: 'preflop', action: `${e.blind}_blind`, amount: e.amount, total: e.amount, allIn: e.allIn }];
+    if (e.type === EVENT_TYPES.ACTION) return [{ seat: e.playerIndex, street: e.street, action: e.kind, amount: e.amount, total: e.total, allIn: e.allIn }];
+    return [];
+  });
+  return {
+    handNumber: state.handNumber,
+    seat: playerIndex,
+    variant: view.variant,
+    bettingStructure: view.bettingStructure,
+    street: view.street,
+    holeCards: cardIds(view.holeCards),
+    board: cardIds(view.board),
+    blinds: { sb: view.sbAmount, bb: view.bbAmount, ante: view.anteAmount, anteType: view.anteType },
+    dealerIndex: view.dealerIndex,
+    sbIndex: view.sbIndex,
+    bbIndex: view.bbIndex,
+    payouts: view.payouts,
+    pot: view.pot,
+    pots: computeSidePots(state.players).map(p => ({ amount: p.amount, eligible: p.eligiblePlayers.map(seatOf) })),
+    highestBet: view.highestBet,
+    players: view.players.map(({ playerIndex: seat, ...rest }) => ({ seat, ...rest })),
+    legal: view.legal,
+    history,
+  };
+};
+
+// The message sent to the agent; requestId lets a transport match up replies
+export const createActRequest = (state, playerIndex, { requestId = 0, stats } = {}) => ({
+  type: 'act',
+  version: AGENT_PROTOCOL_VERSION,
+  requestId,
+  observation: createObservation(state, playerIndex, { stats }),
+});
+
+/**
+ * parseAgentReply(reply) -> { action, amount }
+ * reply: the agent's JSON (text or parsed). Throws on anything that isn't one of
+ * ACTIONS with a non-negative amount; whether the move is legal is the engine's call.
+ */
+export const parseAgentReply = (reply) => {
+  let message = reply;
+  if (typeof reply === 'string') {
+    try {
+      message = JSON.parse(reply);
+    } catch {
+      throw new Error(`Agent reply is not JSON: ${reply.slice(0, 80)}`);
+    }
+  }
+  if (!message || typeof message !== 'object') throw new Error('Agent reply must be a JSON object');
+  const { action, amount = 0 } = message;
+  if (!Object.values(ACTIONS).includes(action)) {
+    throw new Error(`Unknown agent action: ${JSON.stringify(action)} (expected ${Object.values(ACTIONS).join(', ')})`);
+  }
+  if (typeof amount !== 'number' || !Number.isFinite(amount) || amount < 0) {
+    throw new Error(`Agent amount must be a number of zero or more, got ${JSON.stringify(amount)}`);
+  }
+  return { action, amount };
+};
+
+// What a seat does when its agent times out, fails or answers with an illegal move
+export const fallbackAction = (legal) => ({ action: legal.canCheck ? ACTIONS.CHECK : ACTIONS.FOLD, amount: 0 });
+
+let nextRequestId = 1;
+
+/**
+ * askAgent(agent, state, playerIndex, { timeoutMs, stats })
+ *   -> Promise<{ action, amount, fallback, error }>
+ * agent: a transport from agentTransport.js ({ request(message, { timeoutMs }) }).
+ * Never rejects: a timeout, a transport failure, a malformed reply or a move the
+ * engine would refuse all become fallbackAction, with the reason in `error`.
+ */
+export const askAgent = async (agent, state, playerIndex, { timeoutMs = 5000, stats } = {}) => {
+  const legal = getLegalActions(state, playerIndex);
+  try {
+    const reply = await agent.request(createActRequest(state, playerIndex, { requestId: nextRequestId++, stats }), { timeoutMs });
+    const { action, amount } = parseAgentReply(reply);
+    const rejected = validateAction(state, playerIndex, action, amount);
+    if (rejected) throw new Error(`Illegal agent action ${action} ${amount}: ${rejected.message}`);
+    return { action, amount, fallback: false, error: null };
+  } catch (e) {
+    return { ...fallbackAction(legal), fallback: true, error: e.message };
+  }
+};
@@ -0,0 +1,129 @@
+// Self-tests for the outside-agent protocol, against the bundled mock agent.
+// Run with: node src/logic/agentSelfTest.js
+
+import { fileURLToPath } from 'node:url';
+import { ACTIONS, createInitialGameState, createPlayers, startHand } from './pokerLogic.js';
+import { AGENT_PROTOCOL_VERSION, askAgent, createActRequest, fallbackAction, parseAgentReply } from './agentProtocol.js';
+import { createHttpAgent, createStdioAgent } from './agentTransport.js';
+import { startMockAgentServer } from './mockAgent.js';
+import { playAgentMatch } from './agentMatch.js';
+
+const MOCK_AGENT = fileURLToPath(new URL('./mockAgent.js', import.meta.url));
+
+function assert(cond, msg) {
+  if (!cond) throw new Error(msg);
+}
+
+// Three-handed, seat 0 (the button) to act first
+const newHand = () => startHand(createInitialGameState({ players: createPlayers(3, 1000), sbAmount: 10, bbAmount: 20, seed: 1 }));
+
+function testObservation() {
+  const g = newHand();
+  const request = createActRequest(g, 0, { requestId: 3 });
+  const { observation } = request;
+  assert(request.type === 'act' && request.version === AGENT_PROTOCOL_VERSION && request.requestId === 3, 'Request envelope');
+  assert(observation.seat === 0 && observation.street === 'preflop' && observation.holeCards.length === 2, 'Own seat and cards');
+  assert(observation.holeCards.every(id => typeof id === 'string') && observation.board.length === 0, 'Cards travel as ids');
+  const hidden = [1, 2].flatMap(i => g.players[i].holeCards.map(c => c.id));
+  assert(hidden.every(id => !observation.holeCards.includes(id) && !observation.board.includes(id)), 'No opponent card in the observation');
+  assert(observation.players.length === 3 && observation.players.every(p => !('holeCards' in p)), 'Players carry no cards');
+  assert(observation.pot === 30 && observation.pots.length > 0 && observation.legal.callAmount === 20, `Pot and legal actions: ${JSON.stringify(observation.legal)}`);
+  assert(observation.history.map(h => h.action).join() === 'small_blind,big_blind', `Blinds are in the history: ${JSON.stringify(observation.history)}`);
+  assert(JSON.parse(JSON.stringify(request)).observation.legal.canCall === true, 'The request survives JSON');
+}
+
+function testReplyParsing() {
+  assert(parseAgentReply('{"action":"raise","amount":60}').amount === 60, 'Text replies parse');
+  assert(parseAgentReply({ action: 'fold' }).amount === 0, 'Amount defaults to 0');
+  for (const bad of ['not json', '[1]', '{"action":"shove"}', '{"action":"bet","amount":-5}', '{"action":"bet","amount":"10"}']) {
+    let threw = false;
+    try {
+      parseAgentReply(bad);
+    } catch {
+      threw = true;
+    }
+    assert(threw, `Bad reply rejected: ${bad}`);
+  }
+  assert(fallbackAction({ canCheck: true }).action === ACTIONS.CHECK && fallbackAction({ canCheck: false }).action === ACTIONS.FOLD, 'Fallback checks, else folds');
+}
+
+async function testHttpAgent() {
+  const caller = await startMockAgentServer({ policy: 'caller' });
+  const slow = await startMockAgentServer({ policy: 'caller', delayMs: 500 });
+  const illegal = await startMockAgentServer({ policy: 'illegal' });
+  const garbage = await startMockAgentServer({ policy: 'garbage' });
+  try {
+    const g = newHand();
+    const called = await askAgent(createHttpAgent(caller.url), g, 0);
+    assert(called.action === ACTIONS.CALL && !called.fallback, `HTTP agent calls: ${JSON.stringify(called)}`);
+
+    const late = await askAgent(createHttpAgent(slow.url), g, 0, { timeoutMs: 50 });
+    assert(late.fallback && late.action === ACTIONS.FOLD && /within 50ms/.test(late.error), `Timeouts fall back: ${JSON.stringify(late)}`);
+
+    const refused = await askAgent(createHttpAgent(illegal.url), g, 0);
+    assert(refused.fallback && /Illegal agent action/.test(refused.error), `Illegal moves fall back: ${JSON.stringify(refused)}`);
+
+    const nonsense = await askAgent(createHttpAgent(garbage.url), g, 0);
+    assert(nonsense.fallback && /not JSON/.test(nonsense.error), `Malformed replies fall back: ${JSON.stringify(nonsense)}`);
+
+    const unreachable = await askAgent(createHttpAgent('http://127.0.0.1:9/'), g, 0, { timeoutMs: 1000 });
+    assert(unreachable.fallback && unreachable.error, 'An unreachable agent falls back');
+  } finally {
+    await Promise.all([caller, slow, illegal, garbage].map(s => s.close()));
+  }
+}
+
+async function testStdioAgent() {
+  const agent = createStdioAgent(globalThis.process.execPath, [MOCK_AGENT, '--stdio', '--policy', 'raiser']);
+  const slow = createStdioAgent(globalThis.process.execPath, [MOCK_AGENT, '--stdio', '--delay', '300']);
+  try {
+    const g = newHand();
+    const raised = await askAgent(agent, g, 0);
+    assert(raised.action === ACTIONS.RAISE && raised.amount === 40 && !raised.fallback, `stdio agent min-raises: ${JSON.stringify(raised)}`);
+
+    // The late reply to the first request must not answer the second
+    const late = await askAgent(slow, g, 0, { timeoutMs: 50 });
+    assert(late.fallback && /within 50ms/.test(late.error), `stdio timeouts fall back: ${JSON.stringify(late)}`);
+    const next = await askAgent(slow, g, 0, { timeoutMs: 2000 });
+    assert(next.action === ACTIONS.CALL && !next.fallback, `The next stdio request gets its own reply: ${JSON.stringify(next)}`);
+  } finally {
+    agent.close();
+    slow.close();
+  }
+  const closed = await askAgent(agent, newHand(), 0);
+  assert(closed.fallback, 'A closed stdio agent falls back');
+}
+
+async function testAgentMatch() {
+  const server = await startMockAgentServer({ policy: 'caller' });
+  const stdio = createStdioAgent(globalThis.process.execPath, [MOCK_AGENT, '--stdio', '--policy', 'raiser']);
+  try {
+    const fallbacks = [];
+    const result = await playAgentMatch({
+      seats: [createHttpAgent(server.url), stdio, 'adaptive'],
+      hands: 6,
+      seed: 4,
+      onFallback: (seat, error) => fallbacks.push(`${seat}: ${error}`),
+    });
+    assert(result.handsPlayed >= 1, 'The match played hands');
+    assert(result.seats[0].decisions > 0 && result.seats[1].decisions > 0 && result.seats[2].decisions === 0, 'Agents decided for their seats');
+    assert(fallbacks.length === 0 && result.seats.every(s => s.fallbacks === 0), `Mock agents never need the fallback: ${fallbacks}`);
+    assert(result.seats.reduce((acc, s) => acc + s.finalStack, 0) === 3000, 'Chips are conserved');
+  } finally {
+    stdio.close();
+    await server.close();
+  }
+}
+
+try {
+  testObservation();
+  testReplyParsing();
+  await testHttpAgent();
+  await testStdioAgent();
+  await testAgentMatch();
+  console.log('Agent self-tests: OK');
+} catch (e) {
+  console.error('Agent self-tests: FAILED');
+  console.error(e);
+  globalThis.process.exitCode = 1;
+}
@@ -0,0 +1,97 @@
+// src/logic/agentTransport.js
+// Node transports for outside agents (see agentProtocol.js for the messages).
+// Each is { name, request(message, { timeoutMs }) -> Promise<reply>, close() }:
+// - HTTP: every request is a POST of the JSON message; the response body is the reply
+// - stdio: the agent is a child process reading one JSON message per line on stdin
+//   and writing one reply per line on stdout, in order
+
+import { spawn } from 'node:child_process';
+import { createInterface } from 'node:readline';
+
+const timeoutError = (name, timeoutMs) => new Error(`${name} did not answer within ${timeoutMs}ms`);
+
+/**
+ * createHttpAgent(url) -> transport
+ * Non-2xx responses and timeouts (the request is aborted) reject.
+ */
+export const createHttpAgent = (url) => ({
+  name: url,
+  request: async (message, { timeoutMs = 5000 } = {}) => {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeoutMs);
+    try {
+      const response = await fetch(url, {
+        method: 'POST',
+        headers: { 'content-type': 'application/json' },
+        body: JSON.stringify(message),
+        signal: controller.signal,
+      });
+      if (!response.ok) throw new Error(`${url} answered HTTP ${response.status}`);
+      return await response.text();
+    } catch (e) {
+      if (controller.signal.aborted) throw timeoutError(url, timeoutMs);
+      throw e;
+    } finally {
+      clearTimeout(timer);
+    }
+  },
+  close: () => {},
+});
+
+/**
+ * createStdioAgent(command, args = [], { cwd }) -> transport
+ * Replies are matched to requests in order, so a reply that comes after its
+ * request timed out is dropped rather than taken as the answer to the next one.
+ * The process is killed on close(); if it exits early, waiting requests reject.
+ */
+export const createStdioAgent = (command, args = [], { cwd } = {}) => {
+  const name = [command, ...args].join(' ');
+  const child = spawn(command, args, { cwd, stdio: ['pipe', 'pipe', 'inherit'] });
+  const waiting = []; // oldest first; timed-out entries stay until their reply shows up
+  let exited = null;
+
+  const failAll = (error) => {
+    waiting.splice(0).forEach(w => {
+      clearTimeout(w.timer);
+      if (!w.done) w.reject(error);
+    });
+  };
+  child.on('error', (e) => {
+    exited = e;
+    failAll(e);
+  });
+  child.on('exit', (code) => {
+    exited = new Error(`${name} exited (code ${code})`);
+    failAll(exited);
+  });
+  child.stdin.on('error', () => {}); // writes after an exit; 'exit' already failed the requests
+  createInterface({ input: child.stdout }).on('line', (line) => {
+    const w = waiting.shift();
+    if (!w || w.done) return;
+    clearTimeout(w.timer);
+    w.resolve(line);
+  });
+
+  return {
+    name,
+    request: (message, { timeoutMs = 5000 } = {}) => new Promise((resolve, reject) => {
+      if (exited) {
+        reject(exited);
+        return;
+      }
+      const entry = { resolve, reject, done: false };
+      entry.timer = setTimeout(() => {
+        entry.done = true;
+        reject(timeoutError(name, timeoutMs));
+      }, timeoutMs);
+      waiting.push(entry);
+      child.stdin.write(`${JSON.stringify(message)}\n`);
+    }),
+    close: () => {
+      if (exited) return;
+      exited = new Error(`${name} was closed`);
+      failAll(exited);
+      child.kill();
+    },
+  };
+};
@@ -0,0 +1,144 @@
+// src/logic/chartBot.js
+// Preflop by position charts, postflop by hand strength (the adaptive bot's rules,
+// steered by the aggressive/tight sliders).
+// Charts are range strings (ranges.js notation) keyed by chart and position, so a
+// chart set is plain JSON:
+//
+//   { "open": { "UTG": "66+, AJs+, KQs, AQo+", ... }, "threeBet": { ... }, "call": { ... }, "fourBet": { ... } }
+//
+// - open: raise first in (unopened or limped pots)
+// - threeBet / call: facing one raise, re-raise or call with these hands
+// - fourBet: facing a re-raise, raise again; anything else in the threeBet chart calls
+// A position missing from a chart plays no hands from that chart.
+
+import { ACTIONS, PHASES, PLAYER_STATUS, VARIANTS } from './pokerLogic.js';
+import { parseRange, rangeContains } from './ranges.js';
+import { adaptiveStrategy, betOrRaiseTo } from './adaptiveBot.js';
+
+export const POSITIONS = ['UTG', 'HJ', 'CO', 'BTN', 'SB', 'BB'];
+
+const CHART_NAMES = ['open', 'threeBet', 'call', 'fourBet'];
+
+// A standard-ish 6-max chart set; short tables use the later positions' charts
+export const DEFAULT_CHARTS = {
+  open: {
+    UTG: '66+, A9s+, KTs+, QTs+, JTs, T9s, AJo+, KQo',
+    HJ: '55+, A7s+, A5s, K9s+, Q9s+, J9s+, T9s, 98s, ATo+, KJo+',
+    CO: '33+, A2s+, K8s+, Q9s+, J9s+, T8s+, 98s, 87s, 76s, A9o+, KTo+, QTo+, JTo',
+    BTN: '22+, A2s+, K5s+, Q7s+, J7s+, T7s+, 97s+, 86s+, 75s+, 65s, 54s, A5o+, K9o+, Q9o+, J9o+, T9o',
+    SB: '22+, A2s+, K7s+, Q8s+, J8s+, T8s+, 97s+, 87s, 76s, A7o+, KTo+, QTo+, JTo',
+  },
+  threeBet: {
+    UTG: 'QQ+, AKs, AKo',
+    HJ: 'QQ+, AKs, AKo',
+    CO: 'JJ+, AQs+, AKo, A5s',
+    BTN: 'TT+, AJs+, KQs, AQo+, A5s, A4s',
+    SB: 'TT+, AJs+, KQs, AQo+, A5s',
+    BB: 'TT+, AJs+, KQs, AQo+, A5s, A4s',
+  },
+  call: {
+    UTG: 'JJ-99, AQs, KQs',
+    HJ: 'JJ-88, AJs+, KQs, QJs',
+    CO: 'TT-66, ATs+, KJs+, QJs, JTs, AQo',
+    BTN: '99-22, A9s+, KTs+, QTs+, JTs, T9s, 98s, 87s, AJo+, KQo',
+    SB: 'TT-77, ATs+, KJs+, QJs, AQo',
+    BB: '99-22, A2s+, K9s+, Q9s+, J9s+, T8s+, 97s+, 86s+, 75s+, 65s, 54s, ATo+, KTo+, QTo+, JTo',
+  },
+  fourBet: {
+    UTG: 'QQ+, AKs',
+    HJ: 'QQ+, AKs',
+    CO: 'QQ+, AKs, AKo',
+    BTN: 'JJ+, AKs, AKo',
+    SB: 'QQ+, AKs, AKo',
+    BB: 'QQ+, AKs, AKo',
+  },
+};
+
+/**
+ * loadCharts(json) -> { open: { UTG: combos, ... }, threeBet, call, fourBet }
+ * Accepts JSON text or an already-parsed object; unknown charts or positions and
+ * bad range strings throw.
+ */
+export const loadCharts = (json) => {
+  const source = typeof json === 'string' ? JSON.parse(json) : json;
+  const charts = {};
+  for (const chart of CHART_NAMES) charts[chart] = {};
+  for (const [chart, byPosition] of Object.entries(source || {})) {
+    if (!CHART_NAMES.includes(chart)) throw new Error(`Unknown chart: ${chart} (expected ${CHART_NAMES.join(', ')})`);
+    for (const [position, range] of Object.entries(byPosition)) {
+      if (!POSITIONS.includes(position)) throw new Error(`Unknown position in ${chart} chart: ${position}`);
+      try {
+        charts[chart][position] = parseRange(range);
+      } catch (e) {
+        throw new Error(`${chart}.${position}: ${e.message}`);
+      }
+    }
+  }
+  return charts;
+};
+
+/**
+ * getPosition(view) -> 'UTG' | 'HJ' | 'CO' | 'BTN' | 'SB' | 'BB'
+ * Positions are counted back from the big blind over the seats dealt in, so a
+ * short table drops the early positions (4-handed: CO, BTN, SB, BB). Heads-up the
+ * button posts the small blind and is labelled BTN. Seats beyond six are UTG.
+ */
+export const getPosition = (view, playerIndex = view.playerIndex) => {
+  const seats = view.players.length;
+  // Clockwise from the first seat after the big blind, ending on the big blind
+  const order = [];
+  for (let k = 1; k <= seats; k++) {
+    const i = (view.bbIndex + k) % seats;
+    if (view.players[i].status !== PLAYER_STATUS.ELIMINATED) order.push(i);
+  }
+  if (playerIndex === view.bbIndex) return 'BB';
+  if (order.length === 2) return 'BTN';
+  if (playerIndex === view.sbIndex) return 'SB';
+  const early = order.filter(i => i !== view.bbIndex && i !== view.sbIndex);
+  const fromButton = early.length - 1 - early.indexOf(playerIndex); // 0 = button
+  return POSITIONS[Math.max(0, 3 - fromButton)];
+};
+
+const inChart = (charts, chart, position, holeCards) => {
+  const combos = charts[chart][position];
+  return Boolean(combos) && rangeContains(combos, holeCards);
+};
+
+const decidePreflop = (view, charts) => {
+  const { legal, bbAmount, highestBet, holeCards } = view;
+  const position = getPosition(view);
+  const raises = view.actions.filter(a => a.street === PHASES.PREFLOP && (a.kind === ACTIONS.RAISE || a.kind === ACTIONS.BET)).length;
+  const foldOrCheck = { action: legal.canCheck ? ACTIONS.CHECK : ACTIONS.FOLD, amount: 0 };
+  const call = { action: ACTIONS.CALL, amount: 0 };
+
+  if (raises === 0) {
+    if (!inChart(charts, 'open', position, holeCards)) return foldOrCheck;
+    const limpers = view.players.filter(p => p.currentBet === bbAmount && p.playerIndex !== view.bbIndex).length;
+    return betOrRaiseTo(legal, bbAmount * (2.5 + limpers));
+  }
+  if (raises === 1) {
+    if (inChart(charts, 'threeBet', position, holeCards)) return betOrRaiseTo(legal, highestBet * 3);
+    return inChart(charts, 'call', position, holeCards) ? call : foldOrCheck;
+  }
+  if (inChart(charts, 'fourBet', position, holeCards)) return betOrRaiseTo(legal, highestBet * 2.5);
+  return inChart(charts, 'threeBet', position, holeCards) ? call : foldOrCheck;
+};
+
+/**
+ * createChartStrategy(charts = DEFAULT_CHARTS, { name, label }) -> strategy
+ * Charts are JSON text or an object of range strings (see loadCharts). Omaha hands
+ * don't fit two-card charts, so Omaha preflop is left to the adaptive bot as well.
+ */
+export const createChartStrategy = (charts = DEFAULT_CHARTS, { name = 'chart', label = 'Position charts' } = {}) => {
+  const loaded = loadCharts(charts);
+  return {
+    name,
+    label,
+    description: 'Opens, 3-bets and calls from position charts; plays postflop by hand strength',
+    decide: (view, context) => (
+      view.street === PHASES.PREFLOP && view.variant !== VARIANTS.OMAHA
+        ? decidePreflop(view, loaded)
+        : adaptiveStrategy.decide(view, context)
+    ),
+  };
+};
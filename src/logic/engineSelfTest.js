@@ -3,14 +3,56 @@
 
 import {
   ACTIONS,
+  ACTION_ERRORS,
+  ANTE_TYPES,
+  BETTING_STRUCTURES,
+  BUTTON_RULES,
+  EVENT_TYPES,
+  LEVEL_ADVANCE,
   PLAYER_STATUS,
+  VARIANTS,
   createInitialGameState,
+  createRng,
   createPlayers,
   startHand,
+  moveButton,
   applyAction,
+  tryApplyAction,
+  validateAction,
   computeSidePots,
+  evaluateHand,
+  getBlindLevelInfo,
+  getLegalActions,
   PHASES,
 } from './pokerLogic.js';
+import { evaluateHandRank } from './handEvaluator.js';
+import { calculateEquity } from './equity.js';
+import { parseRange, countCombos, rangeContains, calculateRangeEquity } from './ranges.js';
+import { createHandRecord, formatPokerStarsHand, formatPokerStarsSession } from './handHistory.js';
+import { parseCard, parseHandHistory, replayHand, replayHandHistory } from './handReplay.js';
+import { createEventStream } from './eventStream.js';
+import {
+  createGameHistory,
+  recordSnapshot,
+  getSnapshot,
+  canUndo,
+  canRedo,
+  isTimeTraveling,
+  undo,
+  redo,
+  jumpTo,
+  jumpToAction,
+  jumpToLatest,
+  getActionNumber,
+} from './gameHistory.js';
+import { assertInvariants, checkInvariants } from './invariants.js';
+import { runSimulation, formatSimulationCsv } from './simulation.js';
+import { createPlayerView, decideAction, getStrategy, listStrategies, registerStrategy } from './strategies.js';
+import { adaptiveStrategy, preflopStrength, postflopStrength } from './adaptiveBot.js';
+import { DEFAULT_CHARTS, createChartStrategy, getPosition, loadCharts } from './chartBot.js';
+import { HAND_CLASSES, getEquityTable, pushFoldDecision, solvePushFold } from './pushFold.js';
+import { calculateIcm, icmCallThreshold } from './icm.js';
+import { createPlayerStats, getPlayerStats, recordHand } from './playerStats.js';
 
 function assert(cond, msg) {
   if (!cond) throw new Error(msg);
@@ -73,7 +115,7 @@ function testBurnAndStreets() {
   assert(game.phase === PHASES.PREFLOP, 'should start preflop');
 
   // With 2 players, just have both call/check through to river.
-  // Preflop: player left of BB acts first. We keep folding impossible.
+  // Preflop: the button (SB) acts first heads-up. We keep folding impossible.
   // Call until round ends.
   for (let i = 0; i < 4; i++) {
     const idx = game.betting.currentActorIndex;
@@ -88,7 +130,1116 @@ function testBurnAndStreets() {
   assert(game.communityCards.length >= 3, 'should have dealt flop with burn');
 }
 
+function testSeededShufflesAreReproducible() {
+  const play = (seed) => {
+    let game = createInitialGameState({
+      players: createPlayers(3, 1000),
+      sbAmount: 5,
+      bbAmount: 10,
+      dealerIndex: 0,
+      seed,
+    });
+    const hands = [];
+    for (let h = 0; h < 3; h++) {
+      game = startHand(game);
+      hands.push({ handSeed: game.handSeed, deck: game.deck.map(c => c.id).join(), holes: game.players.map(p => p.holeCards.map(c => c.id).join()).join('|') });
+    }
+    return hands;
+  };
+
+  const a = play(12345);
+  const b = play(12345);
+  assert(JSON.stringify(a) === JSON.stringify(b), 'same seed must produce the same cards');
+  assert(a[0].deck !== a[1].deck, 'consecutive hands must get different shuffles');
+  assert(JSON.stringify(play(54321)) !== JSON.stringify(a), 'different seeds should produce different cards');
+
+  // Starting a fresh game from a hand's seed replays that hand's cards
+  const replay = play(a[2].handSeed);
+  assert(replay[0].deck === a[2].deck && replay[0].holes === a[2].holes, 'handSeed must replay the hand exactly');
+}
+
+const cards = (ids) => ids.split(' ').map(id => ({ rank: id[0], suit: id[1], id }));
+
+function testHandEvaluator() {
+  const cases = [
+    ['AS KS QS JS TS 2D 3C', 8, [14, 13, 12, 11, 10]],
+    ['AH 2H 3H 4H 5H KD KC', 8, [5, 4, 3, 2, 1]],
+    ['9C 9D 9H 9S 2D 3C KH', 7, [9, 13]],
+    ['QC QD QH 7S 7D 7C 2H', 6, [12, 7]],
+    ['AD 9D 7D 4D 2D KC KH', 5, [14, 9, 7, 4, 2]],
+    ['AC 2D 3H 4S 5C 9H KD', 4, [5, 4, 3, 2, 1]],
+    ['8C 8D 8H KS 4D 2C', 3, [8, 13, 4]],
+    ['JC JD 4H 4S 6C 6H AD', 2, [11, 6, 14]],
+    ['TC TD 3H 5S 9C', 1, [10, 9, 5, 3]],
+    ['AC QD 9H 7S 4C 3H 2D', 0, [14, 12, 9, 7, 4]],
+  ];
+  for (const [ids, tier, kickers] of cases) {
+    const hand = cards(ids);
+    const result = evaluateHand(hand.slice(0, 2), hand.slice(2));
+    assert(result.tier === tier, `${ids}: expected tier ${tier}, got ${result.tier}`);
+    assert(JSON.stringify(result.kickers) === JSON.stringify(kickers), `${ids}: expected kickers ${kickers}, got ${result.kickers}`);
+    assert(result.rank === evaluateHandRank(hand), `${ids}: wrapper rank must match evaluateHandRank`);
+  }
+
+  // Integer ranks order hands the same way the kicker comparison does
+  const wheel = evaluateHandRank(cards('AC 2D 3H 4S 5C'));
+  const sixHigh = evaluateHandRank(cards('2D 3H 4S 5C 6D'));
+  const aceKing = evaluateHandRank(cards('AC KD 9H 7S 4C'));
+  const aceQueen = evaluateHandRank(cards('AD QD 9C 7H 4S'));
+  assert(sixHigh > wheel, 'six-high straight beats the wheel');
+  assert(aceKing > aceQueen, 'kickers decide high-card hands');
+  assert(evaluateHandRank(cards('AC KD 9H 7S 4C')) === evaluateHandRank(cards('AD KC 9S 7H 4D')), 'suits alone must not change the rank');
+}
+
+const actOrCheck = (game) => {
+  const idx = game.betting.currentActorIndex;
+  const p = game.players[idx];
+  return applyAction(game, idx, p.currentBet < game.betting.highestBetThisRound ? ACTIONS.CALL : ACTIONS.CHECK);
+};
+
+function testHeadsUpBlindsAndActionOrder() {
+  let game = createInitialGameState({
+    players: createPlayers(2, 1000),
+    sbAmount: 5,
+    bbAmount: 10,
+    dealerIndex: 0,
+  });
+  game = startHand(game);
+  assert(game.players[0].currentBet === 5, 'heads-up: button posts the small blind');
+  assert(game.players[1].currentBet === 10, 'heads-up: other player posts the big blind');
+  assert(game.betting.currentActorIndex === 0, 'heads-up: button acts first preflop');
+
+  game = applyAction(game, 0, ACTIONS.CALL);
+  assert(game.phase === PHASES.PREFLOP && game.betting.currentActorIndex === 1, 'big blind keeps the option after the button limps');
+  game = applyAction(game, 1, ACTIONS.CHECK);
+  assert(game.phase === PHASES.FLOP, 'preflop ends after the big blind checks its option');
+  assert(game.betting.currentActorIndex === 1, 'heads-up: big blind acts first postflop');
+}
+
+function testBlindsAllInRunOut() {
+  // Heads-up 10/20 with stacks of 10 and 20: both blinds are all-in, nobody acts
+  const players = createPlayers(2, 0);
+  players[0].stack = 10;
+  players[1].stack = 20;
+  const game = startHand(createInitialGameState({ players, sbAmount: 10, bbAmount: 20, dealerIndex: 0, seed: 3 }));
+  assert(game.handOver && game.phase === PHASES.SHOWDOWN, `blind all-ins run out to showdown, got ${game.phase}`);
+  assert(game.communityCards.length === 5, 'the whole board is dealt');
+  assert(game.players.reduce((acc, p) => acc + p.stack, 0) === 30, 'chips are conserved');
+  assert(game.log.some(e => e.type === EVENT_TYPES.HAND_ENDED), 'the hand ends in the log');
+}
+
+function testHeadsUpAfterEliminations() {
+  // 6-max table down to seats 2 and 4
+  const players = createPlayers(6, 0);
+  players[2].stack = 500;
+  players[4].stack = 500;
+  let game = createInitialGameState({ players, sbAmount: 5, bbAmount: 10, dealerIndex: 4 });
+  game = startHand(game);
+  assert(game.players[4].currentBet === 5 && game.players[2].currentBet === 10, 'shrunk table: button posts SB, other live seat posts BB');
+  assert(game.betting.currentActorIndex === 4, 'shrunk table: button acts first preflop');
+  game = actOrCheck(game);
+  game = actOrCheck(game);
+  assert(game.phase === PHASES.FLOP && game.betting.currentActorIndex === 2, 'shrunk table: big blind acts first postflop');
+
+  // Button left on a busted seat moves to a live one
+  game = startHand({ ...game, dealerIndex: 5 });
+  assert(game.dealerIndex === 2, `button should move to the next live seat, got ${game.dealerIndex}`);
+  assert(game.players[2].currentBet === 5 && game.players[4].currentBet === 10, 'blinds follow the moved button');
+}
+
+function testBigBlindOptionMultiway() {
+  let game = createInitialGameState({ players: createPlayers(3, 1000), sbAmount: 5, bbAmount: 10, dealerIndex: 0 });
+  game = startHand(game);
+  game = actOrCheck(game); // button calls
+  game = actOrCheck(game); // SB completes
+  assert(game.phase === PHASES.PREFLOP && game.betting.currentActorIndex === 2, 'big blind gets its option when everyone limps');
+  game = actOrCheck(game);
+  assert(game.phase === PHASES.FLOP && game.betting.currentActorIndex === 1, 'postflop action starts left of the button');
+}
+
+function testPerPlayerAntes() {
+  const players = createPlayers(4, 1000);
+  players[3].stack = 3; // can't cover the ante
+  let game = createInitialGameState({ players, sbAmount: 5, bbAmount: 10, anteAmount: 5, dealerIndex: 0 });
+  game = startHand(game);
+
+  const [btn, sb, bb, shorty] = game.players;
+  assert(btn.totalCommitted === 5 && btn.currentBet === 0, 'ante counts toward totalCommitted but not currentBet');
+  assert(sb.totalCommitted === 10 && sb.currentBet === 5, 'SB posts ante plus blind');
+  assert(bb.totalCommitted === 15 && bb.currentBet === 10, 'BB posts ante plus blind');
+  assert(shorty.status === PLAYER_STATUS.ALL_IN && shorty.totalCommitted === 3, 'short stack is all-in on the ante');
+  assert(game.betting.highestBetThisRound === 10, `antes must not count as a live bet, got ${game.betting.highestBetThisRound}`);
+
+  // Short ante forms its own main pot: 3 from each of the four players
+  const pots = computeSidePots(game.players);
+  assert(pots[0].amount === 12 && pots[0].eligiblePlayers.includes(3), `main pot should be 12 with the short stack eligible, got ${pots[0].amount}`);
+  assert(pots.slice(1).every(pt => !pt.eligiblePlayers.includes(3)), 'short stack must not be eligible for side pots');
+}
+
+function testAntesAllInRunOut() {
+  // Antes as big as the stacks: everyone is all-in before the blinds
+  const players = createPlayers(3, 30);
+  players[2].stack = 20;
+  const game = startHand(createInitialGameState({ players, sbAmount: 10, bbAmount: 20, anteAmount: 30, dealerIndex: 0, seed: 5 }));
+  const antes = game.log.filter(e => e.type === EVENT_TYPES.ANTE);
+  assert(antes.length === 3 && antes.every(e => e.allIn), 'every ante is all-in');
+  assert(!game.log.some(e => e.type === EVENT_TYPES.BLIND || e.type === EVENT_TYPES.ACTION), 'no blinds or actions after the antes');
+  assert(game.handOver && game.phase === PHASES.SHOWDOWN && game.communityCards.length === 5, 'ante all-ins run out to showdown');
+  assert(game.players.reduce((acc, p) => acc + p.stack, 0) === 80, 'chips are conserved');
+
+  // One player covers the antes but nobody is left to bet against
+  const covered = createPlayers(2, 30);
+  covered[0].stack = 1000;
+  const g = startHand(createInitialGameState({ players: covered, sbAmount: 10, bbAmount: 20, anteAmount: 30, dealerIndex: 0, seed: 5 }));
+  assert(g.handOver && g.communityCards.length === 5, `a lone player who matches the bet does not act, got ${g.phase}`);
+  assert(g.players.reduce((acc, p) => acc + p.stack, 0) === 1030, 'the uncovered blind goes back');
+}
+
+function testBigBlindAnte() {
+  let game = createInitialGameState({
+    players: createPlayers(3, 1000),
+    sbAmount: 5,
+    bbAmount: 10,
+    anteAmount: 10,
+    anteType: ANTE_TYPES.BIG_BLIND,
+    dealerIndex: 0,
+  });
+  game = startHand(game);
+  assert(game.players[0].totalCommitted === 0, 'only the BB pays a big-blind ante');
+  assert(game.players[2].totalCommitted === 20 && game.players[2].currentBet === 10, 'BB pays blind and ante, only the blind is live');
+  assert(game.betting.highestBetThisRound === 10, 'big-blind ante is not a live bet');
+
+  // Short BB: the blind takes priority over the ante
+  const players = createPlayers(3, 1000);
+  players[2].stack = 14;
+  game = startHand(createInitialGameState({ players, sbAmount: 5, bbAmount: 10, anteAmount: 10, anteType: ANTE_TYPES.BIG_BLIND, dealerIndex: 0 }));
+  assert(game.players[2].currentBet === 10 && game.players[2].totalCommitted === 14, 'short BB posts the full blind and the rest as ante');
+  assert(game.players[2].status === PLAYER_STATUS.ALL_IN, 'short BB is all-in');
+}
+
+// Resets stacks between hands: the listed seats bust, everyone else has 1000
+const bustSeats = (game, seats) => {
+  const next = structuredClone(game);
+  next.players.forEach(p => { p.stack = seats.includes(p.id) ? 0 : 1000; });
+  return next;
+};
+
+const blindPosters = (game) => ({
+  sb: game.players.findIndex(p => p.currentAction.startsWith('Small Blind')),
+  bb: game.players.findIndex(p => p.currentAction.startsWith('Big Blind')),
+});
+
+function testMovingButtonSkipsEliminatedSeats() {
+  let game = createInitialGameState({ players: createPlayers(4, 1000), sbAmount: 5, bbAmount: 10, dealerIndex: 0 });
+  game = startHand(game);
+  assert(game.blindSeats.sbIndex === 1 && game.blindSeats.bbIndex === 2, 'first hand blinds sit left of the button');
+
+  // Seat 1 (next button) busts: button moves straight to seat 2
+  game = startHand(moveButton(bustSeats(game, [1])));
+  assert(game.dealerIndex === 2, `moving button should skip busted seat 1, got ${game.dealerIndex}`);
+  const { sb, bb } = blindPosters(game);
+  assert(sb === 3 && bb === 0, `blinds should be posted by live seats 3 and 0, got ${sb} and ${bb}`);
+  assert(game.players[1].status === PLAYER_STATUS.ELIMINATED, 'busted seat is eliminated');
+}
+
+function testDeadButtonRule() {
+  let game = createInitialGameState({ players: createPlayers(5, 1000), sbAmount: 5, bbAmount: 10, dealerIndex: 0, buttonRule: BUTTON_RULES.DEAD });
+  game = startHand(game); // BTN 0, SB 1, BB 2
+
+  // Last hand's big blind busts: dead small blind, BB still advances one live seat
+  game = startHand(moveButton(bustSeats(game, [2])));
+  assert(game.dealerIndex === 1, `button takes last hand's SB seat, got ${game.dealerIndex}`);
+  assert(game.blindSeats.sbIndex === 2 && game.blindSeats.bbIndex === 3, 'SB seat is the busted seat, BB moves to seat 3');
+  let posted = blindPosters(game);
+  assert(posted.sb === -1 && posted.bb === 3, `only the big blind is posted (dead SB), got ${posted.sb}/${posted.bb}`);
+  assert(game.betting.currentActorIndex === 4, 'action starts left of the big blind');
+
+  // Next hand the button lands on the empty seat (dead button)
+  game = startHand(moveButton(bustSeats(game, [2])));
+  assert(game.dealerIndex === 2, `dead button sits on busted seat 2, got ${game.dealerIndex}`);
+  posted = blindPosters(game);
+  assert(posted.sb === 3 && posted.bb === 4, `live players post both blinds, got ${posted.sb}/${posted.bb}`);
+  assert(game.players[2].holeCards.length === 0, 'no cards dealt to the dead button seat');
+}
+
+function testDeadButtonGoingHeadsUp() {
+  let game = createInitialGameState({ players: createPlayers(3, 1000), sbAmount: 5, bbAmount: 10, dealerIndex: 0, buttonRule: BUTTON_RULES.DEAD });
+  game = startHand(game); // BTN 0, SB 1, BB 2
+  game = startHand(moveButton(bustSeats(game, [1])));
+  assert(game.blindSeats.bbIndex === 0, 'last hand\'s big blind does not post it twice');
+  assert(game.dealerIndex === 2 && game.blindSeats.sbIndex === 2, 'heads-up button posts the small blind');
+}
+
+const LEVELS = [
+  { sbAmount: 5, bbAmount: 10 },
+  { sbAmount: 10, bbAmount: 20, anteAmount: 2 },
+  { sbAmount: 25, bbAmount: 50, anteAmount: 5 },
+];
+
+function testBlindLevelsByHands() {
+  let game = createInitialGameState({
+    players: createPlayers(3, 10000),
+    blindStructure: { levels: LEVELS, advanceBy: LEVEL_ADVANCE.HANDS, handsPerLevel: 2 },
+  });
+  assert(game.sbAmount === 5 && game.bbAmount === 10, 'state starts at the first level');
+
+  const seen = [];
+  for (let h = 0; h < 7; h++) {
+    game = startHand(moveButton(game));
+    seen.push(game.bbAmount);
+  }
+  assert(JSON.stringify(seen) === JSON.stringify([10, 10, 20, 20, 50, 50, 50]), `levels should advance every 2 hands, got ${seen}`);
+  assert(game.anteAmount === 5, 'level ante is picked up');
+  assert(game.players.every(p => p.status !== PLAYER_STATUS.ACTIVE || p.totalCommitted >= 5), 'antes are posted at the current level');
+
+  game = startHand(moveButton(createInitialGameState({
+    players: createPlayers(3, 10000),
+    blindStructure: { levels: LEVELS, advanceBy: LEVEL_ADVANCE.HANDS, handsPerLevel: 2 },
+  })));
+  const info = getBlindLevelInfo(game);
+  assert(info.levelIndex === 0 && info.handsUntilNext === 1 && info.nextLevel.bbAmount === 20, 'info reports hands left in the level');
+}
+
+function testBlindLevelsByClock() {
+  let game = createInitialGameState({
+    players: createPlayers(3, 10000),
+    blindStructure: { levels: LEVELS, advanceBy: LEVEL_ADVANCE.CLOCK, secondsPerLevel: 600, secondsPerHand: 250 },
+  });
+  const seen = [];
+  for (let h = 0; h < 4; h++) {
+    game = startHand(moveButton(game));
+    seen.push(game.bbAmount);
+  }
+  // Hands start at 0s, 250s, 500s, 750s on the simulated clock
+  assert(JSON.stringify(seen) === JSON.stringify([10, 10, 10, 20]), `levels should follow the clock, got ${seen}`);
+  const info = getBlindLevelInfo(game);
+  assert(info.secondsUntilNext === 200, `next level should start in 200s, got ${info.secondsUntilNext}`);
+  assert(getBlindLevelInfo(createInitialGameState({ players: createPlayers(2, 100), sbAmount: 1, bbAmount: 2 })) === null, 'no structure, no level info');
+}
+
+function testOmahaEvaluation() {
+  // Four hearts on board but only one in hand: no flush in Omaha
+  let result = evaluateHand(cards('AH 3C 4D 6S'), cards('2H 5H 8H JH KC'), VARIANTS.OMAHA);
+  assert(result.tier === 0 && JSON.stringify(result.kickers) === JSON.stringify([14, 13, 11, 8, 6]), `Omaha must use two hole cards, got ${result.name} ${result.kickers}`);
+  assert(evaluateHand(cards('AH 3C 4D 6S'), cards('2H 5H 8H JH KC')).tier === 5, 'the same cards make a flush in hold\'em');
+
+  // Quads on board play as trips at most
+  result = evaluateHand(cards('2C 3D 7S 8H'), cards('KC KD KH KS 9D'), VARIANTS.OMAHA);
+  assert(result.tier === 3 && result.kickers[0] === 13, `board quads can only contribute three cards, got ${result.name}`);
+
+  result = evaluateHand(cards('AH KH 2C 3D'), cards('QH JH TH 4S 5S'), VARIANTS.OMAHA);
+  assert(result.tier === 8 && result.kickers[0] === 14, 'two suited hole cards complete the royal flush');
+}
+
+function testPotLimitOmaha() {
+  let game = createInitialGameState({ players: createPlayers(3, 1000), sbAmount: 5, bbAmount: 10, dealerIndex: 0, variant: VARIANTS.OMAHA });
+  game = startHand(game);
+  assert(game.players.every(p => p.holeCards.length === 4), 'Omaha deals four hole cards');
+  assert(game.deck.length === 52 - 12, 'twelve cards dealt to three players');
+
+  // UTG (button, 3-handed) facing 5/10: pot-size raise is to 10 + (15 + 10) = 35
+  let legal = getLegalActions(game, 0);
+  assert(legal.maxTotalBet === 35, `preflop pot-size raise should be to 35, got ${legal.maxTotalBet}`);
+  game = applyAction(game, 0, ACTIONS.RAISE, 500);
+  assert(game.players[0].currentBet === 35, `raises are capped at the pot, got ${game.players[0].currentBet}`);
+
+  // SB facing 35 with 50 in the pot: call 30 makes 80, raise to 35 + 80 = 115
+  legal = getLegalActions(game, 1);
+  assert(legal.maxTotalBet === 115, `SB pot-size raise should be to 115, got ${legal.maxTotalBet}`);
+  assert(!legal.canAllIn, 'cannot shove a stack bigger than the pot');
+  game = applyAction(game, 1, ACTIONS.ALL_IN);
+  assert(game.players[1].currentBet === 115 && game.players[1].status === PLAYER_STATUS.ACTIVE, 'an all-in request is capped at the pot');
+
+  game = applyAction(game, 2, ACTIONS.FOLD);
+  game = applyAction(game, 0, ACTIONS.CALL);
+  assert(game.phase === PHASES.FLOP, 'preflop complete');
+  const pot = game.players.reduce((acc, p) => acc + p.totalCommitted, 0);
+  legal = getLegalActions(game, game.betting.currentActorIndex);
+  assert(legal.canBet && legal.maxTotalBet === pot, `postflop max bet is the pot (${pot}), got ${legal.maxTotalBet}`);
+}
+
+function testFixedLimitBetting() {
+  let game = createInitialGameState({
+    players: createPlayers(2, 1000),
+    sbAmount: 5,
+    bbAmount: 10,
+    dealerIndex: 0,
+    bettingStructure: BETTING_STRUCTURES.FIXED_LIMIT,
+    raiseCap: 4,
+  });
+  game = startHand(game);
+
+  let legal = getLegalActions(game, 0);
+  assert(legal.minTotalBet === 20 && legal.maxTotalBet === 20 && legal.step === 10, 'preflop raise is exactly one small bet');
+  game = applyAction(game, 0, ACTIONS.RAISE, 500);
+  assert(game.players[0].currentBet === 20, `fixed-limit raise ignores the requested size, got ${game.players[0].currentBet}`);
+  game = applyAction(game, 1, ACTIONS.RAISE, 30);
+  game = applyAction(game, 0, ACTIONS.RAISE, 40);
+  legal = getLegalActions(game, 1);
+  assert(!legal.canRaise && !legal.canAllIn, 'fourth bet caps the round');
+  const capped = applyAction(game, 1, ACTIONS.ALL_IN);
+  assert(capped.players[1].currentBet === 30, 'an all-in cannot raise past the cap');
+  game = applyAction(game, 1, ACTIONS.CALL);
+  assert(game.phase === PHASES.FLOP, 'preflop complete after the cap is called');
+
+  legal = getLegalActions(game, 1);
+  assert(legal.canBet && legal.minTotalBet === 10 && legal.maxTotalBet === 10, 'flop bets are one small bet');
+  game = applyAction(game, 1, ACTIONS.BET, 10);
+  game = applyAction(game, 0, ACTIONS.CALL);
+  assert(game.phase === PHASES.TURN, 'flop complete');
+  legal = getLegalActions(game, 1);
+  assert(legal.minTotalBet === 20 && legal.maxTotalBet === 20 && legal.step === 20, 'turn bets are one big bet');
+  game = applyAction(game, 1, ACTIONS.BET, 5);
+  assert(game.players[1].currentBet === 20, `under-sized limit bet is rounded up to the big bet, got ${game.players[1].currentBet}`);
+}
+
+function testNoLimitStepAndStructureDefaults() {
+  let game = startHand(createInitialGameState({ players: createPlayers(3, 1000), sbAmount: 5, bbAmount: 10, dealerIndex: 0 }));
+  const legal = getLegalActions(game, 0);
+  assert(game.bettingStructure === BETTING_STRUCTURES.NO_LIMIT, 'hold\'em defaults to no-limit');
+  assert(legal.minTotalBet === 20 && legal.maxTotalBet === 1000 && legal.step === 10, 'no-limit raises range from a min-raise to the stack');
+  game = createInitialGameState({ players: createPlayers(3, 1000), sbAmount: 5, bbAmount: 10, variant: VARIANTS.OMAHA });
+  assert(game.bettingStructure === BETTING_STRUCTURES.POT_LIMIT, 'Omaha defaults to pot-limit');
+}
+
+function testEquityCalculator() {
+  // Turn: KK needs one of two kings among 44 river cards
+  let result = calculateEquity([cards('AH AS'), cards('KH KS')], cards('2C 7D 9H QC'));
+  assert(result.exact && result.runouts === 44, 'one card to come is enumerated exactly');
+  assert(Math.abs(result.players[1].equity - 2 / 44) < 1e-12, `KK should have exactly 2/44, got ${result.players[1].equity}`);
+
+  // Same hand ranks: always a split
+  result = calculateEquity([cards('AH KS'), cards('AD KC')], cards('2C 7D 9H QC'));
+  assert(result.players.every(pl => pl.tie === 1 && pl.equity === 0.5), 'identical hands split every runout');
+
+  // Dead cards are removed from the runout deck
+  result = calculateEquity([cards('AH AS'), cards('KH KS')], cards('2C 7D 9H QC'), cards('KD KC'));
+  assert(result.players[1].equity === 0 && result.runouts === 42, 'dead kings leave KK drawing dead');
+
+  // Preflop is sampled; the seed makes it reproducible
+  const a = calculateEquity([cards('AH AS'), cards('KH KS')], [], [], { seed: 7, iterations: 5000 });
+  const b = calculateEquity([cards('AH AS'), cards('KH KS')], [], [], { seed: 7, iterations: 5000 });
+  assert(!a.exact && a.runouts === 5000, 'preflop uses Monte Carlo sampling');
+  assert(JSON.stringify(a) === JSON.stringify(b), 'seeded sampling is reproducible');
+  assert(Math.abs(a.players[0].equity - 0.82) < 0.03, `AA vs KK should be about 82%, got ${a.players[0].equity}`);
+
+  let threw = false;
+  try { calculateEquity([cards('AH AS'), cards('AH KS')]); } catch { threw = true; }
+  assert(threw, 'duplicate cards are rejected');
+}
+
+function testRangeParser() {
+  const classes = (text) => [...new Set(parseRange(text).map(c => c.handClass))].sort().join(' ');
+  assert(countCombos(parseRange('22+')) === 78, '22+ is every pair');
+  assert(countCombos(parseRange('A2s+')) === 48, 'A2s+ is A2s through AKs');
+  assert(classes('KTo+') === 'KJo KQo KTo', `KTo+ stops below KK, got ${classes('KTo+')}`);
+  assert(countCombos(parseRange('QJs')) === 4 && countCombos(parseRange('AK')) === 16, 'plain classes expand to all suits');
+  assert(classes('T9s-T7s') === 'T7s T8s T9s' && countCombos(parseRange('88-66')) === 18, 'spans include both ends');
+  assert(countCombos(parseRange('22+, A2s+, KTo+, QJs')) === 78 + 48 + 36 + 4, 'comma-separated tokens combine');
+
+  const weighted = parseRange('AKs, AKs:0.25, AhKh');
+  assert(countCombos(weighted) === 1.75, 'later tokens override weights, specific combos default to 1');
+
+  // Card removal against the board
+  const board = cards('AH 7C 2D');
+  const aces = parseRange('AA', { deadCards: board });
+  assert(aces.length === 3 && !rangeContains(aces, cards('AH AS')), 'board aces block combos');
+  assert(rangeContains(aces, cards('AS AD')), 'unblocked combos remain');
+
+  let threw = false;
+  try { parseRange('AAs'); } catch { threw = true; }
+  assert(threw, 'invalid tokens are rejected');
+}
+
+function testRangeVsRangeEquity() {
+  const result = calculateRangeEquity(['AA', 'KK'], [], [], { seed: 11, iterations: 4000 });
+  assert(Math.abs(result.players[0].equity - 0.82) < 0.03, `AA vs KK range should be about 82%, got ${result.players[0].equity}`);
+
+  // On a K-high board the kings are way ahead
+  const flop = calculateRangeEquity(['AA', 'KK'], cards('KC 7D 2H'), [], { seed: 11, iterations: 2000 });
+  assert(flop.players[1].equity > 0.85, `set of kings should dominate, got ${flop.players[1].equity}`);
+}
+
+function testAllInRunsOutBoard() {
+  // Three-handed: button shoves, SB folds, BB calls all-in -> board runs out to showdown
+  const game = startHand(createInitialGameState({ players: createPlayers(3, 1000), sbAmount: 10, bbAmount: 20, seed: 7 }));
+  let g = applyAction(game, game.betting.currentActorIndex, ACTIONS.ALL_IN);
+  g = applyAction(g, g.betting.currentActorIndex, ACTIONS.FOLD);
+  g = applyAction(g, g.betting.currentActorIndex, ACTIONS.CALL);
+  assert(g.handOver && g.phase === PHASES.SHOWDOWN, 'All-in call should run out to showdown');
+  assert(g.communityCards.length === 5, 'All-in run-out should deal the full board');
+  const total = g.players.reduce((acc, p) => acc + p.stack, 0);
+  assert(total === 3000, 'Chips should be conserved after an all-in run-out');
+  const awarded = g.log
+    .filter(e => e.type === EVENT_TYPES.POT_AWARDED)
+    .flatMap(e => e.winners)
+    .reduce((acc, w) => acc + w.amount, 0);
+  assert(awarded === 2010, 'Pot awards should add up to the pot');
+}
+
+function testPokerStarsHandHistory() {
+  let g = startHand(createInitialGameState({ players: createPlayers(3, 1000), sbAmount: 10, bbAmount: 20, seed: 42 }));
+  const act = (action, amount = 0) => {
+    g = applyAction(g, g.betting.currentActorIndex, action, amount);
+  };
+  act(ACTIONS.RAISE, 60);
+  act(ACTIONS.CALL);
+  act(ACTIONS.FOLD);
+  act(ACTIONS.RAISE, 100); // rejected (nothing to raise), so never logged
+  act(ACTIONS.BET, 100);
+  act(ACTIONS.FOLD);
+
+  const record = createHandRecord(g, { startedAt: '2026-01-02T03:04:05Z' });
+  assert(record.complete && record.actions.length === 5, 'Record should hold every accepted action');
+  assert(record.uncalled && record.uncalled.amount === 100, 'Unmatched bet should be returned');
+  const text = formatPokerStarsHand(record);
+  const lines = text.split('\n');
+  assert(lines[0] === "PokerStars Hand #1: Hold'em No Limit (10/20) - 2026/01/02 03:04:05 UTC", 'Header line');
+  assert(lines[1] === "Table 'holdem sim' 3-max Seat #1 is the button", 'Table line');
+  for (const expected of [
+    'Seat 1: You (1000 in chips)',
+    'Bot 1: posts small blind 10',
+    'Bot 2: posts big blind 20',
+    'You: raises 40 to 60',
+    'Bot 1: calls 50',
+    'Bot 2: folds',
+    'Bot 1: bets 100',
+    'You: folds',
+    'Uncalled bet (100) returned to Bot 1',
+    'Bot 1 collected 140 from pot',
+    'Total pot 140 | Rake 0',
+    'Seat 3: Bot 2 (big blind) folded before Flop',
+    'Seat 1: You (button) folded on the Flop',
+  ]) {
+    assert(lines.includes(expected), `History should contain "${expected}"`);
+  }
+  assert(text.includes('Dealt to You ['), 'Human hole cards should be dealt');
+  assert(!text.includes('Dealt to Bot 1'), 'Bot hole cards stay hidden unless revealed');
+  assert(!text.includes('*** SHOW DOWN ***'), 'No showdown when everyone folds');
+}
+
+const POKERSTARS_CASH_HAND = `PokerStars Hand #208123456789: Hold'em No Limit ($0.05/$0.10 USD) - 2020/01/15 20:00:00 ET
+Table 'Alcyone II' 6-max Seat #1 is the button
+Seat 1: alice ($10 in chips)
+Seat 2: bob ($10.50 in chips)
+Seat 4: carol ($7.25 in chips)
+Seat 5: dave ($12 in chips) is sitting out
+bob: posts small blind $0.05
+carol: posts big blind $0.10
+*** HOLE CARDS ***
+Dealt to alice [Ah Kd]
+alice: raises $0.20 to $0.30
+bob: folds
+carol: calls $0.20
+*** FLOP *** [Kh 7c 2s]
+carol: checks
+alice: bets $0.45
+carol: calls $0.45
+*** TURN *** [Kh 7c 2s] [9d]
+carol: checks
+alice: bets $1.20
+carol: folds
+Uncalled bet ($1.20) returned to alice
+alice collected $1.48 from pot
+alice: doesn't show hand
+*** SUMMARY ***
+Total pot $1.55 | Rake $0.07
+Board [Kh 7c 2s 9d]
+Seat 1: alice (button) collected ($1.48)
+Seat 2: bob (small blind) folded before Flop
+Seat 4: carol (big blind) folded on the Turn`;
+
+function testReplayPokerStarsHand() {
+  const [record] = parseHandHistory(POKERSTARS_CASH_HAND);
+  assert(record.sbAmount === 5 && record.bbAmount === 10, 'Dollar stakes should become cents');
+  assert(record.seats.length === 3 && record.seats[2].playerIndex === 3, 'Seats keep their numbers; sitting out is skipped');
+  assert(record.actions.length === 9 && record.actions[0].raiseTo === 30, 'Actions should be parsed');
+  const { divergences, finalState } = replayHand(record);
+  assert(divergences.length === 0, `Clean hand should replay without divergences: ${JSON.stringify(divergences)}`);
+  assert(finalState.handOver && finalState.players[0].stack === 1000 + 75 + 5, 'Winner should take the unraked pot');
+  assert(finalState.players[0].holeCards.map(c => c.id).join() === 'AH,KD', 'Recorded hole cards should be dealt');
+
+  // An under-minimum raise is reported, not silently accepted
+  const underRaise = POKERSTARS_CASH_HAND.replace('alice: raises $0.20 to $0.30', 'alice: raises $0.05 to $0.15');
+  const [bad] = replayHandHistory(underRaise);
+  assert(bad.divergences.some(d => d.type === 'illegal-action' && d.step === 0), 'Illegal raise should be a divergence');
+}
+
+const POKERSTARS_MUCKED_HAND = `PokerStars Hand #208123456790: Hold'em No Limit (5/10) - 2020/01/15 20:05:00 ET
+Table 'Alcyone II' 2-max Seat #1 is the button
+Seat 1: alice (1000 in chips)
+Seat 2: bob (1000 in chips)
+alice: posts small blind 5
+bob: posts big blind 10
+*** HOLE CARDS ***
+Dealt to alice [Ah 4d]
+alice: calls 5
+bob: checks
+*** FLOP *** [2c 7d 9h]
+bob: checks
+alice: checks
+*** TURN *** [2c 7d 9h] [Js]
+bob: checks
+alice: checks
+*** RIVER *** [2c 7d 9h Js] [3s]
+bob: checks
+alice: checks
+*** SHOW DOWN ***
+alice: shows [Ah 4d] (high card Ace)
+bob: mucks hand
+alice collected 20 from pot
+*** SUMMARY ***
+Total pot 20 | Rake 0
+Board [2c 7d 9h Js 3s]
+Seat 1: alice (button) (small blind) showed [Ah 4d] and won (20) with high card Ace
+Seat 2: bob (big blind) mucked`;
+
+function testReplayMuckedLoser() {
+  // bob's cards are never shown: whatever the engine deals him, alice's collection stands
+  const [record] = parseHandHistory(POKERSTARS_MUCKED_HAND);
+  assert(!record.holeCards[1], 'A mucked hand has no cards in the record');
+  const first = replayHand(record);
+  assert(first.divergences.length === 0, `A mucked loser is not a payout divergence: ${JSON.stringify(first.divergences)}`);
+  const again = replayHand(record);
+  const cards = (r) => r.finalState.players[1].holeCards.map(c => c.id).join();
+  assert(cards(first) === cards(again), 'Stand-in cards are the same on every replay');
+
+  // The pot total is still checked
+  const [short] = replayHandHistory(POKERSTARS_MUCKED_HAND.replace('alice collected 20 from pot', 'alice collected 15 from pot'));
+  assert(short.divergences.some(d => d.type === 'payout'), 'A wrong collection is still a divergence');
+}
+
+function testReplayRoundTrip() {
+  // Engine hands written out as JSON records and as PokerStars text replay cleanly
+  let game = createInitialGameState({ players: createPlayers(4, 500), sbAmount: 5, bbAmount: 10, seed: 11 });
+  const records = [];
+  for (let h = 0; h < 12 && game.players.filter(p => p.stack > 0).length > 1; h++) {
+    game = startHand(h ? moveButton(game) : game);
+    for (let k = 0; !game.handOver; k++) {
+      const i = game.betting.currentActorIndex;
+      const legal = getLegalActions(game, i);
+      const action = (h + k) % 5 === 0 && legal.canAllIn ? ACTIONS.ALL_IN : (legal.canCheck ? ACTIONS.CHECK : ACTIONS.CALL);
+      game = applyAction(game, i, action);
+    }
+    records.push(createHandRecord(game, { startedAt: '2026-01-01T00:00:00Z' }));
+  }
+  const fromJson = replayHandHistory(JSON.stringify(records));
+  const fromText = replayHandHistory(formatPokerStarsSession(records, { revealAll: true }));
+  assert(fromJson.length === records.length && fromText.length === records.length, 'Every hand should be parsed');
+  [...fromJson, ...fromText].forEach(r => {
+    assert(r.divergences.length === 0, `Hand ${r.record.handId} diverged: ${JSON.stringify(r.divergences)}`);
+  });
+}
+
+function testEventLog() {
+  // Button and BB split a board straight; the SB's folded 5 makes the pot odd
+  const preset = {
+    holeCards: { 0: ['2h', '3d'].map(parseCard), 2: ['2c', '3s'].map(parseCard) },
+    board: ['Th', 'Jd', 'Qs', 'Kc', 'Ad'].map(parseCard),
+  };
+  const stream = createEventStream();
+  const seen = [];
+  stream.subscribe(e => seen.push(e.type));
+  const actions = [];
+  stream.subscribe(e => actions.push(e), { types: [EVENT_TYPES.ACTION] });
+
+  let g = startHand(createInitialGameState({ players: createPlayers(3, 1000), sbAmount: 5, bbAmount: 10, seed: 3 }), { presetCards: preset });
+  stream.publish(g);
+  g = applyAction(g, 0, ACTIONS.CALL);
+  stream.publish(g);
+  g = applyAction(g, 1, ACTIONS.FOLD);
+  stream.publish(g);
+  g = applyAction(g, 2, ACTIONS.CHECK);
+  while (!g.handOver) g = applyAction(g, g.betting.currentActorIndex, ACTIONS.CHECK);
+  stream.publish(g);
+
+  const types = g.log.map(e => e.type);
+  assert(g.log.every((e, i) => e.seq === i && e.handNumber === 1), 'Events are numbered within the hand');
+  assert(types[0] === EVENT_TYPES.HAND_STARTED && types[types.length - 1] === EVENT_TYPES.HAND_ENDED, 'Log spans the hand');
+  assert(types.filter(t => t === EVENT_TYPES.BURN).length === 3, 'One burn per street');
+  assert(types.filter(t => t === EVENT_TYPES.STREET).length === 3, 'Flop, turn and river each start a round');
+  const blinds = g.log.filter(e => e.type === EVENT_TYPES.BLIND);
+  assert(blinds.length === 2 && blinds[0].blind === 'small' && blinds[0].amount === 5 && blinds[1].amount === 10, 'Blinds are logged');
+  const call = g.log.find(e => e.type === EVENT_TYPES.ACTION);
+  assert(call.kind === ACTIONS.CALL && call.amount === 10 && call.street === PHASES.PREFLOP, 'Actions carry exact amounts');
+
+  const oddChip = g.log.find(e => e.type === EVENT_TYPES.ODD_CHIP);
+  assert(oddChip && oddChip.playerIndex === 2 && oddChip.amount === 1, 'Odd chip goes to the first winner left of the button');
+  // Pots split at the SB's 5: 15 (odd, so 7/8) then 10 (5/5)
+  const awards = g.log.filter(e => e.type === EVENT_TYPES.POT_AWARDED);
+  assert(awards.map(a => a.amount).join() === '15,10', 'Each pot is awarded separately');
+  assert(awards[0].winners.map(w => w.amount).join() === '7,8', 'Split pot awards include the odd chip');
+
+  assert(seen.join() === types.join(), 'Stream delivers every event once, in order');
+  assert(actions.length === 9 && actions.every(e => e.type === EVENT_TYPES.ACTION), 'Type filters only deliver matching events');
+  assert(stream.publish(applyAction(g, 0, ACTIONS.CHECK)).length === 0, 'Nothing new after the hand is over');
+}
+
+function testRejectedActionsReportReasons() {
+  // 3-handed, button (seat 0) to act first facing the 20 big blind
+  const game = startHand(createInitialGameState({ players: createPlayers(3, 1000), sbAmount: 10, bbAmount: 20, seed: 5 }));
+  const before = JSON.stringify(game);
+
+  const check = tryApplyAction(game, 0, ACTIONS.CHECK);
+  assert(!check.ok && check.error.code === ACTION_ERRORS.CANNOT_CHECK, 'Check facing a bet is rejected');
+  assert(check.error.legal.callAmount === 20 && check.error.alternatives === 'fold, call 20, raise to 40-1000, all-in', 'Rejections list the legal alternatives');
+  assert(check.state === game && JSON.stringify(game) === before, 'A rejected action leaves the state untouched');
+  assert(applyAction(game, 0, ACTIONS.CHECK) === game, 'applyAction returns the same state when it rejects');
+
+  assert(validateAction(game, 2, ACTIONS.CALL).code === ACTION_ERRORS.NOT_YOUR_TURN, 'Acting out of turn is rejected');
+  assert(validateAction(game, 0, ACTIONS.RAISE, 30).code === ACTION_ERRORS.BELOW_MIN_RAISE, 'Under-min raise is rejected');
+  assert(validateAction(game, 0, ACTIONS.BET, 60).code === ACTION_ERRORS.CANNOT_BET, 'Bet facing a bet is rejected');
+  assert(validateAction(game, 0, 'dance').code === ACTION_ERRORS.UNKNOWN_ACTION, 'Unknown actions are rejected');
+  assert(validateAction(game, 0, ACTIONS.RAISE, 40) === null, 'A min raise is fine');
+  for (const amount of [null, 'abc', NaN, Infinity]) {
+    const bad = tryApplyAction(game, 0, ACTIONS.RAISE, amount);
+    assert(!bad.ok && bad.error.code === ACTION_ERRORS.INVALID_AMOUNT, `Raise to ${amount} is rejected`);
+  }
+
+  let g = applyAction(game, 0, ACTIONS.CALL);
+  g = applyAction(g, 1, ACTIONS.CALL);
+  g = applyAction(g, 2, ACTIONS.CHECK);
+  assert(validateAction(g, g.betting.currentActorIndex, ACTIONS.RAISE, 40).code === ACTION_ERRORS.NOTHING_TO_RAISE, 'Raise with no bet is rejected');
+  assert(validateAction(g, g.betting.currentActorIndex, ACTIONS.BET, 'abc').code === ACTION_ERRORS.INVALID_AMOUNT, 'A bet that is not a number is rejected');
+  const small = tryApplyAction(g, g.betting.currentActorIndex, ACTIONS.BET, 5);
+  assert(!small.ok && small.error.code === ACTION_ERRORS.BELOW_MIN_BET && small.error.alternatives.includes('bet 20-'), `A bet under the big blind is rejected: ${JSON.stringify(small.error)}`);
+  assert(tryApplyAction(g, g.betting.currentActorIndex, ACTIONS.BET, 20).ok, 'A minimum bet is fine');
+
+  // A stack smaller than the minimum bet can still bet it all
+  const shortFlop = structuredClone(g);
+  shortFlop.players[shortFlop.betting.currentActorIndex].stack = 12;
+  const allIn = tryApplyAction(shortFlop, shortFlop.betting.currentActorIndex, ACTIONS.BET, 12);
+  assert(allIn.ok && allIn.state.betting.highestBetThisRound === 12, 'An all-in bet for less than the minimum is allowed');
+
+  // An all-in that can only call is treated as a call
+  const short = createPlayers(3, 1000);
+  short[0].stack = 15;
+  const shortGame = startHand(createInitialGameState({ players: short, sbAmount: 10, bbAmount: 20, seed: 5 }));
+  const shove = tryApplyAction(shortGame, 0, ACTIONS.ALL_IN);
+  assert(shove.ok && shove.state.players[0].stack === 0 && shove.state.players[0].currentBet === 15, 'Short all-in calls for less');
+
+  const folded = applyAction(applyAction(shortGame, 0, ACTIONS.FOLD), 1, ACTIONS.FOLD);
+  assert(validateAction(folded, 2, ACTIONS.CHECK).code === ACTION_ERRORS.HAND_OVER, 'No actions after the hand ends');
+}
+
+function testGameHistoryUndoRedo() {
+  const start = startHand(createInitialGameState({ players: createPlayers(3, 1000), sbAmount: 10, bbAmount: 20, seed: 9 }));
+  let history = createGameHistory(start);
+  assert(!canUndo(history) && !canRedo(history), 'Fresh history has nothing to undo or redo');
+
+  const called = applyAction(start, 0, ACTIONS.CALL);
+  history = recordSnapshot(history, called);
+  const raised = applyAction(called, 1, ACTIONS.RAISE, 60);
+  history = recordSnapshot(history, raised);
+  assert(getSnapshot(history) === raised && getActionNumber(history) === 2, 'Snapshots follow the actions');
+
+  history = undo(history);
+  assert(getSnapshot(history) === called && isTimeTraveling(history) && canRedo(history), 'Undo steps back one action');
+  assert(redo(history).index === 2 && undo(undo(undo(history))).index === 0, 'Redo and undo stay within the history');
+  assert(jumpToAction(history, 0).index === 0 && jumpToAction(history, 7) === history, 'Jump to an action by number');
+  assert(jumpTo(history, 99).index === 2 && getSnapshot(jumpToLatest(history)) === raised, 'Jumps clamp to the latest state');
+
+  // Retrying the decision drops the old future
+  const retried = applyAction(getSnapshot(history), 1, ACTIONS.CALL);
+  history = recordSnapshot(history, retried);
+  assert(history.snapshots.length === 3 && !isTimeTraveling(history) && getSnapshot(history) === retried, 'Acting from a past state replaces the redo states');
+  assert(getSnapshot(undo(history)).players[1].currentBet === 10, 'Snapshots are not mutated by later actions');
+
+  const nextHand = startHand(moveButton(getSnapshot(history)));
+  history = recordSnapshot(history, nextHand);
+  assert(history.snapshots.length === 1 && getSnapshot(history) === nextHand, 'A new hand starts a new history');
+}
+
+// Random legal play across variants, antes and short stacks; every state must pass the invariants
+function testInvariantsHoldOverRandomHands() {
+  const rng = createRng(11);
+  const configs = [
+    { variant: VARIANTS.HOLDEM, bettingStructure: BETTING_STRUCTURES.NO_LIMIT, sbAmount: 5, bbAmount: 10, anteAmount: 1 },
+    { variant: VARIANTS.HOLDEM, bettingStructure: BETTING_STRUCTURES.FIXED_LIMIT, sbAmount: 10, bbAmount: 20 },
+    { variant: VARIANTS.OMAHA, bettingStructure: BETTING_STRUCTURES.POT_LIMIT, sbAmount: 10, bbAmount: 20, anteAmount: 20, anteType: ANTE_TYPES.BIG_BLIND },
+  ];
+  for (const config of configs) {
+    const players = createPlayers(5, 300);
+    players[2].stack = 45; // short stacks make side pots
+    players[4].stack = 77;
+    let g = assertInvariants(createInitialGameState({ players, seed: 3, ...config }));
+    for (let hand = 0; hand < 25 && g.players.filter(p => p.stack > 0).length > 1; hand++) {
+      g = assertInvariants(startHand(hand ? moveButton(g) : g));
+      while (!g.handOver) {
+        const i = g.betting.currentActorIndex;
+        const legal = getLegalActions(g, i);
+        const r = rng.next();
+        if (r < 0.15 && legal.callAmount > 0) g = applyAction(g, i, ACTIONS.FOLD);
+        else if (r < 0.25) g = applyAction(g, i, ACTIONS.ALL_IN);
+        else if (r < 0.45 && (legal.canBet || legal.canRaise)) g = applyAction(g, i, legal.canBet ? ACTIONS.BET : ACTIONS.RAISE, legal.minTotalBet);
+        else g = applyAction(g, i, legal.canCheck ? ACTIONS.CHECK : ACTIONS.CALL);
+        assertInvariants(g);
+      }
+    }
+  }
+
+  // Broken states are reported
+  const g = startHand(createInitialGameState({ players: createPlayers(3, 1000), sbAmount: 10, bbAmount: 20, seed: 1 }));
+  const broken = structuredClone(g);
+  broken.players[0].stack += 5;
+  broken.players[1].currentBet = broken.players[1].totalCommitted + 1;
+  broken.deck.push(broken.players[2].holeCards[0]);
+  broken.betting.currentActorIndex = 2; // the big blind can act, so this one is fine
+  const problems = checkInvariants(broken);
+  assert(problems.length === 4, `Expected 4 problems, got: ${problems.join('; ')}`);
+  broken.betting.currentActorIndex = -1;
+  assert(checkInvariants(broken).length === 5, 'Missing actor is reported');
+
+  const folded = applyAction(applyAction(g, 0, ACTIONS.FOLD), 1, ACTIONS.FOLD);
+  folded.log.find(e => e.type === EVENT_TYPES.POT_AWARDED).winners[0].playerIndex = 0;
+  let threw = false;
+  try {
+    assertInvariants(folded);
+  } catch (e) {
+    threw = /folded seat 0 won pot/.test(e.message);
+  }
+  assert(threw, 'assertInvariants throws when a folded player wins');
+}
+
+function testSimulationRunner() {
+  const options = { players: 4, stacks: 500, strategies: ['random', 'station', 'maniac'], hands: 60, seed: 21, checkInvariants: true };
+  const result = runSimulation(options);
+  assert(result.handsPlayed === 60 && result.seats.every(s => s.handsDealt === 60), 'Rebuys keep every seat in every hand');
+  assert(result.seats.map(s => s.strategy).join() === 'random,station,maniac,random', 'Strategies repeat over the seats');
+  assert(result.seats.reduce((acc, s) => acc + s.net, 0) === 0, 'Results are zero-sum');
+  assert(result.seats.every(s => s.buyIns === 500 * (1 + s.bustOuts - (s.finalStack === 0 ? 1 : 0))), 'Every bust-out but a last-hand one buys back in');
+  assert(result.seats.every(s => s.showdownsWon <= s.showdowns && s.showdowns <= s.handsDealt), 'Showdown counts are consistent');
+  const station = result.seats[1];
+  assert(station.showdownRate === 1 || station.handsWon < 60, 'A calling station reaches showdown unless everyone folds to it');
+  assert(JSON.stringify(runSimulation(options)) === JSON.stringify(result), 'Same seed, same results');
+
+  const csv = formatSimulationCsv(result).split('\n');
+  assert(csv.length === 5 && csv[0].startsWith('seat,name,strategy,handsDealt') && csv[2].startsWith('1,Seat 2 (station),station,60,'), 'CSV has a header and one row per seat');
+
+  const freezeout = runSimulation({ players: 3, stacks: [100, 60, 40], strategies: ['maniac'], hands: 500, rebuy: false });
+  assert(freezeout.handsPlayed < 500 && freezeout.seats.filter(s => s.finalStack > 0).length === 1, 'Without rebuys the run ends with one stack left');
+  assert(freezeout.seats.reduce((acc, s) => acc + s.finalStack, 0) === 200, 'Freezeout chips are conserved');
+
+  // Antes as big as the stacks: every hand is all-in before anyone acts
+  const antes = runSimulation({ players: 2, stacks: 30, sbAmount: 10, bbAmount: 20, anteAmount: 30, hands: 5, checkInvariants: true });
+  assert(antes.handsPlayed === 5 && antes.seats.reduce((acc, s) => acc + s.net, 0) === 0, 'All-in antes play out hand after hand');
+
+  let threw = false;
+  try {
+    runSimulation({ strategies: ['nope'] });
+  } catch (e) {
+    threw = /Unknown bot strategy: nope/.test(e.message);
+  }
+  assert(threw, 'Unknown strategies are rejected');
+}
+
+function testStrategyRegistry() {
+  assert(['random', 'station', 'maniac'].every(name => listStrategies().some(s => s.name === name)), 'Built-in strategies are registered');
+  assert(getStrategy('station').label === 'Calling station', 'Strategies are looked up by name');
+
+  const players = createPlayers(3, 1000);
+  players[1].strategy = 'maniac';
+  const g = startHand(createInitialGameState({ players, sbAmount: 10, bbAmount: 20, seed: 4 }));
+  const view = createPlayerView(g, 0);
+  assert(view.holeCards.length === 2 && view.legal.callAmount === 20 && view.pot === 30, 'The view has own cards, legal actions and the pot');
+  assert(!JSON.stringify(view.players).includes(g.players[1].holeCards[0].id) && !('holeCards' in view.players[1]), 'The view hides other hole cards');
+  assert(view.sbIndex === 1 && view.bbIndex === 2 && view.self.aggressiveLevel === 50, 'The view has positions and bot settings');
+
+  const seen = [];
+  registerStrategy({
+    name: 'test-folder',
+    label: 'Test folder',
+    description: 'Folds facing a bet, records what it saw',
+    decide: (v) => {
+      seen.push(v.playerIndex);
+      return { action: v.legal.canCheck ? ACTIONS.CHECK : ACTIONS.FOLD };
+    },
+  });
+  assert(decideAction(g, 0, { strategy: 'test-folder' }).action === ACTIONS.FOLD && seen[0] === 0, 'Named strategies decide from the view');
+  const afterFold = applyAction(g, 0, ACTIONS.FOLD);
+  assert(decideAction(afterFold, 1, { random: () => 0 }).action === ACTIONS.RAISE, 'Seats default to their own strategy');
+
+  const asked = seen.length;
+  const result = runSimulation({ players: 3, strategies: ['test-folder', 'station'], hands: 20, seed: 2 });
+  assert(result.seats[0].strategy === 'test-folder' && seen.length > asked, 'Registered strategies run in the simulation');
+
+  let threw = false;
+  try {
+    registerStrategy({ name: 'broken' });
+  } catch {
+    threw = true;
+  }
+  assert(threw, 'Strategies need a decide function');
+}
+
+function testAdaptiveBotFollowsSliders() {
+  const cards = (...ids) => ids.map(parseCard);
+  assert(preflopStrength(cards('As', 'Ad')) === 1 && preflopStrength(cards('7c', '2d')) < 0.1, 'Preflop strength ranks starting hands');
+  assert(preflopStrength(cards('Ks', 'Qs')) > preflopStrength(cards('Kd', 'Qc')), 'Suited hands rate higher');
+  const board = cards('Kh', '9c', '4d');
+  assert(postflopStrength(cards('Ks', '2c'), board) > postflopStrength(cards('9s', '2c'), board), 'Top pair beats a lower pair');
+  assert(postflopStrength(cards('9s', '9d'), board) > postflopStrength(cards('Ks', 'Qc'), board), 'A set beats top pair');
+  assert(postflopStrength(cards('As', 'Qc'), cards('7h', '7c', '2d')) === postflopStrength(cards('As', 'Qc'), cards('8h', '5c', '2d')), 'A pair on the board is not our hand');
+
+  // Same unopened spots (first to act, six-handed), different sliders
+  const spots = Array.from({ length: 200 }, (_, seed) => {
+    const g = startHand(createInitialGameState({ players: createPlayers(6, 1000), sbAmount: 10, bbAmount: 20, seed }));
+    return createPlayerView(g, g.betting.currentActorIndex);
+  });
+  const play = (aggressiveLevel, tightLevel) => {
+    const random = createRng(1).next;
+    const moves = spots.map(view => adaptiveStrategy.decide({ ...view, self: { ...view.self, aggressiveLevel, tightLevel } }, { random }));
+    return {
+      played: moves.filter(m => m.action !== ACTIONS.FOLD).length,
+      raised: moves.filter(m => m.action === ACTIONS.RAISE).length,
+      sizes: moves.filter(m => m.action === ACTIONS.RAISE).map(m => m.amount),
+    };
+  };
+  const loose = play(50, 0);
+  const tight = play(50, 100);
+  assert(loose.played > tight.played * 3, `Tightness cuts the hands played (${loose.played} vs ${tight.played})`);
+  const aggressive = play(100, 20);
+  const timid = play(0, 20);
+  assert(aggressive.raised > timid.raised * 2, `Aggression raises more often (${aggressive.raised} vs ${timid.raised})`);
+  assert(Math.min(...aggressive.sizes) > Math.max(...timid.sizes), 'Aggression raises bigger');
+
+  assert(listStrategies()[0].name === 'adaptive' && getStrategy('adaptive') === adaptiveStrategy, 'The adaptive bot is registered');
+}
+
+function testChartBotPositions() {
+  const positionsAt = (count) => {
+    const g = startHand(createInitialGameState({ players: createPlayers(count, 1000), sbAmount: 10, bbAmount: 20, seed: 1 }));
+    const view = createPlayerView(g, 0);
+    return g.players.map((_, i) => getPosition(view, i)).join();
+  };
+  // Dealer is seat 0 in every case
+  assert(positionsAt(6) === 'BTN,SB,BB,UTG,HJ,CO', `6-handed positions: ${positionsAt(6)}`);
+  assert(positionsAt(4) === 'BTN,SB,BB,CO', `4-handed positions: ${positionsAt(4)}`);
+  assert(positionsAt(3) === 'BTN,SB,BB', `3-handed positions: ${positionsAt(3)}`);
+  assert(positionsAt(2) === 'BTN,BB', `Heads-up positions: ${positionsAt(2)}`);
+
+  const players = createPlayers(6, 1000);
+  players[4].stack = 0; // busted seat: the table plays 5-handed
+  const fiveHanded = startHand(createInitialGameState({ players, sbAmount: 10, bbAmount: 20, seed: 1 }));
+  assert(fiveHanded.players.map((_, i) => (i === 4 ? '-' : getPosition(createPlayerView(fiveHanded, 0), i))).join() === 'BTN,SB,BB,HJ,-,CO', 'Busted seats are skipped');
+
+  const bot = createChartStrategy(JSON.stringify(DEFAULT_CHARTS));
+  // UTG (seat 3) gets the given cards, the button (seat 0) K5s
+  const decideWith = (utgCards, actions = []) => {
+    const presetCards = { holeCards: { 3: utgCards.map(parseCard), 0: [parseCard('Ks'), parseCard('5s')] } };
+    let g = startHand(createInitialGameState({ players: createPlayers(6, 1000), sbAmount: 10, bbAmount: 20, seed: 1 }), { presetCards });
+    actions.forEach(([action, amount]) => { g = applyAction(g, g.betting.currentActorIndex, action, amount); });
+    return { g, move: bot.decide(createPlayerView(g, g.betting.currentActorIndex), { random: () => 0.5 }) };
+  };
+  assert(decideWith(['As', 'Ad']).move.action === ACTIONS.RAISE && decideWith(['As', 'Ad']).move.amount === 50, 'UTG opens aces to 2.5bb');
+  assert(decideWith(['7c', '2d']).move.action === ACTIONS.FOLD, 'UTG folds trash');
+  assert(decideWith(['Kc', '5d']).move.action === ACTIONS.FOLD, 'K5o is not an UTG open');
+  // Folds round to the button with K5s
+  const button = decideWith(['7c', '2d'], [[ACTIONS.FOLD], [ACTIONS.FOLD], [ACTIONS.FOLD]]);
+  assert(button.g.betting.currentActorIndex === 0 && button.move.action === ACTIONS.RAISE, 'The button opens K5s');
+  // The button facing an UTG raise: K5s is neither a 3-bet nor a call
+  const facing = decideWith(['7c', '2d'], [[ACTIONS.RAISE, 60], [ACTIONS.FOLD], [ACTIONS.FOLD]]);
+  assert(facing.move.action === ACTIONS.FOLD, 'The button folds K5s to a raise');
+
+  const charts = loadCharts('{"open": {"BTN": "AA"}, "call": {"BB": "22+"}}');
+  assert(charts.open.BTN.length === 6 && charts.threeBet.BB === undefined && charts.call.BB.length === 78, 'Charts load from JSON range strings');
+  for (const bad of ['{"limp": {}}', '{"open": {"MP": "AA"}}', '{"open": {"BTN": "AX"}}']) {
+    let threw = false;
+    try {
+      loadCharts(bad);
+    } catch {
+      threw = true;
+    }
+    assert(threw, `Bad chart rejected: ${bad}`);
+  }
+  assert(getStrategy('chart').label === 'Position charts', 'The chart bot is registered');
+}
+
+function testPushFoldSolver() {
+  const { equity } = getEquityTable();
+  const at = (a, b) => equity[HAND_CLASSES.indexOf(a) * HAND_CLASSES.length + HAND_CLASSES.indexOf(b)];
+  assert(HAND_CLASSES.length === 169, 'Every starting-hand class is listed');
+  assert(Math.abs(at('AA', 'KK') - 0.82) < 0.05, `AA vs KK equity: ${at('AA', 'KK')}`);
+  assert(Math.abs(at('AKo', 'QQ') + at('QQ', 'AKo') - 1) < 1e-9, 'Matchup equities add up to one');
+
+  // Published heads-up 10bb equilibrium: shove about 58%, call about 37%
+  const ten = solvePushFold(10);
+  assert(ten.shovePercent > 50 && ten.shovePercent < 65, `10bb shove range: ${ten.shovePercent}%`);
+  assert(ten.callPercent > 30 && ten.callPercent < 45, `10bb call range: ${ten.callPercent}%`);
+  assert(ten.shove.AA === 1 && ten.call.AA === 1 && ten.call['72o'] === 0, 'Aces shove and call, 72o never calls');
+  assert(ten.shoveRange.startsWith('AA, AKs'), `Shove range notation: ${ten.shoveRange}`);
+  assert(solvePushFold(10) === ten, 'Solutions are cached');
+  const five = solvePushFold(5);
+  const fifteen = solvePushFold(15);
+  assert(five.shovePercent > ten.shovePercent && ten.shovePercent > fifteen.shovePercent, 'Shorter stacks shove wider');
+  assert(solvePushFold(10, { anteBb: 0.25 }).shovePercent > ten.shovePercent, 'Antes widen the shoving range');
+
+  // Heads-up, the button posts the small blind (seat 0) and acts first
+  const headsUp = (stack, cards) => startHand(createInitialGameState({ players: createPlayers(2, stack), sbAmount: 10, bbAmount: 20, seed: 1 }), {
+    presetCards: { holeCards: { 0: cards[0].map(parseCard), 1: cards[1].map(parseCard) } },
+  });
+  const short = headsUp(160, [['As', 'Kd'], ['7c', '2d']]);
+  const shove = pushFoldDecision(createPlayerView(short, 0), { random: () => 0.5 });
+  assert(shove.action === ACTIONS.ALL_IN && shove.amount === 160, `8bb AKo shoves: ${JSON.stringify(shove)}`);
+  assert(pushFoldDecision(createPlayerView(headsUp(1000, [['As', 'Kd'], ['7c', '2d']]), 0)) === null, 'Deep stacks are left to the strategy');
+  assert(pushFoldDecision(createPlayerView(short, 0), { threshold: 0 }) === null, 'A zero threshold turns push/fold off');
+  const trash = pushFoldDecision(createPlayerView(headsUp(160, [['7c', '2d'], ['As', 'Kd']]), 0), { random: () => 0.5 });
+  assert(trash.action === ACTIONS.FOLD, '8bb 72o folds');
+
+  const facing = applyAction(short, 0, ACTIONS.ALL_IN, 160);
+  assert(decideAction(facing, 1, { strategy: 'station', random: () => 0.5 }).action === ACTIONS.FOLD, '72o folds to a shove even for a calling station');
+  assert(decideAction(facing, 1, { strategy: 'station', pushFoldThreshold: 0 }).action === ACTIONS.CALL, 'Without push/fold the strategy decides');
+  const shoveWithKings = applyAction(headsUp(160, [['7c', '2d'], ['Ks', 'Kd']]), 0, ACTIONS.ALL_IN, 160);
+  assert(decideAction(shoveWithKings, 1, { strategy: 'maniac', random: () => 0.5 }).action === ACTIONS.CALL, 'Kings call a shove');
+  // The covering big blind still answers the shorter small blind's shove
+  const coverPlayers = createPlayers(2, 160);
+  coverPlayers[1].stack = 2000;
+  const covered = startHand(createInitialGameState({ players: coverPlayers, sbAmount: 10, bbAmount: 20, seed: 1 }), {
+    presetCards: { holeCards: { 0: ['As', 'Kd'].map(parseCard), 1: ['7c', '2d'].map(parseCard) } },
+  });
+  assert(decideAction(applyAction(covered, 0, ACTIONS.ALL_IN, 160), 1, { strategy: 'maniac', random: () => 0.5 }).action === ACTIONS.FOLD, 'A covering 72o folds to a short shove');
+
+  // Three-handed pots are not heads-up blind battles
+  const threeHanded = startHand(createInitialGameState({ players: createPlayers(3, 160), sbAmount: 10, bbAmount: 20, seed: 1 }));
+  assert(pushFoldDecision(createPlayerView(threeHanded, threeHanded.betting.currentActorIndex)) === null, 'Multiway pots are left to the strategy');
+}
+
+function testIcm() {
+  const near = (a, b) => Math.abs(a - b) < 0.01;
+  const equities = calculateIcm([5000, 3000, 2000], [50, 30, 20]);
+  assert(near(equities[0], 38.39) && near(equities[1], 32.75) && near(equities[2], 28.86), `Three-way ICM: ${equities}`);
+  assert(calculateIcm([600, 400], [100]).join() === '60,40', 'Winner takes all is chip share');
+  assert(calculateIcm([1000, 1000, 1000], [50, 30, 20]).every(ev => near(ev, 100 / 3)), 'Equal stacks split the prizes evenly');
+  // Busted players are worth nothing; places beyond the players left are not paid
+  const busted = calculateIcm([0, 700, 300, 0], [50, 30, 20]);
+  assert(busted[0] === 0 && busted[3] === 0 && near(busted[1] + busted[2], 80), `Busted seats: ${busted}`);
+  const big = calculateIcm([8000, 1000, 1000, 1000, 1000, 1000, 1000, 1000, 1000], [50, 30, 20]);
+  assert(big[0] < 50 && big[0] > big[1] && near(big.reduce((a, b) => a + b, 0), 100), 'Chip leaders are worth less than their chip share');
+  for (const [stacks, payouts] of [[[100, -1], [1]], [[100, 100], [-5]], ['100', [1]]]) {
+    let threw = false;
+    try {
+      calculateIcm(stacks, payouts);
+    } catch {
+      threw = true;
+    }
+    assert(threw, `Bad ICM input rejected: ${JSON.stringify([stacks, payouts])}`);
+  }
+
+  // Calling off a covering all-in: chip EV heads-up, more on the bubble
+  assert(near(icmCallThreshold([1000, 1000], [100], 0, 1), 0.5), 'Heads-up winner takes all needs a coin flip');
+  assert(near(icmCallThreshold([1000, 1000], [100], 0, 1, 500), 0.25), 'Chips already in cut the price');
+  const bubble = icmCallThreshold([1000, 1000, 1000, 200], [50, 30, 20], 0, 1);
+  assert(bubble > 0.6, `Bubble calls need more than a coin flip: ${bubble}`);
+  assert(near(icmCallThreshold([1000, 1000], [60, 40], 0, 1), 0.5), 'Busting still pays the last place left');
+
+  // The big blind facing a shove on the bubble folds hands it calls for chips
+  const shoveSpot = (payouts, hand) => {
+    const players = createPlayers(3, 0);
+    [2000, 1000, 1500].forEach((stack, i) => { players[i].stack = stack; });
+    let spot = startHand(createInitialGameState({ players, sbAmount: 50, bbAmount: 100, dealerIndex: 2, payouts, seed: 1 }));
+    spot = applyAction(spot, 2, ACTIONS.FOLD);
+    spot = applyAction(spot, 0, ACTIONS.ALL_IN);
+    const v = createPlayerView(spot, 1);
+    v.holeCards = parseRange(hand)[0].cards;
+    return pushFoldDecision(v, { random: () => 0.5 }).action;
+  };
+  assert(shoveSpot(null, 'A2o') === ACTIONS.CALL && shoveSpot([65, 35], 'A2o') === ACTIONS.FOLD, 'ICM folds a chip-EV call on the bubble');
+  assert(shoveSpot([65, 35], 'AA') === ACTIONS.CALL, 'Aces still call');
+
+  // Strategies see the payouts in their view
+  const g = startHand(createInitialGameState({ players: createPlayers(3, 1000), sbAmount: 10, bbAmount: 20, payouts: [20, 10], seed: 1 }));
+  const view = createPlayerView(g, g.betting.currentActorIndex);
+  assert(view.payouts.join() === '20,10', 'The view carries the payouts');
+  const seen = [];
+  registerStrategy({
+    name: 'icm-probe',
+    label: 'ICM probe',
+    description: 'Records what the table is worth',
+    decide: (v) => {
+      seen.push(calculateIcm(v.players.map(p => p.stack + p.totalCommitted), v.payouts));
+      return { action: ACTIONS.FOLD };
+    },
+  });
+  decideAction(g, g.betting.currentActorIndex, { strategy: 'icm-probe' });
+  assert(seen.length === 1 && seen[0].every(ev => near(ev, 10)), `A strategy can value the table: ${seen[0]}`);
+  assert(createPlayerView(startHand(createInitialGameState({ players: createPlayers(2, 1000), sbAmount: 10, bbAmount: 20, seed: 1 })), 0).payouts === null, 'No payouts, no prizes');
+}
+
+function testPlayerStats() {
+  // Three-handed, the button (seat 0) acts first preflop and the small blind (seat 1) first after
+  const play = (state, moves) => moves.reduce((g, [action, amount]) => applyAction(g, g.betting.currentActorIndex, action, amount), state);
+  let g = startHand(createInitialGameState({ players: createPlayers(3, 1000), sbAmount: 10, bbAmount: 20, seed: 1 }));
+  // Button opens, small blind 3-bets, big blind folds, button calls; the 3-bettor c-bets and the button folds
+  g = play(g, [[ACTIONS.RAISE, 60], [ACTIONS.RAISE, 180], [ACTIONS.FOLD], [ACTIONS.CALL], [ACTIONS.BET, 200], [ACTIONS.FOLD]]);
+  assert(g.handOver, 'The first stats hand is over');
+  let stats = recordHand(createPlayerStats(), g.log);
+  const button = getPlayerStats(stats, 0);
+  const sb = getPlayerStats(stats, 1);
+  const bb = getPlayerStats(stats, 2);
+  assert(button.hands === 1 && button.vpip === 100 && button.pfr === 100 && button.threeBet === null, `Button stats: ${JSON.stringify(button)}`);
+  assert(button.foldToCbet === 100 && button.wtsd === 0 && button.af === null, `Button folded to the c-bet: ${JSON.stringify(button)}`);
+  assert(sb.threeBet === 100 && sb.af === 1 && sb.foldToCbet === null, `Small blind 3-bet and c-bet: ${JSON.stringify(sb)}`);
+  assert(bb.vpip === 0 && bb.pfr === 0 && bb.threeBet === null && bb.wtsd === null, `Big blind folded: ${JSON.stringify(bb)}`);
+  assert(recordHand(stats, g.log).players[0].hands === 1, 'Recording a hand again replaces it');
+
+  // Limped pot checked down: everyone sees the flop and the showdown, nobody raises.
+  // Seat 1 has the button, seat 0 the big blind.
+  g = startHand(moveButton(g));
+  const checks = Array.from({ length: 9 }, () => [ACTIONS.CHECK]);
+  g = play(g, [[ACTIONS.CALL], [ACTIONS.CALL], [ACTIONS.CHECK], ...checks]);
+  assert(g.handOver, 'The checked-down hand is over');
+  stats = recordHand(stats, g.log);
+  const after = [0, 1, 2].map(i => getPlayerStats(stats, i));
+  assert(after.every(s => s.hands === 2), 'Two hands counted');
+  assert(after[0].vpip === 50 && after[0].pfr === 50 && after[0].wtsd === 50, `Seat 0 after two hands: ${JSON.stringify(after[0])}`);
+  assert(after[1].vpip === 100 && after[1].pfr === 50 && after[1].wtsd === 50, `Seat 1 after two hands: ${JSON.stringify(after[1])}`);
+  assert(after[2].wtsd === 100 && after[2].threeBet === null, `Big blind after two hands: ${JSON.stringify(after[2])}`);
+  assert(getPlayerStats(undefined, 4).hands === 0 && getPlayerStats(stats, 4).vpip === null, 'Unknown seats have no stats');
+
+  // Strategies see everyone's stats in their view
+  const next = startHand(moveButton(g));
+  const view = createPlayerView(next, next.betting.currentActorIndex, { stats });
+  assert(view.players.every((p, i) => p.stats.hands === 2 && p.stats.vpip === after[i].vpip), 'The view carries the stats');
+}
+
 try {
+  testPlayerStats();
+  testIcm();
+  testPushFoldSolver();
+  testChartBotPositions();
+  testAdaptiveBotFollowsSliders();
+  testStrategyRegistry();
+  testSimulationRunner();
+  testInvariantsHoldOverRandomHands();
+  testGameHistoryUndoRedo();
+  testSeededShufflesAreReproducible();
+  testRejectedActionsReportReasons();
+  testEventLog();
+  testReplayPokerStarsHand();
+  testReplayRoundTrip();
+  testReplayMuckedLoser();
+  testAllInRunsOutBoard();
+  testPokerStarsHandHistory();
+  testRangeParser();
+  testRangeVsRangeEquity();
+  testEquityCalculator();
+  testFixedLimitBetting();
+  testNoLimitStepAndStructureDefaults();
+  testOmahaEvaluation();
+  testPotLimitOmaha();
+  testBlindLevelsByHands();
+  testBlindLevelsByClock();
+  testMovingButtonSkipsEliminatedSeats();
+  testDeadButtonRule();
+  testDeadButtonGoingHeadsUp();
+  testPerPlayerAntes();
+  testBigBlindAnte();
+  testAntesAllInRunOut();
+  testHeadsUpBlindsAndActionOrder();
+  testHeadsUpAfterEliminations();
+  testBlindsAllInRunOut();
+  testBigBlindOptionMultiway();
+  testHandEvaluator();
   testSidePots();
   testShortAllInDoesNotReopen();
   testBurnAndStreets();
@@ -0,0 +1,139 @@
+// src/logic/equity.js
+// Hand equity: enumerate every runout when few cards remain, otherwise sample runouts
+// with the engine's seeded RNG. Pure and synchronous, so it runs the same in the
+// browser, in Node, and inside bots.
+
+import { createDeck, createRng, createSeed, VARIANTS } from './pokerLogic.js';
+import { evaluateHandRank, evaluateOmahaRank } from './handEvaluator.js';
+
+const BOARD_SIZE = 5;
+
+export const DEFAULT_EQUITY_OPTIONS = {
+  iterations: 20000, // Monte Carlo runouts
+  maxExactRunouts: 50000, // enumerate when the number of possible runouts is at most this
+  variant: VARIANTS.HOLDEM,
+  seed: undefined, // defaults to a fresh random seed
+};
+
+const cardId = (card) => card.id || `${card.rank}${card.suit}`;
+
+const countCombinations = (n, k) => {
+  let result = 1;
+  for (let i = 0; i < k; i++) result = (result * (n - i)) / (i + 1);
+  return Math.round(result);
+};
+
+// Deck minus every known card; throws on duplicates so bad input can't skew results
+export const remainingDeck = (knownCards) => {
+  const seen = new Set();
+  for (const card of knownCards) {
+    const id = cardId(card);
+    if (seen.has(id)) throw new Error(`Duplicate card: ${id}`);
+    seen.add(id);
+  }
+  return createDeck().filter(c => !seen.has(c.id));
+};
+
+// Scores one complete board. Returns the indices of the winning hands.
+const createShowdown = (hands, variant) => {
+  const sevenCards = hands.map(hand => [...hand, null, null, null, null, null]);
+  const ranks = new Array(hands.length);
+  return (board) => {
+    let best = -1;
+    for (let i = 0; i < hands.length; i++) {
+      let rank;
+      if (variant === VARIANTS.OMAHA) {
+        rank = evaluateOmahaRank(hands[i], board);
+      } else {
+        const cards = sevenCards[i];
+        const offset = hands[i].length;
+        for (let b = 0; b < BOARD_SIZE; b++) cards[offset + b] = board[b];
+        rank = evaluateHandRank(cards);
+      }
+      ranks[i] = rank;
+      if (rank > best) best = rank;
+    }
+    const winners = [];
+    for (let i = 0; i < hands.length; i++) if (ranks[i] === best) winners.push(i);
+    return winners;
+  };
+};
+
+/**
+ * calculateEquity(hands, board, deadCards, options)
+ * - hands: array of hole-card arrays ({ rank, suit } cards), one per player
+ * - board: 0-5 community cards already dealt
+ * - deadCards: cards known to be out of play (burns, mucked hands)
+ * Returns { players: [{ win, tie, equity }], exact, runouts } where win/tie are the
+ * share of runouts won outright / split, and equity counts a split as 1/n of a win.
+ */
+export const calculateEquity = (hands, board = [], deadCards = [], options = {}) => {
+  const opts = { ...DEFAULT_EQUITY_OPTIONS, ...options };
+  if (!hands || hands.length < 2) throw new Error('calculateEquity needs at least two hands');
+  if (board.length > BOARD_SIZE) throw new Error(`Board has ${board.length} cards`);
+
+  const deck = remainingDeck([...hands.flat(), ...board, ...deadCards]);
+  const needed = BOARD_SIZE - board.length;
+  if (deck.length < needed) throw new Error('Not enough cards left to complete the board');
+
+  const showdown = createShowdown(hands, opts.variant);
+  const wins = new Array(hands.length).fill(0);
+  const ties = new Array(hands.length).fill(0);
+  const shares = new Array(hands.length).fill(0);
+  const fullBoard = [...board, ...new Array(needed).fill(null)];
+
+  const score = () => {
+    const winners = showdown(fullBoard);
+    if (winners.length === 1) {
+      wins[winners[0]]++;
+      shares[winners[0]]++;
+      return;
+    }
+    for (const w of winners) {
+      ties[w]++;
+      shares[w] += 1 / winners.length;
+    }
+  };
+
+  const possibleRunouts = countCombinations(deck.length, needed);
+  const exact = possibleRunouts <= opts.maxExactRunouts;
+  let runouts = 0;
+
+  if (exact) {
+    // Walk every k-combination of the remaining deck in lexicographic order
+    const idx = Array.from({ length: needed }, (_, i) => i);
+    for (;;) {
+      for (let i = 0; i < needed; i++) fullBoard[board.length + i] = deck[idx[i]];
+      score();
+      runouts++;
+      let i = needed - 1;
+      while (i >= 0 && idx[i] === deck.length - needed + i) i--;
+      if (i < 0) break;
+      idx[i]++;
+      for (let j = i + 1; j < needed; j++) idx[j] = idx[j - 1] + 1;
+    }
+  } else {
+    const rng = createRng(opts.seed ?? createSeed());
+    const pool = [...deck];
+    for (; runouts < opts.iterations; runouts++) {
+      // Partial Fisher-Yates: the last `needed` slots become the sampled runout
+      for (let i = 0; i < needed; i++) {
+        const last = pool.length - 1 - i;
+        const j = Math.floor(rng.next() * (last + 1));
+        [pool[last], pool[j]] = [pool[j], pool[last]];
+        fullBoard[board.length + i] = pool[last];
+      }
+      score();
+    }
+  }
+
+  return {
+    players: hands.map((_, i) => ({
+      win: wins[i] / runouts,
+      tie: ties[i] / runouts,
+      equity: shares[i] / runouts,
+    })),
+    exact,
+    runouts,
+  };
+};
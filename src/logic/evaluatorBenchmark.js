@@ -0,0 +1,32 @@
+// Hand evaluator throughput benchmark.
+// Run with: node src/logic/evaluatorBenchmark.js [handsPerSize]
+
+import { createDeck, shuffleDeck, createRng, evaluateHand } from './pokerLogic.js';
+import { evaluateHandRank } from './handEvaluator.js';
+
+const HANDS = Number.parseInt(globalThis.process?.argv?.[2], 10) || 200000;
+
+// Pre-deal every sample so only evaluation is timed
+const dealSamples = (size, rng) => {
+  const samples = [];
+  for (let i = 0; i < HANDS; i++) {
+    samples.push(shuffleDeck(createDeck(), rng.next).slice(0, size));
+  }
+  return samples;
+};
+
+const time = (label, samples, fn) => {
+  let checksum = 0;
+  const start = performance.now();
+  for (let i = 0; i < samples.length; i++) checksum ^= fn(samples[i]);
+  const seconds = (performance.now() - start) / 1000;
+  const perSecond = Math.round(samples.length / seconds);
+  console.log(`${label.padEnd(28)} ${perSecond.toLocaleString('en-US').padStart(12)} hands/sec  (checksum ${checksum})`);
+};
+
+const rng = createRng(1);
+for (const size of [5, 6, 7]) {
+  const samples = dealSamples(size, rng);
+  time(`evaluateHandRank (${size} cards)`, samples, evaluateHandRank);
+  time(`evaluateHand (${size} cards)`, samples, cards => evaluateHand(cards.slice(0, 2), cards.slice(2)).rank);
+}
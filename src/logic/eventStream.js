@@ -0,0 +1,37 @@
+// src/logic/eventStream.js
+// Publish/subscribe over the engine's event log. Whoever owns the game state
+// publishes every new state; subscribers get each logged event once, in order,
+// along with the state it was published with.
+
+import { getNewEvents } from './pokerLogic.js';
+
+export const createEventStream = () => {
+  const listeners = new Set();
+  let lastState = null;
+
+  return {
+    // listener(event, state); pass { types } to receive only some event types
+    subscribe(listener, { types = null } = {}) {
+      const entry = { listener, types: types && new Set(types) };
+      listeners.add(entry);
+      return () => listeners.delete(entry);
+    },
+
+    // Emits the events logged since the previously published state
+    publish(state) {
+      const events = getNewEvents(lastState, state);
+      lastState = state;
+      for (const event of events) {
+        for (const { listener, types } of listeners) {
+          if (!types || types.has(event.type)) listener(event, state);
+        }
+      }
+      return events;
+    },
+
+    // Forget the last state (new game); the next publish emits its whole log
+    reset() {
+      lastState = null;
+    },
+  };
+};
@@ -0,0 +1,49 @@
+// src/logic/gameHistory.js
+// Undo/redo over the current hand's game states. Every engine transition
+// returns a fresh state, so the history just keeps them in order with a cursor.
+// Histories are plain values: each function returns a new history (or the same
+// one when nothing changes), which makes them safe to keep in React state.
+
+import { EVENT_TYPES } from './pokerLogic.js';
+
+const countActions = (state) => (state.log || []).filter(e => e.type === EVENT_TYPES.ACTION).length;
+
+export const createGameHistory = (state) => ({ snapshots: [state], index: 0 });
+
+export const getSnapshot = (history) => history.snapshots[history.index];
+
+export const canUndo = (history) => history.index > 0;
+
+export const canRedo = (history) => history.index < history.snapshots.length - 1;
+
+// Looking at a past state: the live game is further ahead
+export const isTimeTraveling = canRedo;
+
+// Adds the state reached from the current snapshot. Any redo states are dropped,
+// and a state from a different hand starts a new history.
+export const recordSnapshot = (history, state) => {
+  if (!history || getSnapshot(history).handNumber !== state.handNumber) return createGameHistory(state);
+  const snapshots = [...history.snapshots.slice(0, history.index + 1), state];
+  return { snapshots, index: snapshots.length - 1 };
+};
+
+export const jumpTo = (history, index) => {
+  const target = Math.max(0, Math.min(history.snapshots.length - 1, index));
+  return target === history.index ? history : { ...history, index: target };
+};
+
+export const undo = (history) => jumpTo(history, history.index - 1);
+
+export const redo = (history) => jumpTo(history, history.index + 1);
+
+export const jumpToLatest = (history) => jumpTo(history, history.snapshots.length - 1);
+
+// Moves to the state right after the nth betting action of the hand (0 = before
+// any action). Unknown action numbers leave the history where it was.
+export const jumpToAction = (history, actionNumber) => {
+  const index = history.snapshots.findIndex(s => countActions(s) === actionNumber);
+  return index === -1 ? history : jumpTo(history, index);
+};
+
+// Betting actions taken up to the current snapshot
+export const getActionNumber = (history) => countActions(getSnapshot(history));
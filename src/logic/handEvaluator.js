@@ -0,0 +1,173 @@
+// src/logic/handEvaluator.js
+// Table-driven hand evaluator: one pass over 5-7 cards builds per-rank counts and
+// 13-bit rank masks (overall + per suit), then straights and kicker picks come from
+// precomputed mask tables. The result is a single integer where a bigger number is
+// a better hand:
+//
+//   rank = tier << 20 | k0 << 16 | k1 << 12 | k2 << 8 | k3 << 4 | k4
+//
+// tier uses the engine's scale (8=StrFlush ... 0=High) and k0..k4 are the kicker
+// rank values (2..14, 1 for the wheel's ace), most significant first.
+
+export const HAND_NAMES = [
+  'High Card',
+  'Pair',
+  'Two Pair',
+  'Three of a Kind',
+  'Straight',
+  'Flush',
+  'Full House',
+  'Four of a Kind',
+  'Straight Flush',
+];
+
+// How many kickers each tier carries in the legacy { tier, kickers } shape
+const KICKER_COUNTS = [5, 4, 3, 3, 5, 5, 2, 2, 5];
+
+const RANK_INDEX = { 2: 0, 3: 1, 4: 2, 5: 3, 6: 4, 7: 5, 8: 6, 9: 7, T: 8, J: 9, Q: 10, K: 11, A: 12 };
+const SUIT_INDEX = { H: 0, C: 1, S: 2, D: 3 };
+
+const MASK_COUNT = 1 << 13;
+
+// --- Precomputed tables (built once at module load) ---
+
+// STRAIGHT_HIGH[mask] = rank value of the straight's top card (5..14), 0 if none
+const STRAIGHT_HIGH = new Uint8Array(MASK_COUNT);
+// TOP_BIT[mask] = index (0..12) of the highest set rank, -1 for an empty mask
+const TOP_BIT = new Int8Array(MASK_COUNT);
+
+const WHEEL_MASK = (1 << 12) | 0b1111; // A-2-3-4-5
+
+for (let mask = 0; mask < MASK_COUNT; mask++) {
+  TOP_BIT[mask] = 31 - Math.clz32(mask); // clz32(0) is 32, giving -1
+  let high = 0;
+  for (let top = 12; top >= 4; top--) {
+    const run = 0b11111 << (top - 4);
+    if ((mask & run) === run) { high = top + 2; break; }
+  }
+  if (!high && (mask & WHEEL_MASK) === WHEEL_MASK) high = 5;
+  STRAIGHT_HIGH[mask] = high;
+}
+
+const pack = (tier, k0 = 0, k1 = 0, k2 = 0, k3 = 0, k4 = 0) =>
+  (tier << 20) | (k0 << 16) | (k1 << 12) | (k2 << 8) | (k3 << 4) | k4;
+
+const packStraight = (tier, high) =>
+  high === 5
+    ? pack(tier, 5, 4, 3, 2, 1)
+    : pack(tier, high, high - 1, high - 2, high - 3, high - 4);
+
+// Packs the top `count` ranks of `mask` as consecutive 4-bit kicker values
+const topKickers = (mask, count) => {
+  let packed = 0;
+  let m = mask;
+  for (let i = 0; i < count; i++) {
+    const bit = TOP_BIT[m];
+    packed = (packed << 4) | (bit + 2);
+    m &= ~(1 << bit);
+  }
+  return packed;
+};
+
+// Scratch buffers reused across calls (evaluation is synchronous)
+const counts = new Uint8Array(13);
+const suitMasks = new Uint16Array(4);
+const suitCounts = new Uint8Array(4);
+
+// Returns a comparable integer rank for 5, 6 or 7 cards ({ rank, suit } objects).
+export const evaluateHandRank = (cards) => {
+  counts.fill(0);
+  suitMasks.fill(0);
+  suitCounts.fill(0);
+  let mask = 0;
+  for (let i = 0; i < cards.length; i++) {
+    const r = RANK_INDEX[cards[i].rank];
+    const s = SUIT_INDEX[cards[i].suit];
+    counts[r]++;
+    suitMasks[s] |= 1 << r;
+    suitCounts[s]++;
+    mask |= 1 << r;
+  }
+
+  // With at most 7 cards a flush can't coexist with quads or a full house,
+  // so flushes are settled first.
+  for (let s = 0; s < 4; s++) {
+    if (suitCounts[s] < 5) continue;
+    const straightHigh = STRAIGHT_HIGH[suitMasks[s]];
+    if (straightHigh) return packStraight(8, straightHigh);
+    return (5 << 20) | topKickers(suitMasks[s], 5);
+  }
+
+  let quad = -1;
+  let trip1 = -1;
+  let trip2 = -1;
+  let pair1 = -1;
+  let pair2 = -1;
+  for (let r = 12; r >= 0; r--) {
+    const c = counts[r];
+    if (c === 4) quad = r;
+    else if (c === 3) {
+      if (trip1 < 0) trip1 = r; else if (trip2 < 0) trip2 = r;
+    } else if (c === 2) {
+      if (pair1 < 0) pair1 = r; else if (pair2 < 0) pair2 = r;
+    }
+  }
+
+  if (quad >= 0) {
+    return pack(7, quad + 2, TOP_BIT[mask & ~(1 << quad)] + 2);
+  }
+  if (trip1 >= 0 && (trip2 >= 0 || pair1 >= 0)) {
+    return pack(6, trip1 + 2, Math.max(trip2, pair1) + 2);
+  }
+  const straightHigh = STRAIGHT_HIGH[mask];
+  if (straightHigh) return packStraight(4, straightHigh);
+  if (trip1 >= 0) {
+    return (3 << 20) | ((trip1 + 2) << 16) | (topKickers(mask & ~(1 << trip1), 2) << 8);
+  }
+  if (pair2 >= 0) {
+    const kicker = TOP_BIT[mask & ~(1 << pair1) & ~(1 << pair2)];
+    return pack(2, pair1 + 2, pair2 + 2, kicker + 2);
+  }
+  if (pair1 >= 0) {
+    return (1 << 20) | ((pair1 + 2) << 16) | (topKickers(mask & ~(1 << pair1), 3) << 4);
+  }
+  return topKickers(mask, 5);
+};
+
+export const getRankTier = (rank) => rank >> 20;
+
+// Expands an integer rank back into the engine's { tier, kickers, name } shape.
+export const describeHandRank = (rank) => {
+  const tier = rank >> 20;
+  const kickers = [];
+  for (let i = 0; i < KICKER_COUNTS[tier]; i++) {
+    kickers.push((rank >> (16 - 4 * i)) & 0xF);
+  }
+  return { tier, kickers, name: HAND_NAMES[tier], rank };
+};
+
+// Omaha: the hand must use exactly two hole cards and three board cards.
+// Checks every 2-of-hole x 3-of-board split (60 with four hole cards and a full board).
+const omahaScratch = new Array(5);
+
+export const evaluateOmahaRank = (holeCards, boardCards) => {
+  let best = -1;
+  for (let h1 = 0; h1 < holeCards.length - 1; h1++) {
+    for (let h2 = h1 + 1; h2 < holeCards.length; h2++) {
+      omahaScratch[0] = holeCards[h1];
+      omahaScratch[1] = holeCards[h2];
+      for (let b1 = 0; b1 < boardCards.length - 2; b1++) {
+        for (let b2 = b1 + 1; b2 < boardCards.length - 1; b2++) {
+          for (let b3 = b2 + 1; b3 < boardCards.length; b3++) {
+            omahaScratch[2] = boardCards[b1];
+            omahaScratch[3] = boardCards[b2];
+            omahaScratch[4] = boardCards[b3];
+            const rank = evaluateHandRank(omahaScratch);
+            if (rank > best) best = rank;
+          }
+        }
+      }
+    }
+  }
+  return best;
+};
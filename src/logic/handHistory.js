@@ -0,0 +1,312 @@
+// src/logic/handHistory.js
+// Hand records and PokerStars-style text export.
+//
+// A hand record is our own JSON format: everything needed to print (or replay) one
+// hand, read off the engine's event log (state.log). formatPokerStarsHand turns a
+// record into the text tracking tools import.
+
+import {
+  ACTIONS,
+  BETTING_STRUCTURES,
+  EVENT_TYPES,
+  PHASES,
+  PLAYER_STATUS,
+  VARIANTS,
+} from './pokerLogic.js';
+
+export const HAND_RECORD_FORMAT = 'agentic-poker-hand/1';
+
+const cardText = (card) => `${card.rank}${card.suit.toLowerCase()}`;
+
+const POST_TYPES = { small: 'small_blind', big: 'big_blind' };
+
+/**
+ * createHandRecord(state, meta)
+ * - state: any state of the hand; a finished hand gives a complete record
+ * - meta: { handId, tableName, startedAt }
+ */
+export const createHandRecord = (state, { handId, tableName = 'holdem sim', startedAt = new Date().toISOString() } = {}) => {
+  const log = state.log || [];
+  const started = log.find(e => e.type === EVENT_TYPES.HAND_STARTED);
+  if (!started) throw new Error('createHandRecord needs a state from startHand');
+  const seats = started.seats
+    .filter(s => s.status !== PLAYER_STATUS.ELIMINATED)
+    .map(({ playerIndex, name, isHuman, stack }) => ({ playerIndex, name, isHuman, stack }));
+
+  const posts = [];
+  const holeCards = {};
+  const board = [];
+  const actions = [];
+  const pots = [];
+  const showdown = [];
+  let uncalled = null;
+  let ended = null;
+  for (const e of log) {
+    switch (e.type) {
+      case EVENT_TYPES.ANTE:
+        posts.push({ playerIndex: e.playerIndex, type: 'ante', amount: e.amount, allIn: e.allIn });
+        break;
+      case EVENT_TYPES.BLIND:
+        posts.push({ playerIndex: e.playerIndex, type: POST_TYPES[e.blind], amount: e.amount, allIn: e.allIn });
+        break;
+      case EVENT_TYPES.HOLE_CARDS:
+        holeCards[e.playerIndex] = e.cards.map(cardText);
+        break;
+      case EVENT_TYPES.BOARD:
+        board.push(...e.cards.map(cardText));
+        break;
+      case EVENT_TYPES.ACTION:
+        actions.push({
+          street: e.street,
+          playerIndex: e.playerIndex,
+          type: e.kind,
+          amount: e.amount,
+          raiseBy: e.raiseBy,
+          raiseTo: e.kind === ACTIONS.BET || e.kind === ACTIONS.RAISE ? e.total : 0,
+          allIn: e.allIn,
+        });
+        break;
+      case EVENT_TYPES.SHOWDOWN:
+        showdown.push({ playerIndex: e.playerIndex, handName: e.hand.name, tier: e.hand.tier, kickers: e.hand.kickers });
+        break;
+      case EVENT_TYPES.UNCALLED_BET:
+        uncalled = { playerIndex: e.playerIndex, amount: e.amount };
+        break;
+      case EVENT_TYPES.POT_AWARDED:
+        pots.push({ amount: e.amount, eligiblePlayers: [...e.eligiblePlayers], awards: e.winners.map(w => ({ ...w })) });
+        break;
+      case EVENT_TYPES.HAND_ENDED:
+        ended = e;
+        break;
+      default:
+        break;
+    }
+  }
+
+  return {
+    format: HAND_RECORD_FORMAT,
+    handId: handId ?? started.handNumber,
+    tableName,
+    startedAt,
+    variant: started.variant || VARIANTS.HOLDEM,
+    bettingStructure: started.bettingStructure || BETTING_STRUCTURES.NO_LIMIT,
+    sbAmount: started.sbAmount,
+    bbAmount: started.bbAmount,
+    anteAmount: started.anteAmount,
+    anteType: started.anteType,
+    maxSeats: started.seats.length,
+    dealerIndex: started.dealerIndex,
+    sbIndex: started.sbIndex,
+    bbIndex: started.bbIndex,
+    seed: started.handSeed,
+    seats,
+    posts,
+    holeCards,
+    board,
+    actions,
+    complete: Boolean(ended),
+    uncalled,
+    pots,
+    showdown: ended?.reason === 'showdown' ? showdown : [],
+    finalStacks: ended ? Object.fromEntries(seats.map(s => [s.playerIndex, ended.stacks[s.playerIndex]])) : null,
+  };
+};
+
+// --- PokerStars text ---
+
+const RANK_WORDS = {
+  2: ['Deuce', 'Deuces'], 3: ['Three', 'Threes'], 4: ['Four', 'Fours'], 5: ['Five', 'Fives'],
+  6: ['Six', 'Sixes'], 7: ['Seven', 'Sevens'], 8: ['Eight', 'Eights'], 9: ['Nine', 'Nines'],
+  10: ['Ten', 'Tens'], 11: ['Jack', 'Jacks'], 12: ['Queen', 'Queens'], 13: ['King', 'Kings'], 14: ['Ace', 'Aces'],
+  1: ['Ace', 'Aces'],
+};
+const one = (v) => RANK_WORDS[v][0];
+const many = (v) => RANK_WORDS[v][1];
+const straightText = (k) => `${one(k[4])} to ${one(k[0])}`;
+
+const describeShowdownHand = ({ tier, kickers: k }) => {
+  switch (tier) {
+    case 8: return k[0] === 14 ? 'a Royal Flush' : `a straight flush, ${straightText(k)}`;
+    case 7: return `four of a kind, ${many(k[0])}`;
+    case 6: return `a full house, ${many(k[0])} full of ${many(k[1])}`;
+    case 5: return `a flush, ${one(k[0])} high`;
+    case 4: return `a straight, ${straightText(k)}`;
+    case 3: return `three of a kind, ${many(k[0])}`;
+    case 2: return `two pair, ${many(k[0])} and ${many(k[1])}`;
+    case 1: return `a pair of ${many(k[0])}`;
+    default: return `high card ${one(k[0])}`;
+  }
+};
+
+const GAME_NAMES = {
+  [VARIANTS.HOLDEM]: "Hold'em",
+  [VARIANTS.OMAHA]: 'Omaha',
+};
+
+const LIMIT_NAMES = {
+  [BETTING_STRUCTURES.NO_LIMIT]: 'No Limit',
+  [BETTING_STRUCTURES.POT_LIMIT]: 'Pot Limit',
+  [BETTING_STRUCTURES.FIXED_LIMIT]: 'Limit',
+};
+
+const STREET_NAMES = {
+  [PHASES.FLOP]: 'Flop',
+  [PHASES.TURN]: 'Turn',
+  [PHASES.RIVER]: 'River',
+};
+
+const pad2 = (n) => String(n).padStart(2, '0');
+const formatDate = (iso) => {
+  const d = new Date(iso);
+  return `${d.getUTCFullYear()}/${pad2(d.getUTCMonth() + 1)}/${pad2(d.getUTCDate())} ${pad2(d.getUTCHours())}:${pad2(d.getUTCMinutes())}:${pad2(d.getUTCSeconds())} UTC`;
+};
+
+const actionLine = (name, a) => {
+  const allIn = a.allIn ? ' and is all-in' : '';
+  switch (a.type) {
+    case 'fold': return `${name}: folds`;
+    case 'check': return `${name}: checks`;
+    case 'call': return `${name}: calls ${a.amount}${allIn}`;
+    case 'bet': return `${name}: bets ${a.raiseTo}${allIn}`;
+    default: return `${name}: raises ${a.raiseBy} to ${a.raiseTo}${allIn}`;
+  }
+};
+
+const POST_TEXT = {
+  ante: 'posts the ante',
+  small_blind: 'posts small blind',
+  big_blind: 'posts big blind',
+};
+
+const potName = (index, count) => (count === 1 || index === 0 ? 'main pot' : `side pot-${index}`);
+
+/**
+ * formatPokerStarsHand(record, { revealAll })
+ * Hole cards are printed for human seats ("Dealt to"), plus every seat when
+ * revealAll is set (useful for bot-only simulations); shown hands always appear.
+ */
+export const formatPokerStarsHand = (record, { revealAll = false } = {}) => {
+  const names = Object.fromEntries(record.seats.map(s => [s.playerIndex, s.name]));
+  const lines = [];
+  const game = `${GAME_NAMES[record.variant] || "Hold'em"} ${LIMIT_NAMES[record.bettingStructure] || 'No Limit'}`;
+  lines.push(`PokerStars Hand #${record.handId}: ${game} (${record.sbAmount}/${record.bbAmount}) - ${formatDate(record.startedAt)}`);
+  lines.push(`Table '${record.tableName}' ${record.maxSeats}-max Seat #${record.dealerIndex + 1} is the button`);
+  record.seats.forEach(s => lines.push(`Seat ${s.playerIndex + 1}: ${s.name} (${s.stack} in chips)`));
+  record.posts.forEach(post => {
+    lines.push(`${names[post.playerIndex]}: ${POST_TEXT[post.type]} ${post.amount}${post.allIn ? ' and is all-in' : ''}`);
+  });
+
+  lines.push('*** HOLE CARDS ***');
+  record.seats.forEach(s => {
+    const cards = record.holeCards[s.playerIndex];
+    if ((revealAll || s.isHuman) && cards?.length) lines.push(`Dealt to ${s.name} [${cards.join(' ')}]`);
+  });
+
+  const board = record.board;
+  const streetHeaders = {
+    [PHASES.FLOP]: `*** FLOP *** [${board.slice(0, 3).join(' ')}]`,
+    [PHASES.TURN]: `*** TURN *** [${board.slice(0, 3).join(' ')}] [${board[3]}]`,
+    [PHASES.RIVER]: `*** RIVER *** [${board.slice(0, 4).join(' ')}] [${board[4]}]`,
+  };
+  const postflop = [PHASES.FLOP, PHASES.TURN, PHASES.RIVER];
+  const streetsDealt = postflop.slice(0, Math.max(0, board.length - 2));
+  const printed = new Set();
+  // Prints any street headers not yet shown, up to `street` (or all dealt streets for null)
+  const printStreetsUpTo = (street) => {
+    for (const s of streetsDealt) {
+      if (street !== null && postflop.indexOf(s) > postflop.indexOf(street)) break;
+      if (printed.has(s)) continue;
+      lines.push(streetHeaders[s]);
+      printed.add(s);
+    }
+  };
+
+  const foldedOn = {};
+  record.actions.forEach(a => {
+    if (a.street !== PHASES.PREFLOP) printStreetsUpTo(a.street);
+    lines.push(actionLine(names[a.playerIndex], a));
+    if (a.type === 'fold') foldedOn[a.playerIndex] = a.street;
+  });
+
+  if (record.uncalled) {
+    lines.push(`Uncalled bet (${record.uncalled.amount}) returned to ${names[record.uncalled.playerIndex]}`);
+  }
+  printStreetsUpTo(null); // run-out cards after an all-in
+
+  // computeSidePots splits at every commitment level, folded players' included;
+  // merge neighbouring pots with the same contenders, then take out the uncalled bet,
+  // which sits alone in the last pot.
+  const pots = [];
+  record.pots.forEach(p => {
+    const prev = pots[pots.length - 1];
+    if (prev && prev.eligiblePlayers.join() === p.eligiblePlayers.join()) {
+      prev.amount += p.amount;
+      p.awards.forEach(a => {
+        const same = prev.awards.find(x => x.playerIndex === a.playerIndex);
+        if (same) same.amount += a.amount; else prev.awards.push({ ...a });
+      });
+      return;
+    }
+    pots.push({ ...p, awards: p.awards.map(a => ({ ...a })) });
+  });
+  if (record.uncalled && pots.length) {
+    const last = pots[pots.length - 1];
+    last.amount -= record.uncalled.amount;
+    const own = last.awards.find(a => a.playerIndex === record.uncalled.playerIndex);
+    if (own) own.amount -= record.uncalled.amount;
+    if (last.amount <= 0) pots.pop();
+  }
+
+  const shown = Object.fromEntries(record.showdown.map(s => [s.playerIndex, s]));
+  if (record.showdown.length) {
+    lines.push('*** SHOW DOWN ***');
+    record.showdown.forEach(s => {
+      lines.push(`${names[s.playerIndex]}: shows [${record.holeCards[s.playerIndex].join(' ')}] (${describeShowdownHand(s)})`);
+    });
+  }
+  const won = {};
+  pots.forEach((pot, i) => {
+    pot.awards.filter(a => a.amount > 0).forEach(a => {
+      won[a.playerIndex] = (won[a.playerIndex] || 0) + a.amount;
+      const from = record.showdown.length ? ` from ${potName(i, pots.length)}` : ' from pot';
+      lines.push(`${names[a.playerIndex]} collected ${a.amount}${from}`);
+    });
+  });
+
+  lines.push('*** SUMMARY ***');
+  const total = pots.reduce((acc, p) => acc + p.amount, 0);
+  const potBreakdown = pots.length > 1
+    ? ` Main pot ${pots[0].amount}.${pots.slice(1).map((p, i) => ` Side pot-${i + 1} ${p.amount}.`).join('')}`
+    : '';
+  lines.push(`Total pot ${total}${potBreakdown} | Rake 0`);
+  if (board.length) lines.push(`Board [${board.join(' ')}]`);
+
+  record.seats.forEach(s => {
+    const i = s.playerIndex;
+    const tags = [
+      i === record.dealerIndex ? 'button' : null,
+      i === record.sbIndex ? 'small blind' : null,
+      i === record.bbIndex ? 'big blind' : null,
+    ].filter(Boolean).map(t => ` (${t})`).join('');
+    let outcome;
+    if (foldedOn[i]) {
+      outcome = foldedOn[i] === PHASES.PREFLOP ? 'folded before Flop' : `folded on the ${STREET_NAMES[foldedOn[i]]}`;
+    } else if (shown[i]) {
+      const cards = record.holeCards[i].join(' ');
+      outcome = won[i]
+        ? `showed [${cards}] and won (${won[i]}) with ${describeShowdownHand(shown[i])}`
+        : `showed [${cards}] and lost with ${describeShowdownHand(shown[i])}`;
+    } else if (won[i]) {
+      outcome = `collected (${won[i]})`;
+    } else {
+      outcome = 'mucked';
+    }
+    lines.push(`Seat ${i + 1}: ${s.name}${tags} ${outcome}`);
+  });
+
+  return lines.join('\n');
+};
+
+// Whole session, hands separated by blank lines the way PokerStars writes files
+export const formatPokerStarsSession = (records, options) =>
+  records.map(r => formatPokerStarsHand(r, options)).join('\n\n\n') + '\n';
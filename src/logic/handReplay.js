@@ -0,0 +1,464 @@
+// src/logic/handReplay.js
+// Hand history import and replay. Histories (our JSON hand records or PokerStars
+// text) are parsed into hand records, then rebuilt through startHand/applyAction
+// with the recorded cards. Anywhere the engine disagrees with the history (whose
+// turn it is, what is legal, how much goes in, pots and payouts) is reported as a
+// divergence instead of stopping the replay.
+
+import {
+  ACTIONS,
+  ANTE_TYPES,
+  BETTING_STRUCTURES,
+  EVENT_TYPES,
+  PHASES,
+  VARIANTS,
+  createInitialGameState,
+  createPlayers,
+  getLegalActions,
+  getNewEvents,
+  startHand,
+  tryApplyAction,
+} from './pokerLogic.js';
+import { HAND_RECORD_FORMAT, createHandRecord } from './handHistory.js';
+
+export const POKERSTARS_FORMAT = 'pokerstars-text';
+
+// Shuffle seed for histories without one (PokerStars), so cards the history
+// doesn't show come out the same on every replay
+const REPLAY_SEED = 1;
+
+// 'Ah' / 'AH' / 'Th' -> engine card { rank, suit, id }
+export const parseCard = (text) => {
+  const m = /^(10|[2-9TJQKA])([hcsd])$/i.exec(String(text).trim());
+  if (!m) throw new Error(`Invalid card: ${text}`);
+  const rank = m[1] === '10' ? 'T' : m[1].toUpperCase();
+  const suit = m[2].toUpperCase();
+  return { rank, suit, id: `${rank}${suit}` };
+};
+
+const parseCardList = (text) => text.trim().split(/\s+/).filter(Boolean).map(parseCard);
+
+// --- PokerStars text ---
+
+const GAME_VARIANTS = { "Hold'em": VARIANTS.HOLDEM, Omaha: VARIANTS.OMAHA };
+const LIMIT_STRUCTURES = {
+  'No Limit': BETTING_STRUCTURES.NO_LIMIT,
+  'Pot Limit': BETTING_STRUCTURES.POT_LIMIT,
+  Limit: BETTING_STRUCTURES.FIXED_LIMIT,
+};
+const STREET_MARKERS = { FLOP: PHASES.FLOP, TURN: PHASES.TURN, RIVER: PHASES.RIVER };
+const ALL_IN_SUFFIX = / and is all-in$/;
+
+/**
+ * parsePokerStarsHand(text)
+ * Parses one PokerStars hand into a hand record (see createHandRecord). Seat N
+ * becomes playerIndex N-1. Cash-game amounts with a currency or decimals are
+ * converted to cents so the engine works in whole chips. Lines the replay can't
+ * model (dead blinds, straddles) are kept in `unsupported`.
+ */
+export const parsePokerStarsHand = (text) => {
+  const lines = text.split(/\r?\n/).map(l => l.trim()).filter(Boolean);
+  const header = /^PokerStars (?:Hand|Game) #(\d+):\s*(.*)$/.exec(lines[0] || '');
+  if (!header) throw new Error('Not a PokerStars hand: missing "PokerStars Hand #" header');
+
+  const game = /(Hold'em|Omaha) (No Limit|Pot Limit|Limit)/.exec(header[2]);
+  if (!game) throw new Error(`Unsupported game: ${header[2]}`);
+  const stakes = /\(([^()/]+)\/([^()\s]+)(?: [A-Z]{3})?\)/.exec(header[2]);
+  if (!stakes) throw new Error('Missing stakes in hand header');
+  const scale = /[$€£.]/.test(stakes[0]) ? 100 : 1;
+  const amount = (s) => Math.round(Number.parseFloat(s.replace(/[$€£,]/g, '')) * scale);
+  const date = /(\d{4})\/(\d{2})\/(\d{2}) (\d{1,2}):(\d{2}):(\d{2})/.exec(header[2]);
+
+  const record = {
+    format: POKERSTARS_FORMAT,
+    handId: header[1],
+    tableName: '',
+    startedAt: date ? new Date(Date.UTC(+date[1], +date[2] - 1, +date[3], +date[4], +date[5], +date[6])).toISOString() : null,
+    variant: GAME_VARIANTS[game[1]],
+    bettingStructure: LIMIT_STRUCTURES[game[2]],
+    sbAmount: amount(stakes[1]),
+    bbAmount: amount(stakes[2]),
+    anteAmount: 0,
+    anteType: ANTE_TYPES.PER_PLAYER,
+    maxSeats: 0,
+    dealerIndex: -1,
+    sbIndex: -1,
+    bbIndex: -1,
+    seats: [],
+    posts: [],
+    holeCards: {},
+    board: [],
+    actions: [],
+    complete: false,
+    uncalled: null,
+    pots: [],
+    totalPot: null,
+    rake: 0,
+    unsupported: [],
+  };
+
+  // Longest names first so 'Bot 10' never matches as 'Bot 1'
+  let names = [];
+  const seatOf = (name) => record.seats.find(s => s.name === name)?.playerIndex ?? -1;
+  const splitActor = (line) => {
+    const name = names.find(n => line.startsWith(`${n}: `));
+    return name ? [seatOf(name), line.slice(name.length + 2)] : [-1, line];
+  };
+
+  let section = 'seats';
+  let street = PHASES.PREFLOP;
+  let streetBets = {};
+  const potAwards = new Map();
+
+  for (const line of lines.slice(1)) {
+    const marker = /^\*\*\* (.+?) \*\*\*(.*)$/.exec(line);
+    if (marker) {
+      const name = marker[1];
+      if (name === 'HOLE CARDS') section = 'action';
+      else if (STREET_MARKERS[name]) {
+        section = 'action';
+        street = STREET_MARKERS[name];
+        streetBets = {};
+        const groups = [...marker[2].matchAll(/\[([^\]]+)\]/g)].map(g => g[1]);
+        record.board = parseCardList(groups.join(' ')).map(c => `${c.rank}${c.suit.toLowerCase()}`);
+      } else if (name === 'SHOW DOWN') section = 'showdown';
+      else if (name === 'SUMMARY') section = 'summary';
+      else record.unsupported.push(line);
+      continue;
+    }
+
+    if (section === 'seats') {
+      const table = /^Table '(.+)' (\d+)-max Seat #(\d+) is the button/.exec(line);
+      if (table) {
+        record.tableName = table[1];
+        record.maxSeats = Number(table[2]);
+        record.dealerIndex = Number(table[3]) - 1;
+        continue;
+      }
+      const seat = /^Seat (\d+): (.+) \((\S+) in chips(?:, [^)]*)?\)(.*)$/.exec(line);
+      if (seat) {
+        if (/sitting out/.test(seat[4])) continue;
+        record.seats.push({ playerIndex: Number(seat[1]) - 1, name: seat[2], isHuman: false, stack: amount(seat[3]) });
+        names = record.seats.map(s => s.name).sort((a, b) => b.length - a.length);
+        continue;
+      }
+    }
+
+    const dealt = /^Dealt to (.+?) \[([^\]]+)\]$/.exec(line);
+    if (dealt) {
+      const i = seatOf(dealt[1]);
+      if (i >= 0) {
+        record.holeCards[i] = dealt[2].trim().split(/\s+/);
+        record.seats.find(s => s.playerIndex === i).isHuman = true;
+      }
+      continue;
+    }
+    const uncalled = /^Uncalled bet \((\S+)\) returned to (.+)$/.exec(line);
+    if (uncalled) {
+      record.uncalled = { playerIndex: seatOf(uncalled[2]), amount: amount(uncalled[1]) };
+      continue;
+    }
+    const collected = /^(.+?) collected (\S+) from (pot|main pot|side pot(?:-\d+)?)$/.exec(line);
+    if (collected && section !== 'summary') {
+      const pot = collected[3];
+      if (!potAwards.has(pot)) potAwards.set(pot, []);
+      potAwards.get(pot).push({ playerIndex: seatOf(collected[1]), amount: amount(collected[2]) });
+      continue;
+    }
+
+    if (section === 'summary') {
+      const total = /^Total pot (\S+)/.exec(line);
+      if (total) record.totalPot = amount(total[1]);
+      const rake = /\| Rake (\S+)/.exec(line);
+      if (rake) record.rake = amount(rake[1]);
+      const board = /^Board \[([^\]]+)\]$/.exec(line);
+      if (board) record.board = board[1].trim().split(/\s+/);
+      const shown = /^Seat (\d+): .*?(?:showed|mucked) \[([^\]]+)\]/.exec(line);
+      if (shown) record.holeCards[Number(shown[1]) - 1] = shown[2].trim().split(/\s+/);
+      continue;
+    }
+
+    const [playerIndex, rest] = splitActor(line);
+    if (playerIndex < 0) continue; // table chatter, joins, timeouts
+    const allIn = ALL_IN_SUFFIX.test(rest);
+    const verb = rest.replace(ALL_IN_SUFFIX, '');
+    let m;
+    if ((m = /^posts (small blind|big blind|the ante) (\S+)$/.exec(verb))) {
+      const type = { 'small blind': 'small_blind', 'big blind': 'big_blind', 'the ante': 'ante' }[m[1]];
+      const posted = amount(m[2]);
+      record.posts.push({ playerIndex, type, amount: posted, allIn });
+      if (type === 'ante') record.anteAmount = Math.max(record.anteAmount, posted);
+      else streetBets[playerIndex] = (streetBets[playerIndex] || 0) + posted;
+      if (type === 'small_blind') record.sbIndex = playerIndex;
+      if (type === 'big_blind') record.bbIndex = playerIndex;
+    } else if ((m = /^shows \[([^\]]+)\]/.exec(verb))) {
+      record.holeCards[playerIndex] = m[1].trim().split(/\s+/);
+    } else if (verb === 'folds' || verb === 'checks') {
+      record.actions.push({ street, playerIndex, type: verb === 'folds' ? 'fold' : 'check', amount: 0, raiseBy: 0, raiseTo: 0, allIn: false });
+    } else if ((m = /^(calls|bets) (\S+)$/.exec(verb)) || (m = /^(raises) \S+ to (\S+)$/.exec(verb))) {
+      const before = streetBets[playerIndex] || 0;
+      const highest = Math.max(0, ...Object.values(streetBets));
+      const value = amount(m[2]);
+      const type = { calls: 'call', bets: 'bet', raises: 'raise' }[m[1]];
+      const raiseTo = type === 'call' ? 0 : value;
+      const put = type === 'call' ? value : value - before;
+      streetBets[playerIndex] = before + put;
+      record.actions.push({ street, playerIndex, type, amount: put, raiseBy: type === 'raise' ? value - highest : 0, raiseTo, allIn });
+    } else if (/^posts /.test(verb)) {
+      record.unsupported.push(line);
+    }
+  }
+
+  // A lone ante from the big blind is a big-blind ante
+  const antes = record.posts.filter(p => p.type === 'ante');
+  if (antes.length === 1 && antes[0].playerIndex === record.bbIndex) {
+    record.anteType = ANTE_TYPES.BIG_BLIND;
+  }
+  record.complete = potAwards.size > 0;
+  const potOrder = (name) => (name === 'pot' || name === 'main pot' ? 0 : Number(name.split('-')[1]) || 1);
+  record.pots = [...potAwards.entries()]
+    .sort(([a], [b]) => potOrder(a) - potOrder(b))
+    .map(([name, awards]) => ({ name, amount: awards.reduce((acc, a) => acc + a.amount, 0), awards }));
+  return record;
+};
+
+// Splits a file of PokerStars hands (separated by blank lines) into hand texts
+const splitPokerStarsHands = (text) =>
+  text.split(/\r?\n(?=PokerStars (?:Hand|Game) #)/).map(t => t.trim()).filter(Boolean);
+
+/**
+ * parseHandHistory(text)
+ * Accepts our JSON (one hand record, an array of them, or { hands: [...] }) or
+ * PokerStars text with any number of hands. Returns an array of hand records.
+ */
+export const parseHandHistory = (text) => {
+  const trimmed = String(text || '').replace(/^\uFEFF/, '').trim();
+  if (trimmed.startsWith('{') || trimmed.startsWith('[')) {
+    const data = JSON.parse(trimmed);
+    const hands = Array.isArray(data) ? data : data.hands || [data];
+    hands.forEach((h, i) => {
+      if (h.format !== HAND_RECORD_FORMAT) throw new Error(`Hand ${i}: unknown record format ${h.format}`);
+    });
+    return hands;
+  }
+  return splitPokerStarsHands(trimmed).map(parsePokerStarsHand);
+};
+
+// --- Replay ---
+
+// Chips each seat collected according to the record, uncalled bets excluded
+const recordedCollections = (record) => {
+  const collected = {};
+  record.pots.forEach(pot => pot.awards.forEach(a => {
+    collected[a.playerIndex] = (collected[a.playerIndex] || 0) + a.amount;
+  }));
+  // Our JSON pots still hold the uncalled bet; PokerStars lists it separately
+  if (record.format === HAND_RECORD_FORMAT && record.uncalled) {
+    const owner = record.uncalled.playerIndex;
+    collected[owner] = (collected[owner] || 0) - record.uncalled.amount;
+  }
+  return collected;
+};
+
+const recordedTotalPot = (record) => {
+  if (record.totalPot !== null && record.totalPot !== undefined) return record.totalPot;
+  const total = record.pots.reduce((acc, p) => acc + p.amount, 0);
+  return total - (record.uncalled?.amount || 0);
+};
+
+// Engine action for a recorded one; shoves go through ALL_IN so short all-ins work
+const toEngineAction = (a) => {
+  switch (a.type) {
+    case 'fold': return [ACTIONS.FOLD, 0];
+    case 'check': return [ACTIONS.CHECK, 0];
+    case 'call': return [ACTIONS.CALL, 0];
+    case 'bet': return a.allIn ? [ACTIONS.ALL_IN, 0] : [ACTIONS.BET, a.raiseTo];
+    default: return a.allIn ? [ACTIONS.ALL_IN, 0] : [ACTIONS.RAISE, a.raiseTo];
+  }
+};
+
+// Why a recorded action is illegal for the engine, or null when it's fine
+const illegalReason = (a, legal, player) => {
+  switch (a.type) {
+    case 'fold':
+      return legal.canFold ? null : 'fold is not legal';
+    case 'check':
+      return legal.canCheck ? null : `check is not legal, ${legal.callAmount} to call`;
+    case 'call':
+      if (!legal.canCall) return 'call is not legal';
+      if (a.amount !== Math.min(legal.callAmount, player.stack)) return `called ${a.amount}, engine says ${legal.callAmount} to call`;
+      return null;
+    default: {
+      if (a.allIn) return legal.canAllIn ? null : `all-in ${a.type} is not legal`;
+      if (!(a.type === 'bet' ? legal.canBet : legal.canRaise)) return `${a.type} is not legal`;
+      if (a.raiseTo < legal.minTotalBet || a.raiseTo > legal.maxTotalBet) {
+        return `${a.type} to ${a.raiseTo} is outside ${legal.minTotalBet}-${legal.maxTotalBet}`;
+      }
+      return null;
+    }
+  }
+};
+
+const summarizeLegal = (legal) => ({
+  fold: legal.canFold,
+  check: legal.canCheck,
+  call: legal.canCall ? legal.callAmount : null,
+  bet: legal.canBet ? [legal.minTotalBet, legal.maxTotalBet] : null,
+  raise: legal.canRaise ? [legal.minTotalBet, legal.maxTotalBet] : null,
+  allIn: legal.canAllIn,
+});
+
+/**
+ * replayHand(record)
+ * Rebuilds a recorded hand through the engine. Returns
+ * { record, states, finalState, divergences } where states[0] is the dealt hand,
+ * states[k] the state after action k, and each divergence is
+ * { step, type, message, expected, actual } (step -1 = setup, actions.length = result).
+ * Cards the record doesn't have are shuffled from record.seed (or a fixed seed),
+ * and unshown hands at showdown count as mucked.
+ */
+export const replayHand = (record) => {
+  const divergences = [];
+  const diverge = (step, type, message, expected, actual) => divergences.push({ step, type, message, expected, actual });
+
+  const seatCount = Math.max(record.maxSeats || 0, ...record.seats.map(s => s.playerIndex + 1));
+  const seatsByIndex = Object.fromEntries(record.seats.map(s => [s.playerIndex, s]));
+  const names = Array.from({ length: seatCount }, (_, i) => seatsByIndex[i]?.name || `Seat ${i + 1}`);
+  const nameOf = (i) => names[i] ?? `Seat ${i + 1}`;
+  const players = createPlayers(seatCount, 0, names).map((p, i) => ({
+    ...p,
+    isHuman: Boolean(seatsByIndex[i]?.isHuman),
+    stack: seatsByIndex[i]?.stack || 0,
+  }));
+
+  let state = createInitialGameState({
+    players,
+    sbAmount: record.sbAmount,
+    bbAmount: record.bbAmount,
+    dealerIndex: Math.max(0, record.dealerIndex),
+    anteAmount: record.anteAmount || 0,
+    anteType: record.anteType || ANTE_TYPES.PER_PLAYER,
+    variant: record.variant,
+    bettingStructure: record.bettingStructure,
+    seed: record.seed ?? REPLAY_SEED,
+  });
+  // Blind seats come from the history (dead button, missed blinds)
+  if (record.sbIndex >= 0 && record.bbIndex >= 0) {
+    state.pendingBlindSeats = { sbIndex: record.sbIndex, bbIndex: record.bbIndex };
+  }
+  record.unsupported?.forEach(line => diverge(-1, 'unsupported', `Not modelled by the engine: ${line}`, line, null));
+
+  const holeCards = Object.fromEntries(Object.entries(record.holeCards || {}).map(([i, cs]) => [i, cs.map(parseCard)]));
+  state = startHand(state, { presetCards: { holeCards, board: (record.board || []).map(parseCard) } });
+  const states = [state];
+
+  // Antes and blinds
+  const recordedPosts = {};
+  record.posts.forEach(p => {
+    const seat = recordedPosts[p.playerIndex] || (recordedPosts[p.playerIndex] = { ante: 0, blind: 0 });
+    seat[p.type === 'ante' ? 'ante' : 'blind'] += p.amount;
+  });
+  state.players.forEach((p, i) => {
+    const expected = recordedPosts[i] || { ante: 0, blind: 0 };
+    const actual = { ante: p.totalCommitted - p.currentBet, blind: p.currentBet };
+    if (expected.ante !== actual.ante || expected.blind !== actual.blind) {
+      diverge(-1, 'posts', `${nameOf(i)} posted ante ${actual.ante} / blind ${actual.blind}, history has ${expected.ante} / ${expected.blind}`, expected, actual);
+    }
+  });
+
+  for (const [step, a] of record.actions.entries()) {
+    if (state.handOver) {
+      diverge(step, 'hand-over', `Engine ended the hand before ${nameOf(a.playerIndex)} ${a.type}s`, a, null);
+      break;
+    }
+    if (a.street !== state.phase) {
+      diverge(step, 'street', `History has this action on the ${a.street}, engine is on the ${state.phase}`, a.street, state.phase);
+    }
+    const actor = state.betting.currentActorIndex;
+    if (actor !== a.playerIndex) {
+      diverge(step, 'actor', `History has ${nameOf(a.playerIndex)} acting, engine expects ${nameOf(actor)}`, a.playerIndex, actor);
+    }
+    const legal = getLegalActions(state, a.playerIndex);
+    const reason = illegalReason(a, legal, state.players[a.playerIndex]);
+    if (reason) diverge(step, 'illegal-action', `${nameOf(a.playerIndex)}: ${reason}`, a, summarizeLegal(legal));
+
+    const [action, amount] = toEngineAction(a);
+    const result = tryApplyAction(state, a.playerIndex, action, amount);
+    if (!result.ok) {
+      diverge(step, 'rejected', `Engine rejected ${nameOf(a.playerIndex)} ${a.type}: ${result.error.message}`, a, result.error.code);
+      break;
+    }
+    const next = result.state;
+    const put = getNewEvents(state, next).find(e => e.type === EVENT_TYPES.ACTION).amount;
+    if (put !== a.amount) {
+      diverge(step, 'amount', `${nameOf(a.playerIndex)} put in ${put}, history has ${a.amount}`, a.amount, put);
+    }
+    state = next;
+    states.push(state);
+  }
+
+  const end = record.actions.length;
+  if (record.complete && !state.handOver) {
+    diverge(end, 'incomplete', `Engine is still waiting on ${nameOf(state.betting.currentActorIndex)}`, null, state.betting.currentActorIndex);
+  }
+  if (record.complete && state.handOver) {
+    const board = state.communityCards.map(c => c.id);
+    const recordedBoard = (record.board || []).map(c => parseCard(c).id);
+    if (board.join() !== recordedBoard.join()) {
+      diverge(end, 'board', `Engine dealt ${board.length} board cards, history has ${recordedBoard.length}`, recordedBoard, board);
+    }
+
+    const engineRecord = createHandRecord(state);
+    const engineUncalled = engineRecord.uncalled;
+    const uncalledText = (u) => (u ? `${u.amount} to ${nameOf(u.playerIndex)}` : 'none');
+    if (uncalledText(engineUncalled) !== uncalledText(record.uncalled)) {
+      diverge(end, 'uncalled', `Uncalled bet: engine ${uncalledText(engineUncalled)}, history ${uncalledText(record.uncalled)}`, record.uncalled, engineUncalled);
+    }
+
+    const committed = state.players.reduce((acc, p) => acc + p.totalCommitted, 0);
+    const enginePot = committed - (engineUncalled?.amount || 0);
+    const recordedPot = recordedTotalPot(record);
+    if (enginePot !== recordedPot) {
+      diverge(end, 'pot', `Engine pot ${enginePot}, history ${recordedPot}`, recordedPot, enginePot);
+    }
+
+    // Hands that were mucked or never shown got stand-in cards from the engine,
+    // so who wins the pots they contest can't be checked, only what those pots paid
+    const unshown = new Set(state.log
+      .filter(e => e.type === EVENT_TYPES.SHOWDOWN && !holeCards[e.playerIndex])
+      .map(e => e.playerIndex));
+    const contested = new Set(engineRecord.pots
+      .filter(pot => pot.eligiblePlayers.length > 1 && pot.eligiblePlayers.some(i => unshown.has(i)))
+      .flatMap(pot => pot.eligiblePlayers));
+
+    const expected = recordedCollections(record);
+    const engineCollected = recordedCollections(engineRecord);
+    const won = state.players.map((_, i) => engineCollected[i] || 0);
+    const rake = record.rake || 0;
+    if (rake === 0) {
+      const contestedTotal = (amounts) => [...contested].reduce((acc, i) => acc + (amounts[i] || 0), 0);
+      if (contestedTotal(won) !== contestedTotal(expected)) {
+        diverge(end, 'payout', `Pots with unshown hands paid ${contestedTotal(won)}, history has ${contestedTotal(expected)}`, contestedTotal(expected), contestedTotal(won));
+      }
+      won.forEach((amount, i) => {
+        if (contested.has(i)) return;
+        if (amount !== (expected[i] || 0)) {
+          diverge(end, 'payout', `${nameOf(i)} collected ${amount}, history has ${expected[i] || 0}`, expected[i] || 0, amount);
+        }
+      });
+    } else {
+      // The engine doesn't rake, so only the winners and the raked total must agree
+      const winners = (amounts) => amounts.map((a, i) => (a > 0 && !contested.has(i) ? i : -1)).filter(i => i >= 0).join();
+      const expectedList = won.map((_, i) => expected[i] || 0);
+      const paid = expectedList.reduce((acc, a) => acc + a, 0);
+      if (winners(won) !== winners(expectedList) || paid + rake !== enginePot) {
+        diverge(end, 'payout', `Engine paid ${won.join('/')}, history ${expectedList.join('/')} plus ${rake} rake`, expectedList, won);
+      }
+    }
+  }
+
+  return { record, states, finalState: state, divergences };
+};
+
+// Parses and replays every hand in a history file
+export const replayHandHistory = (text) => parseHandHistory(text).map(replayHand);
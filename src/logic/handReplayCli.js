@@ -0,0 +1,25 @@
+// Replays a hand history file through the engine and lists every divergence.
+// Run with: node src/logic/handReplayCli.js <history.txt|history.json>
+
+import { readFileSync } from 'node:fs';
+import { replayHandHistory } from './handReplay.js';
+
+const file = globalThis.process?.argv?.[2];
+if (!file) {
+  console.error('Usage: node src/logic/handReplayCli.js <history file>');
+  globalThis.process.exit(2);
+}
+
+const results = replayHandHistory(readFileSync(file, 'utf8'));
+let diverged = 0;
+for (const { record, divergences } of results) {
+  if (divergences.length === 0) continue;
+  diverged++;
+  console.log(`Hand #${record.handId}:`);
+  divergences.forEach(d => {
+    const where = d.step < 0 ? 'setup' : d.step >= record.actions.length ? 'result' : `action ${d.step + 1}`;
+    console.log(`  [${where}] ${d.type}: ${d.message}`);
+  });
+}
+console.log(`${results.length} hands replayed, ${diverged} with divergences`);
+globalThis.process.exitCode = diverged > 0 ? 1 : 0;
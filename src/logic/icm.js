@@ -0,0 +1,72 @@
+// src/logic/icm.js
+// Independent Chip Model: what a tournament stack is worth in prize money.
+// A player finishes first with probability stack / chips in play; given who
+// finished ahead, the next place goes the same way among the rest (Malmuth-Harville).
+
+// --- Equity ---
+
+const validate = (stacks, payouts) => {
+  if (!Array.isArray(stacks) || stacks.some(s => !Number.isFinite(s) || s < 0)) {
+    throw new Error('ICM stacks must be chip counts of zero or more');
+  }
+  if (!Array.isArray(payouts) || payouts.some(p => !Number.isFinite(p) || p < 0)) {
+    throw new Error('ICM payouts must be prize amounts of zero or more');
+  }
+  if (stacks.length > 30) throw new Error(`ICM supports up to 30 players, got ${stacks.length}`);
+};
+
+/**
+ * calculateIcm(stacks, payouts) -> [equity per player]
+ * stacks: chips per player (0 = already out, worth nothing)
+ * payouts: prizes still to be won, first place first ([50, 30, 20])
+ * Places beyond the players left are never paid.
+ */
+export const calculateIcm = (stacks, payouts) => {
+  validate(stacks, payouts);
+  const alive = stacks.map((s, i) => i).filter(i => stacks[i] > 0);
+  // Equity of every player in `mask` once everyone else has finished above them
+  const memo = new Map();
+  const equityOf = (mask, place) => {
+    if (place >= payouts.length || mask === 0) return null;
+    if (memo.has(mask)) return memo.get(mask);
+    const members = alive.filter(i => mask & (1 << i));
+    const total = members.reduce((acc, i) => acc + stacks[i], 0);
+    const result = new Map(members.map(i => [i, 0]));
+    for (const i of members) {
+      const p = stacks[i] / total;
+      result.set(i, result.get(i) + p * payouts[place]);
+      const rest = equityOf(mask & ~(1 << i), place + 1);
+      if (rest) rest.forEach((ev, j) => result.set(j, result.get(j) + p * ev));
+    }
+    memo.set(mask, result);
+    return result;
+  };
+  const full = alive.reduce((mask, i) => mask | (1 << i), 0);
+  const equities = equityOf(full, 0);
+  return stacks.map((_, i) => equities?.get(i) ?? 0);
+};
+
+// --- Decisions ---
+
+/**
+ * icmCallThreshold(stacks, payouts, hero, villain, heroCommitted = 0) -> 0..1
+ * Share of the time `hero` must win an all-in against `villain` for calling to be
+ * worth more prize money than folding. stacks are totals before the all-in (chips
+ * already in the pot included); folding gives up heroCommitted to the villain.
+ * Without payout pressure this is the chip-EV price; near the money it is higher.
+ */
+export const icmCallThreshold = (stacks, payouts, hero, villain, heroCommitted = 0) => {
+  const atRisk = Math.min(stacks[hero], stacks[villain]);
+  const after = (heroChange) => {
+    const next = [...stacks];
+    next[hero] += heroChange;
+    next[villain] -= heroChange;
+    // Busting now still pays the place just below everyone left
+    if (next[hero] === 0) return payouts[next.filter(s => s > 0).length] ?? 0;
+    return calculateIcm(next, payouts)[hero];
+  };
+  const win = after(atRisk);
+  const lose = after(-atRisk);
+  if (win === lose) return 1;
+  return Math.min(1, Math.max(0, (after(-heroCommitted) - lose) / (win - lose)));
+};
@@ -0,0 +1,97 @@
+// src/logic/invariants.js
+// Sanity checks that must hold after every engine transition. The self-tests
+// and dev builds run them; a violation means an engine bug, not a bad input.
+
+import { EVENT_TYPES, PHASES, PLAYER_STATUS, createDeck } from './pokerLogic.js';
+
+const sum = (arr) => arr.reduce((a, b) => a + b, 0);
+
+const DECK_SIZE = createDeck().length;
+
+// Chips at the table when the hand started (from the HAND_STARTED event)
+const chipsAtHandStart = (state) => {
+  const started = state.log.find(e => e.type === EVENT_TYPES.HAND_STARTED);
+  return started ? sum(started.seats.map(s => s.stack)) : null;
+};
+
+/**
+ * checkInvariants(state) -> string[]
+ * Describes every broken rule (empty when the state is consistent):
+ * - chips are conserved: stacks plus the pot equal the stacks at the start of
+ *   the hand (the pot is paid out once the hand is over)
+ * - no negative stacks or commitments; currentBet never exceeds totalCommitted
+ * - while action is pending exactly one seat is to act, and it can act
+ * - folded players never win a pot, and pots are paid out in full to eligible players
+ * - the deck, hole cards, board and burns make up one whole deck with no duplicates
+ */
+export const checkInvariants = (state) => {
+  const problems = [];
+  const { players } = state;
+  const inHand = state.handNumber > 0 && state.log.length > 0;
+
+  players.forEach((p, i) => {
+    if (p.stack < 0) problems.push(`seat ${i} has a negative stack (${p.stack})`);
+    if (p.totalCommitted < 0) problems.push(`seat ${i} has negative totalCommitted (${p.totalCommitted})`);
+    if (p.currentBet > p.totalCommitted) {
+      problems.push(`seat ${i} currentBet ${p.currentBet} exceeds totalCommitted ${p.totalCommitted}`);
+    }
+  });
+  if (!inHand) return problems;
+
+  // --- Chip conservation ---
+  const expected = chipsAtHandStart(state);
+  const stacks = sum(players.map(p => p.stack));
+  const total = state.handOver ? stacks : stacks + sum(players.map(p => p.totalCommitted));
+  if (expected !== null && total !== expected) {
+    problems.push(`chips not conserved: ${total} at the table, ${expected} at the start of the hand`);
+  }
+
+  // --- Action ---
+  const actor = state.betting.currentActorIndex;
+  if (!state.handOver && state.phase !== PHASES.SHOWDOWN) {
+    const p = players[actor];
+    if (!p) problems.push(`action is pending but no seat is to act (currentActorIndex ${actor})`);
+    else if (p.status !== PLAYER_STATUS.ACTIVE || p.stack <= 0) {
+      problems.push(`seat ${actor} is to act but cannot (${p.status}, stack ${p.stack})`);
+    }
+  }
+
+  // --- Pot awards ---
+  const folded = new Set(players.filter(p => p.status === PLAYER_STATUS.FOLDED).map(p => p.id));
+  const awards = state.log.filter(e => e.type === EVENT_TYPES.POT_AWARDED);
+  awards.forEach(({ potIndex, amount, eligiblePlayers, winners }) => {
+    const paid = sum(winners.map(w => w.amount));
+    if (paid !== amount) problems.push(`pot ${potIndex} of ${amount} paid out ${paid}`);
+    winners.forEach(({ playerIndex }) => {
+      const id = players[playerIndex]?.id;
+      if (folded.has(id)) problems.push(`folded seat ${playerIndex} won pot ${potIndex}`);
+      if (!eligiblePlayers.includes(id)) problems.push(`seat ${playerIndex} won pot ${potIndex} without being eligible`);
+    });
+  });
+  (state.winners || []).forEach(id => {
+    if (folded.has(id)) problems.push(`folded player ${id} is listed as a winner`);
+  });
+  if (state.handOver && awards.length > 0) {
+    const awarded = sum(awards.map(e => e.amount));
+    const committed = sum(players.map(p => p.totalCommitted));
+    if (awarded !== committed) problems.push(`pots paid ${awarded} of ${committed} committed`);
+  }
+
+  // --- Cards ---
+  const burned = state.log.filter(e => e.type === EVENT_TYPES.BURN).map(e => e.card);
+  const cards = [...state.deck, ...players.flatMap(p => p.holeCards), ...state.communityCards, ...burned];
+  const ids = new Set(cards.map(c => c.id));
+  if (ids.size !== cards.length) problems.push(`${cards.length - ids.size} card(s) appear twice`);
+  if (cards.length !== DECK_SIZE) problems.push(`${cards.length} cards accounted for, expected ${DECK_SIZE}`);
+
+  return problems;
+};
+
+// Throws when any invariant is broken; returns the state so it can wrap a transition
+export const assertInvariants = (state) => {
+  const problems = checkInvariants(state);
+  if (problems.length > 0) {
+    throw new Error(`Engine invariant violated (hand ${state.handNumber}): ${problems.join('; ')}`);
+  }
+  return state;
+};
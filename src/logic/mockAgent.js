@@ -0,0 +1,95 @@
+// src/logic/mockAgent.js
+// A local stand-in for an outside agent, for tests and for trying the protocol
+// without an LLM. Run with:
+//   node src/logic/mockAgent.js --port 8787 [--policy caller] [--delay 0]   (HTTP)
+//   node src/logic/mockAgent.js --stdio [--policy caller] [--delay 0]      (stdio)
+// Policies:
+// - caller: checks, or calls anything
+// - raiser: min-raises (or min-bets) whenever it may, otherwise checks or calls
+// - illegal: always bets, legal or not (to exercise the fallback)
+// - garbage: answers with text that isn't JSON
+
+import { createServer } from 'node:http';
+import { createInterface } from 'node:readline';
+import { fileURLToPath } from 'node:url';
+import { parseArgs } from 'node:util';
+
+export const MOCK_POLICIES = {
+  caller: ({ legal }) => ({ action: legal.canCheck ? 'check' : 'call' }),
+  raiser: ({ legal }) => {
+    if (legal.canBet) return { action: 'bet', amount: legal.minTotalBet };
+    if (legal.canRaise) return { action: 'raise', amount: legal.minTotalBet };
+    return { action: legal.canCheck ? 'check' : 'call' };
+  },
+  illegal: ({ legal }) => ({ action: 'bet', amount: legal.maxTotalBet + 1 }),
+  garbage: () => 'I would like to raise, please',
+};
+
+const policyFor = (name) => {
+  const policy = MOCK_POLICIES[name];
+  if (!policy) throw new Error(`Unknown mock policy: ${name} (known: ${Object.keys(MOCK_POLICIES).join(', ')})`);
+  return policy;
+};
+
+// Reply text for one request message (text), after `delayMs`
+const answer = (text, policy, delayMs) => new Promise((resolve) => {
+  const reply = policy(JSON.parse(text).observation);
+  setTimeout(() => resolve(typeof reply === 'string' ? reply : JSON.stringify(reply)), delayMs);
+});
+
+/**
+ * startMockAgentServer({ port = 0, policy = 'caller', delayMs = 0 })
+ *   -> Promise<{ url, close() -> Promise }>
+ * Listens on 127.0.0.1 only; port 0 picks a free port.
+ */
+export const startMockAgentServer = ({ port = 0, policy = 'caller', delayMs = 0 } = {}) => {
+  const decide = policyFor(policy);
+  const server = createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      answer(body, decide, delayMs).then(
+        (reply) => res.writeHead(200, { 'content-type': 'application/json' }).end(reply),
+        (e) => res.writeHead(400).end(e.message),
+      );
+    });
+  });
+  return new Promise((resolve) => {
+    server.listen(port, '127.0.0.1', () => resolve({
+      url: `http://127.0.0.1:${server.address().port}/`,
+      // Drops keep-alive connections too, so a finished test exits right away
+      close: () => new Promise(done => {
+        server.close(done);
+        server.closeAllConnections();
+      }),
+    }));
+  });
+};
+
+const runStdio = (decide, delayMs) => {
+  // Answers go out in the order the requests came in, as the stdio transport expects
+  let queue = Promise.resolve();
+  createInterface({ input: globalThis.process.stdin }).on('line', (line) => {
+    queue = queue
+      .then(() => answer(line, decide, delayMs))
+      .then(reply => globalThis.process.stdout.write(`${reply}\n`), e => globalThis.process.stdout.write(`${JSON.stringify({ error: e.message })}\n`));
+  });
+};
+
+if (globalThis.process.argv[1] === fileURLToPath(import.meta.url)) {
+  const { values } = parseArgs({
+    options: {
+      port: { type: 'string', default: '8787' },
+      stdio: { type: 'boolean', default: false },
+      policy: { type: 'string', default: 'caller' },
+      delay: { type: 'string', default: '0' },
+    },
+  });
+  const delayMs = Number(values.delay) || 0;
+  if (values.stdio) {
+    runStdio(policyFor(values.policy), delayMs);
+  } else {
+    startMockAgentServer({ port: Number(values.port), policy: values.policy, delayMs })
+      .then(({ url }) => console.error(`Mock agent (${values.policy}) listening on ${url}`));
+  }
+}
@@ -0,0 +1,144 @@
+// src/logic/playerStats.js
+// Session stats per seat, read from each finished hand's event log (state.log):
+// - VPIP: put money in preflop by choice (calls, bets, raises; blinds don't count)
+// - PFR: raised preflop
+// - 3-bet: re-raised when facing exactly one preflop raise
+// - AF (aggression factor): postflop bets and raises per call
+// - Fold to c-bet: folded to the preflop raiser's first bet on the flop
+// - WTSD (went to showdown): reached showdown after seeing the flop
+// Stats is a plain value ({ players, lastHand }); recordHand returns a new one.
+
+import { ACTIONS, EVENT_TYPES, PHASES } from './pokerLogic.js';
+
+const emptyCounts = () => ({
+  hands: 0,
+  vpip: 0,
+  pfr: 0,
+  threeBetChances: 0,
+  threeBets: 0,
+  aggressive: 0, // postflop bets and raises
+  calls: 0, // postflop calls
+  cbetsFaced: 0,
+  cbetFolds: 0,
+  sawFlop: 0,
+  showdowns: 0,
+});
+
+const isAggressive = (event) => event.kind === ACTIONS.BET || event.kind === ACTIONS.RAISE;
+
+// Counts for one hand's events, keyed by seat
+const countHand = (events) => {
+  const counts = {};
+  const of = (i) => {
+    if (!counts[i]) counts[i] = emptyCounts();
+    return counts[i];
+  };
+  events.filter(e => e.type === EVENT_TYPES.HOLE_CARDS).forEach(e => { of(e.playerIndex).hands = 1; });
+  const actions = events.filter(e => e.type === EVENT_TYPES.ACTION);
+
+  // Preflop: VPIP, PFR and 3-bets, plus who raised last
+  const preflop = actions.filter(e => e.street === PHASES.PREFLOP);
+  let raises = 0;
+  let lastRaiser = null;
+  const foldedPreflop = new Set();
+  const facedOneRaise = new Set();
+  preflop.forEach(e => {
+    const c = of(e.playerIndex);
+    if (e.kind === ACTIONS.FOLD) foldedPreflop.add(e.playerIndex);
+    if (e.kind !== ACTIONS.FOLD && e.kind !== ACTIONS.CHECK) c.vpip = 1;
+    if (isAggressive(e)) c.pfr = 1;
+    if (raises === 1 && !facedOneRaise.has(e.playerIndex) && e.playerIndex !== lastRaiser) {
+      facedOneRaise.add(e.playerIndex);
+      c.threeBetChances = 1;
+      if (isAggressive(e)) c.threeBets = 1;
+    }
+    if (isAggressive(e)) {
+      raises++;
+      lastRaiser = e.playerIndex;
+    }
+  });
+
+  // Postflop aggression
+  actions.filter(e => e.street !== PHASES.PREFLOP).forEach(e => {
+    if (isAggressive(e)) of(e.playerIndex).aggressive++;
+    if (e.kind === ACTIONS.CALL) of(e.playerIndex).calls++;
+  });
+
+  // Continuation bet: the preflop raiser opens the flop betting
+  const flop = actions.filter(e => e.street === PHASES.FLOP);
+  const firstBet = flop.findIndex(isAggressive);
+  if (lastRaiser !== null && firstBet >= 0 && flop[firstBet].playerIndex === lastRaiser) {
+    const facing = new Set();
+    for (const e of flop.slice(firstBet + 1)) {
+      if (isAggressive(e)) break; // after a raise they face more than the c-bet
+      if (facing.has(e.playerIndex)) continue;
+      facing.add(e.playerIndex);
+      of(e.playerIndex).cbetsFaced = 1;
+      if (e.kind === ACTIONS.FOLD) of(e.playerIndex).cbetFolds = 1;
+    }
+  }
+
+  // Saw the flop / went to showdown
+  if (events.some(e => e.type === EVENT_TYPES.BOARD && e.street === PHASES.FLOP)) {
+    Object.keys(counts).forEach(i => {
+      if (counts[i].hands && !foldedPreflop.has(Number(i))) counts[i].sawFlop = 1;
+    });
+  }
+  events.filter(e => e.type === EVENT_TYPES.SHOWDOWN).forEach(e => {
+    if (of(e.playerIndex).sawFlop) of(e.playerIndex).showdowns = 1;
+  });
+  return counts;
+};
+
+const addCounts = (players, counts, sign) => {
+  const next = { ...players };
+  Object.entries(counts).forEach(([i, c]) => {
+    const total = { ...(next[i] || emptyCounts()) };
+    Object.keys(c).forEach(k => { total[k] += sign * c[k]; });
+    next[i] = total;
+  });
+  return next;
+};
+
+export const createPlayerStats = () => ({ players: {}, lastHand: null });
+
+/**
+ * recordHand(stats, events) -> stats
+ * events: one hand's log (state.log once the hand is over). Recording the same
+ * hand number again (a hand replayed after an undo) replaces its earlier counts.
+ */
+export const recordHand = (stats, events) => {
+  const started = events.find(e => e.type === EVENT_TYPES.HAND_STARTED);
+  if (!started) return stats;
+  const counts = countHand(events);
+  let players = stats.players;
+  if (stats.lastHand && stats.lastHand.handNumber === started.handNumber) {
+    players = addCounts(players, stats.lastHand.counts, -1);
+  }
+  return {
+    players: addCounts(players, counts, 1),
+    lastHand: { handNumber: started.handNumber, counts },
+  };
+};
+
+const percent = (n, d) => (d > 0 ? Math.round((n / d) * 1000) / 10 : null);
+
+/**
+ * getPlayerStats(stats, playerIndex)
+ * -> { hands, vpip, pfr, threeBet, af, foldToCbet, wtsd }
+ * Percentages (0-100, one decimal) and AF are null until the seat has had a
+ * chance to show them; AF without any calls is just the number of bets and raises.
+ */
+export const getPlayerStats = (stats, playerIndex) => {
+  const c = stats?.players[playerIndex] || emptyCounts();
+  const af = c.calls > 0 ? Math.round((c.aggressive / c.calls) * 10) / 10 : (c.aggressive > 0 ? c.aggressive : null);
+  return {
+    hands: c.hands,
+    vpip: percent(c.vpip, c.hands),
+    pfr: percent(c.pfr, c.hands),
+    threeBet: percent(c.threeBets, c.threeBetChances),
+    af,
+    foldToCbet: percent(c.cbetFolds, c.cbetsFaced),
+    wtsd: percent(c.showdowns, c.sawFlop),
+  };
+};
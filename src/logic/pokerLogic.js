@@ -1,8 +1,19 @@
 // src/logic/pokerLogic.js
+import { evaluateHandRank, evaluateOmahaRank, describeHandRank } from './handEvaluator.js';
 
 export const SUITS = ['H', 'C', 'S', 'D'];
 export const RANKS = ['2', '3', '4', '5', '6', '7', '8', '9', 'T', 'J', 'Q', 'K', 'A'];
 
+export const VARIANTS = {
+  HOLDEM: 'holdem',
+  OMAHA: 'omaha',
+};
+
+export const HOLE_CARD_COUNTS = {
+  [VARIANTS.HOLDEM]: 2,
+  [VARIANTS.OMAHA]: 4,
+};
+
 export const PHASES = {
   PREFLOP: 'preflop',
   FLOP: 'flop',
@@ -22,127 +33,49 @@ export const createDeck = () => {
   return deck;
 };
 
-export const shuffleDeck = (deck) => {
+// --- Seeded RNG ---
+// mulberry32: tiny and fast, and its entire state is one uint32, so it survives
+// structuredClone and can live on the game state between hands.
+export const createSeed = () => Math.floor(Math.random() * 0x100000000) >>> 0;
+
+export const createRng = (seed) => {
+  let s = seed >>> 0;
+  const next = () => {
+    s = (s + 0x6D2B79F5) >>> 0;
+    let t = s;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+  return { next, getState: () => s };
+};
+
+// `random` is any () => [0, 1) function; defaults to Math.random for ad-hoc use.
+export const shuffleDeck = (deck, random = Math.random) => {
   const newDeck = [...deck];
   for (let i = newDeck.length - 1; i > 0; i--) {
-    const j = Math.floor(Math.random() * (i + 1));
+    const j = Math.floor(random() * (i + 1));
     [newDeck[i], newDeck[j]] = [newDeck[j], newDeck[i]];
   }
   return newDeck;
 };
 
 // --- Strict Hand Evaluation Logic ---
+// Ranking itself lives in handEvaluator.js (lookup tables, one integer per hand).
+// evaluateHand keeps the { tier, kickers, name } shape the rest of the app uses,
+// plus the integer `rank` for callers that just need to compare.
 
-const getRankValue = (rank) => {
-  if (rank === 'A') return 14;
-  if (rank === 'K') return 13;
-  if (rank === 'Q') return 12;
-  if (rank === 'J') return 11;
-  if (rank === 'T') return 10;
-  return parseInt(rank, 10);
-};
-
-// Returns { tier: number, kickers: number[], name: string }
+// Returns { tier: number, kickers: number[], name: string, rank: number }
 // Tiers: 8=StrFlush, 7=Quads, 6=FH, 5=Flush, 4=Str, 3=Trips, 2=2Pair, 1=Pair, 0=High
-const evaluate5CardHand = (cards) => {
-  // Sort descending by rank
-  const sorted = [...cards].sort((a, b) => getRankValue(b.rank) - getRankValue(a.rank));
-  const ranks = sorted.map(c => getRankValue(c.rank));
-  const suits = sorted.map(c => c.suit);
-
-  const isFlush = suits.every(s => s === suits[0]);
-  
-  // Check Straight - use original ranks for this check
-  let isStraight = true;
-  let straightKickers = [...ranks]; // Copy for straight kickers
-  for (let i = 0; i < 4; i++) {
-    if (ranks[i] - ranks[i+1] !== 1) {
-      isStraight = false; 
-      break;
-    }
-  }
-  // Special Ace Low Straight (A-5-4-3-2)
-  if (!isStraight && ranks[0] === 14 && ranks[1] === 5 && ranks[2] === 4 && ranks[3] === 3 && ranks[4] === 2) {
-    isStraight = true;
-    // For ace-low straight, use [5, 4, 3, 2, 1] for kickers
-    straightKickers = [5, 4, 3, 2, 1];
-  }
-
-  // Count multiples - use ORIGINAL ranks, not modified ones
-  const counts = {};
-  ranks.forEach(r => counts[r] = (counts[r] || 0) + 1);
-  const groups = Object.entries(counts).map(([r, c]) => ({ r: parseInt(r), c }));
-  groups.sort((a, b) => b.c - a.c || b.r - a.r); // Sort by count desc, then rank desc
-
-  // 1. Straight Flush
-  if (isFlush && isStraight) return { tier: 8, kickers: straightKickers, name: 'Straight Flush' };
-  
-  // 2. Quads
-  if (groups[0].c === 4) return { tier: 7, kickers: [groups[0].r, groups[1].r], name: 'Four of a Kind' };
-  
-  // 3. Full House
-  if (groups[0].c === 3 && groups[1].c === 2) return { tier: 6, kickers: [groups[0].r, groups[1].r], name: 'Full House' };
-  
-  // 4. Flush
-  if (isFlush) return { tier: 5, kickers: ranks, name: 'Flush' };
-  
-  // 5. Straight
-  if (isStraight) return { tier: 4, kickers: straightKickers, name: 'Straight' };
-  
-  // 6. Trips
-  if (groups[0].c === 3) {
-    const tripRank = groups[0].r;
-    const kickers = ranks.filter(r => r !== tripRank).sort((a, b) => b - a);
-    return { tier: 3, kickers: [tripRank, ...kickers], name: 'Three of a Kind' };
+// Hold'em plays the best 5 of all cards; Omaha must use exactly 2 hole + 3 board cards.
+export const evaluateHand = (holeCards, communityCards, variant = VARIANTS.HOLDEM) => {
+  if (variant === VARIANTS.OMAHA) {
+    if (holeCards.length < 2 || communityCards.length < 3) return { tier: 0, kickers: [], name: 'Waiting...' };
+    return describeHandRank(evaluateOmahaRank(holeCards, communityCards));
   }
-  
-  // 7. Two Pair - ensure proper ordering: higher pair, lower pair, kicker
-  if (groups[0].c === 2 && groups[1].c === 2) {
-    const pair1Rank = groups[0].r; // Higher pair (sorted by rank desc)
-    const pair2Rank = groups[1].r; // Lower pair
-    const kicker = groups[2] ? groups[2].r : ranks.find(r => r !== pair1Rank && r !== pair2Rank);
-    return { tier: 2, kickers: [pair1Rank, pair2Rank, kicker], name: 'Two Pair' };
-  }
-  
-  // 8. Pair
-  if (groups[0].c === 2) {
-    const pairRank = groups[0].r;
-    const kickers = ranks.filter(r => r !== pairRank).sort((a, b) => b - a);
-    return { tier: 1, kickers: [pairRank, ...kickers], name: 'Pair' };
-  }
-  
-  // 9. High Card
-  return { tier: 0, kickers: ranks, name: 'High Card' };
-};
-
-// Helper: combinatorics to find best 5 of 7
-function getCombinations(array, k) {
-  if (k === 1) return array.map(el => [el]);
-  const combs = [];
-  array.forEach((el, i) => {
-    const smallerCombs = getCombinations(array.slice(i + 1), k - 1);
-    smallerCombs.forEach(comb => {
-      combs.push([el, ...comb]);
-    });
-  });
-  return combs;
-}
-
-export const evaluateHand = (holeCards, communityCards) => {
   const allCards = [...holeCards, ...communityCards];
   if (allCards.length < 5) return { tier: 0, kickers: [], name: 'Waiting...' };
-
-  const combos = getCombinations(allCards, 5);
-  let bestHand = null;
-
-  combos.forEach(combo => {
-    const result = evaluate5CardHand(combo);
-    if (!bestHand || compareHandsResults(result, bestHand) > 0) {
-      bestHand = result;
-    }
-  });
-
-  return bestHand;
+  return describeHandRank(evaluateHandRank(allCards));
 };
 
 // Returns 1 if A > B, -1 if B > A, 0 if tie
@@ -158,7 +91,7 @@ const compareHandsResults = (a, b) => {
   return 0;
 };
 
-export const determineWinner = (players, communityCards) => {
+export const determineWinner = (players, communityCards, variant = VARIANTS.HOLDEM) => {
   let bestScore = null;
   let winners = [];
 
@@ -169,7 +102,7 @@ export const determineWinner = (players, communityCards) => {
     // Skip players with no hand (shouldn't happen, but safety check)
     if (!player.hand || player.hand.length < 2) return;
     
-    const score = evaluateHand(player.hand, communityCards);
+    const score = evaluateHand(player.hand, communityCards, variant);
     
     // Ensure we have a valid score
     if (!score || score.tier === undefined) {
@@ -242,6 +175,59 @@ export const ACTIONS = {
   ALL_IN: 'all_in',
 };
 
+// Per-player antes come from every dealt-in seat; a big-blind ante is paid in one
+// lump by the big blind (after the blind itself, which takes priority when short).
+export const ANTE_TYPES = {
+  PER_PLAYER: 'per_player',
+  BIG_BLIND: 'big_blind',
+};
+
+export const BUTTON_RULES = {
+  MOVING: 'moving',
+  DEAD: 'dead',
+};
+
+// Betting structures: no-limit (raise up to the stack), pot-limit (up to the pot),
+// fixed-limit (small bet preflop/flop, big bet = 2x on turn/river, raises capped).
+export const BETTING_STRUCTURES = {
+  NO_LIMIT: 'no_limit',
+  POT_LIMIT: 'pot_limit',
+  FIXED_LIMIT: 'fixed_limit',
+};
+
+// --- Event Log ---
+// startHand, applyAction and showdown append typed events to state.log (the current
+// hand only; startHand starts a fresh log). Every event carries a `seq` (its index)
+// and the `handNumber`; seats are referred to by playerIndex.
+export const EVENT_TYPES = {
+  HAND_STARTED: 'hand_started', // stakes, positions, seats with their starting stacks
+  HOLE_CARDS: 'hole_cards', // { playerIndex, cards }
+  ANTE: 'ante', // { playerIndex, amount, allIn }
+  BLIND: 'blind', // { playerIndex, blind: 'small' | 'big', amount, allIn }
+  ACTION: 'action', // { playerIndex, street, action, kind, amount, total, raiseBy, allIn, reopened, pot }
+  BURN: 'burn', // { card }
+  BOARD: 'board', // { street, cards } just dealt
+  STREET: 'street', // { street, board, pot } a new betting round starts
+  SHOWDOWN: 'showdown', // { playerIndex, cards, hand }
+  UNCALLED_BET: 'uncalled_bet', // { playerIndex, amount } returned before pots are paid
+  POT_AWARDED: 'pot_awarded', // { potIndex, amount, eligiblePlayers, winners: [{ playerIndex, amount }] }
+  ODD_CHIP: 'odd_chip', // { potIndex, playerIndex, amount }
+  HAND_ENDED: 'hand_ended', // { reason: 'fold' | 'showdown', winners, stacks }
+};
+
+const logEvent = (state, type, data = {}) => {
+  if (!state.log) state.log = [];
+  state.log.push({ seq: state.log.length, handNumber: state.handNumber, type, ...data });
+};
+
+// Events appended between two states of the same hand (the whole log for a new hand)
+export const getNewEvents = (prevState, nextState) => {
+  const log = nextState?.log || [];
+  const prevLog = prevState?.log;
+  if (!prevLog || prevState.handNumber !== nextState.handNumber || prevLog.length > log.length) return log;
+  return log.slice(prevLog.length);
+};
+
 const clampInt = (n, lo, hi) => Math.max(lo, Math.min(hi, Number.parseInt(n, 10)));
 
 const sum = (arr) => arr.reduce((a, b) => a + b, 0);
@@ -283,12 +269,81 @@ const syncLegacyFields = (p) => {
   return p;
 };
 
+// --- Tournament blind levels ---
+// blindStructure = {
+//   levels: [{ sbAmount, bbAmount, anteAmount?, anteType? }, ...],
+//   advanceBy: LEVEL_ADVANCE.HANDS | LEVEL_ADVANCE.CLOCK,
+//   handsPerLevel,                  // HANDS: level up every N hands
+//   secondsPerLevel, secondsPerHand // CLOCK: each hand adds secondsPerHand to a simulated clock
+// }
+// The last level repeats forever.
+export const LEVEL_ADVANCE = {
+  HANDS: 'hands',
+  CLOCK: 'clock',
+};
+
+// Level a hand would use if it started now (handNumber = hands already dealt)
+const levelIndexFor = (structure, handNumber, clockSeconds) => {
+  const last = structure.levels.length - 1;
+  const index = structure.advanceBy === LEVEL_ADVANCE.CLOCK
+    ? Math.floor(clockSeconds / structure.secondsPerLevel)
+    : Math.floor(handNumber / structure.handsPerLevel);
+  return Math.min(last, Math.max(0, index));
+};
+
+// Current level plus when the next one starts, for display. Returns null without a structure.
+export const getBlindLevelInfo = (state) => {
+  const structure = state.blindStructure;
+  if (!structure) return null;
+  const levelIndex = state.levelIndex;
+  const hasNext = levelIndex < structure.levels.length - 1;
+  const info = {
+    levelIndex,
+    level: structure.levels[levelIndex],
+    nextLevel: hasNext ? structure.levels[levelIndex + 1] : null,
+    handsUntilNext: null,
+    secondsUntilNext: null,
+  };
+  if (!hasNext) return info;
+  if (structure.advanceBy === LEVEL_ADVANCE.CLOCK) {
+    info.secondsUntilNext = Math.max(0, (levelIndex + 1) * structure.secondsPerLevel - state.clockSeconds);
+  } else {
+    info.handsUntilNext = Math.max(0, (levelIndex + 1) * structure.handsPerLevel - state.handNumber);
+  }
+  return info;
+};
+
+const applyBlindLevel = (state, levelIndex) => {
+  const level = state.blindStructure.levels[levelIndex];
+  state.levelIndex = levelIndex;
+  state.sbAmount = level.sbAmount;
+  state.bbAmount = level.bbAmount;
+  state.anteAmount = level.anteAmount || 0;
+  if (level.anteType) state.anteType = level.anteType;
+};
+
 export const createInitialGameState = ({
   players,
   sbAmount,
   bbAmount,
   dealerIndex = 0,
+  anteAmount = 0,
+  anteType = ANTE_TYPES.PER_PLAYER,
+  buttonRule = BUTTON_RULES.MOVING,
+  blindStructure = null,
+  payouts = null,
+  variant = VARIANTS.HOLDEM,
+  bettingStructure = variant === VARIANTS.OMAHA ? BETTING_STRUCTURES.POT_LIMIT : BETTING_STRUCTURES.NO_LIMIT,
+  raiseCap = 4, // fixed-limit: bets per round, counting the opening bet (or the BB preflop)
+  seed = createSeed(),
 } = {}) => {
+  if (blindStructure) {
+    const first = blindStructure.levels[0];
+    sbAmount = first.sbAmount;
+    bbAmount = first.bbAmount;
+    anteAmount = first.anteAmount || 0;
+    anteType = first.anteType || anteType;
+  }
   return {
     deck: [],
     communityCards: [],
@@ -296,6 +351,23 @@ export const createInitialGameState = ({
     dealerIndex,
     sbAmount,
     bbAmount,
+    anteAmount,
+    anteType,
+    buttonRule,
+    variant,
+    bettingStructure,
+    raiseCap,
+    // Optional tournament schedule; startHand picks the level up automatically.
+    blindStructure,
+    // Optional prizes still to be won, first place first. The engine never reads
+    // them; they are there for ICM (icm.js) in the UI and the bots.
+    payouts,
+    levelIndex: 0,
+    clockSeconds: 0,
+    // Seats that posted SB/BB last hand (dead-button bookkeeping) and the seats
+    // moveButton picked for the coming hand.
+    blindSeats: null,
+    pendingBlindSeats: null,
     players: (players || []).map(p => syncLegacyFields({ ...p })),
     betting: {
       highestBetThisRound: 0,
@@ -305,21 +377,91 @@ export const createInitialGameState = ({
       // If a player is in this map, they cannot raise unless a full raise happens in between.
       actedSinceLastFullRaise: {},
       lastReopenerIndex: -1,
+      // Full bets/raises made this round (fixed-limit raise cap)
+      betsThisRound: 0,
       startingIndex: -1,
       currentActorIndex: -1,
       hasActedThisRound: false,
     },
     pots: [], // computed at showdown/hand end
     winners: [],
+    log: [], // events of the current hand (see EVENT_TYPES)
     handOver: false,
     message: '',
     // dealer-left rule for odd chips uses this
     oddChipStartIndex: dealerIndex,
+    // Seeded shuffles: rngState advances once per hand, so a new game with the same
+    // seed deals the same hands from hand 1 on (given the same actions). handSeed is
+    // the state the current hand was shuffled from; hand records keep it, with the
+    // stacks and button, so handReplay.js can rebuild that one hand.
+    seed: seed >>> 0,
+    rngState: seed >>> 0,
+    handSeed: seed >>> 0,
+    handNumber: 0,
   };
 };
 
 const nextIndexClockwise = (players, from) => (from + 1) % players.length;
 
+// Next seat clockwise (excluding `from`) whose player matches `predicate`
+const nextSeatWhere = (players, from, predicate) => {
+  let idx = nextIndexClockwise(players, from);
+  for (let loop = 0; loop < players.length; loop++) {
+    if (predicate(players[idx])) return idx;
+    idx = nextIndexClockwise(players, idx);
+  }
+  return -1;
+};
+
+// Between hands (before startHand marks busted players ELIMINATED) chips decide who is live.
+const hasChips = (p) => p.stack > 0;
+
+// Moving-button positions: blinds are the next one/two live seats after the button.
+// Heads-up the button posts the small blind and acts first preflop; the big blind
+// then acts first on every later street (advanceStreet starts left of the button).
+const positionsFromButton = (players, dealerIndex) => {
+  const live = players.filter(hasChips).length;
+  if (live === 2) {
+    const button = hasChips(players[dealerIndex]) ? dealerIndex : nextSeatWhere(players, dealerIndex, hasChips);
+    return { dealerIndex: button, sbIndex: button, bbIndex: nextSeatWhere(players, button, hasChips) };
+  }
+  const sbIndex = nextSeatWhere(players, dealerIndex, hasChips);
+  return { dealerIndex, sbIndex, bbIndex: nextSeatWhere(players, sbIndex, hasChips) };
+};
+
+// Moves the button for the next hand. Call between hands, before startHand.
+// - moving: the button goes to the next live seat and the blinds follow it, so a
+//   player can skip a blind when seats bust.
+// - dead: the big blind always advances to the next live seat; the small blind and
+//   button take last hand's BB/SB seats even if those players busted (a dead small
+//   blind is simply not posted, a dead button sits on an empty seat).
+export const moveButton = (state) => {
+  const next = structuredClone(state);
+  const { players } = next;
+  const prev = next.blindSeats;
+  const live = players.filter(hasChips).length;
+
+  let positions;
+  if (next.buttonRule === BUTTON_RULES.DEAD && prev && live > 2) {
+    positions = {
+      dealerIndex: prev.sbIndex,
+      sbIndex: prev.bbIndex,
+      bbIndex: nextSeatWhere(players, prev.bbIndex, hasChips),
+    };
+  } else if (next.buttonRule === BUTTON_RULES.DEAD && prev && live === 2) {
+    // Going heads-up: nobody takes the big blind twice in a row
+    const bbIndex = nextSeatWhere(players, prev.bbIndex, hasChips);
+    const button = nextSeatWhere(players, bbIndex, hasChips);
+    positions = { dealerIndex: button, sbIndex: button, bbIndex };
+  } else {
+    positions = positionsFromButton(players, nextSeatWhere(players, next.dealerIndex, hasChips));
+  }
+
+  next.dealerIndex = positions.dealerIndex;
+  next.pendingBlindSeats = { sbIndex: positions.sbIndex, bbIndex: positions.bbIndex };
+  return next;
+};
+
 export const findNextToAct = (state, fromIndex) => {
   const { players } = state;
   if (!players.length) return -1;
@@ -348,17 +490,73 @@ const commitChips = (player, amount) => {
   return toCommit;
 };
 
+// Antes go straight into the pot: they count toward totalCommitted (and so side
+// pots) but never toward currentBet, so they are not a live bet.
+const postAnte = (player, amount) => {
+  const toCommit = Math.min(player.stack, Math.max(0, amount));
+  player.stack -= toCommit;
+  player.totalCommitted += toCommit;
+  if (player.stack === 0 && player.status === PLAYER_STATUS.ACTIVE) {
+    player.status = PLAYER_STATUS.ALL_IN;
+  }
+  player.currentAction = player.status === PLAYER_STATUS.ALL_IN ? 'All-In (Ante)' : 'Ante';
+  syncLegacyFields(player);
+  return toCommit;
+};
+
 const burnOne = (state) => {
-  if (state.deck.length > 0) state.deck.pop();
+  if (state.deck.length > 0) logEvent(state, EVENT_TYPES.BURN, { card: state.deck.pop() });
 };
 
-const dealCommunity = (state, count) => {
+const dealCommunity = (state, count, street) => {
+  const cards = [];
   for (let i = 0; i < count; i++) {
-    state.communityCards.push(state.deck.pop());
+    cards.push(state.deck.pop());
+  }
+  state.communityCards.push(...cards);
+  logEvent(state, EVENT_TYPES.BOARD, { street, cards });
+};
+
+// Seat of each hole card in dealing order: one card per active player per pass,
+// clockwise from the button.
+const holeCardDealOrder = (state) => {
+  const seats = state.players.length;
+  const holeCardCount = HOLE_CARD_COUNTS[state.variant] || 2;
+  const order = [];
+  for (let pass = 0; pass < holeCardCount; pass++) {
+    for (let offset = 1; offset <= seats; offset++) {
+      const i = (state.dealerIndex + offset) % seats;
+      if (state.players[i].status === PLAYER_STATUS.ACTIVE) order.push(i);
+    }
   }
+  return order;
+};
+
+// Rearranges the shuffled deck so the deal hands out preset cards (hand replays):
+// presetCards = { holeCards: { [seatIndex]: cards }, board: cards }. Cards that
+// aren't given (mucked hands, unreached streets) come from the shuffle as usual.
+const stackDeck = (state, { holeCards = {}, board = [] }) => {
+  const wanted = [...Object.values(holeCards).flat(), ...board].filter(Boolean);
+  const wantedIds = new Set(wanted.map(c => c.id));
+  if (wantedIds.size !== wanted.length) throw new Error('Preset cards contain duplicates');
+  const filler = state.deck.filter(c => !wantedIds.has(c.id));
+  const dealt = [];
+  const passes = {};
+  holeCardDealOrder(state).forEach(i => {
+    const pass = passes[i] || 0;
+    passes[i] = pass + 1;
+    dealt.push(holeCards[i]?.[pass] || filler.pop());
+  });
+  // burn + flop, burn + turn, burn + river
+  [[0, 3], [3, 4], [4, 5]].forEach(([from, to]) => {
+    dealt.push(filler.pop());
+    for (let k = from; k < to; k++) dealt.push(board[k] || filler.pop());
+  });
+  // Cards are dealt with pop(), so the first card dealt goes last
+  state.deck = [...filler, ...dealt.reverse()];
 };
 
-export const startHand = (state) => {
+export const startHand = (state, { presetCards = null } = {}) => {
   const next = structuredClone(state);
   next.handOver = false;
   next.winners = [];
@@ -366,7 +564,18 @@ export const startHand = (state) => {
   next.communityCards = [];
   next.phase = PHASES.PREFLOP;
   next.message = '';
-  next.deck = shuffleDeck(createDeck());
+  if (next.blindStructure) {
+    applyBlindLevel(next, levelIndexFor(next.blindStructure, next.handNumber || 0, next.clockSeconds || 0));
+    if (next.blindStructure.advanceBy === LEVEL_ADVANCE.CLOCK) {
+      next.clockSeconds = (next.clockSeconds || 0) + next.blindStructure.secondsPerHand;
+    }
+  }
+  next.handNumber = (next.handNumber || 0) + 1;
+  next.log = [];
+  next.handSeed = next.rngState >>> 0;
+  const rng = createRng(next.handSeed);
+  next.deck = shuffleDeck(createDeck(), rng.next);
+  next.rngState = rng.getState();
 
   // Reset per-hand fields (keep stacks + bot config)
   next.players = next.players.map(p => {
@@ -386,29 +595,67 @@ export const startHand = (state) => {
     return np;
   });
 
-  // Deal 2 cards to each active player (clockwise from dealer)
-  const seats = next.players.length;
-  for (let pass = 0; pass < 2; pass++) {
-    for (let offset = 1; offset <= seats; offset++) {
-      const i = (next.dealerIndex + offset) % seats;
-      const p = next.players[i];
-      if (p.status === PLAYER_STATUS.ACTIVE) {
-        p.holeCards.push(next.deck.pop());
-        syncLegacyFields(p);
-      }
-    }
+  // Button/blind seats: set by moveButton, or derived from the current button
+  let positions = next.pendingBlindSeats;
+  if (!positions) {
+    positions = positionsFromButton(next.players, next.dealerIndex);
+    next.dealerIndex = positions.dealerIndex;
   }
+  const { sbIndex, bbIndex } = positions;
+  next.pendingBlindSeats = null;
+  next.blindSeats = { sbIndex, bbIndex };
+  logEvent(next, EVENT_TYPES.HAND_STARTED, {
+    handSeed: next.handSeed,
+    variant: next.variant,
+    bettingStructure: getBettingStructure(next),
+    sbAmount: next.sbAmount,
+    bbAmount: next.bbAmount,
+    anteAmount: next.anteAmount || 0,
+    anteType: next.anteType,
+    levelIndex: next.levelIndex,
+    dealerIndex: next.dealerIndex,
+    sbIndex,
+    bbIndex,
+    seats: next.players.map((p, i) => ({ playerIndex: i, name: p.name, isHuman: Boolean(p.isHuman), stack: p.stack, status: p.status })),
+  });
+
+  // Deal hole cards (2 hold'em, 4 Omaha) to each active player (clockwise from dealer)
+  if (presetCards) stackDeck(next, presetCards);
+  holeCardDealOrder(next).forEach(i => {
+    const p = next.players[i];
+    p.holeCards.push(next.deck.pop());
+    syncLegacyFields(p);
+  });
+  next.players.forEach((p, i) => {
+    if (p.holeCards.length) logEvent(next, EVENT_TYPES.HOLE_CARDS, { playerIndex: i, cards: [...p.holeCards] });
+  });
 
-  // Post blinds (only if player can pay something)
-  const sbIndex = (next.dealerIndex + 1) % seats;
-  const bbIndex = (next.dealerIndex + 2) % seats;
+  // Post blinds (only if player can pay something; a dead small blind is skipped)
   const sbP = next.players[sbIndex];
   const bbP = next.players[bbIndex];
 
+  const logPost = (type, playerIndex, amount, extra = {}) => {
+    const allIn = next.players[playerIndex].status === PLAYER_STATUS.ALL_IN;
+    if (amount > 0) logEvent(next, type, { playerIndex, ...extra, amount, allIn });
+  };
+
+  const anteAmount = next.anteAmount || 0;
+  if (anteAmount > 0 && next.anteType !== ANTE_TYPES.BIG_BLIND) {
+    next.players.forEach((p, i) => {
+      if (p.status === PLAYER_STATUS.ACTIVE) logPost(EVENT_TYPES.ANTE, i, postAnte(p, anteAmount));
+    });
+  }
+
   const sbPosted = (sbP.status === PLAYER_STATUS.ACTIVE) ? commitChips(sbP, next.sbAmount) : 0;
+  logPost(EVENT_TYPES.BLIND, sbIndex, sbPosted, { blind: 'small' });
   const bbPosted = (bbP.status === PLAYER_STATUS.ACTIVE) ? commitChips(bbP, next.bbAmount) : 0;
-  sbP.currentAction = sbPosted > 0 ? 'Small Blind' : '';
-  bbP.currentAction = bbPosted > 0 ? 'Big Blind' : '';
+  logPost(EVENT_TYPES.BLIND, bbIndex, bbPosted, { blind: 'big' });
+  if (sbPosted > 0) sbP.currentAction = 'Small Blind';
+  if (bbPosted > 0) bbP.currentAction = 'Big Blind';
+  if (anteAmount > 0 && next.anteType === ANTE_TYPES.BIG_BLIND && bbP.status === PLAYER_STATUS.ACTIVE) {
+    logPost(EVENT_TYPES.ANTE, bbIndex, postAnte(bbP, anteAmount));
+    if (bbP.status === PLAYER_STATUS.ACTIVE) bbP.currentAction = 'Big Blind + Ante';
+  }
 
   const highest = Math.max(sbP.currentBet, bbP.currentBet);
   next.betting = {
@@ -417,18 +664,46 @@ export const startHand = (state) => {
     lastFullRaiseSize: next.bbAmount,
     actedSinceLastFullRaise: {},
     lastReopenerIndex: bbIndex, // BB is "reopener" baseline preflop
-    // Preflop first action is left of BB
+    betsThisRound: bbPosted > 0 ? 1 : 0, // the big blind counts as the first bet
+    // Preflop first action is left of BB (the button/SB when heads-up)
     startingIndex: findNextToAct(next, bbIndex),
     currentActorIndex: findNextToAct(next, bbIndex),
     hasActedThisRound: false,
   };
 
+  // Antes and blinds can leave nobody with a decision: everyone all-in, or a
+  // lone player who already matches the biggest bet. Deal it out then.
+  const deciders = next.players.filter(canAct);
+  if (deciders.length === 0 || (deciders.length === 1 && deciders[0].currentBet >= highest)) {
+    return runOutBoard(next);
+  }
   return next;
 };
 
+// Pot-limit: the largest raise is a call followed by a raise of the whole pot
+// (everything committed this hand, the call included).
+const potLimitMaxTotal = (state, p) => {
+  const highest = state.betting.highestBetThisRound;
+  const callAmount = Math.max(0, highest - p.currentBet);
+  const pot = sum(state.players.map(pl => pl.totalCommitted));
+  return highest + pot + callAmount;
+};
+
+const getBettingStructure = (state) =>
+  state.bettingStructure || (state.variant === VARIANTS.OMAHA ? BETTING_STRUCTURES.POT_LIMIT : BETTING_STRUCTURES.NO_LIMIT);
+
+// Fixed-limit bet size for the current street: small bet (= BB) preflop and on the
+// flop, big bet (2x) on the turn and river.
+const fixedLimitBetSize = (state) =>
+  (state.phase === PHASES.TURN || state.phase === PHASES.RIVER) ? state.bbAmount * 2 : state.bbAmount;
+
+// Smallest opening bet / raise increment at the start of a street
+const streetMinBet = (state) =>
+  getBettingStructure(state) === BETTING_STRUCTURES.FIXED_LIMIT ? fixedLimitBetSize(state) : state.bbAmount;
+
 export const getLegalActions = (state, playerIndex) => {
   const p = state.players[playerIndex];
-  if (!p || !canAct(p) || state.handOver) return { canFold: false, canCheck: false, canCall: false, canBet: false, canRaise: false, canAllIn: false, callAmount: 0, minTotalBet: 0, maxTotalBet: 0 };
+  if (!p || !canAct(p) || state.handOver) return { canFold: false, canCheck: false, canCall: false, canBet: false, canRaise: false, canAllIn: false, callAmount: 0, minTotalBet: 0, maxTotalBet: 0, step: 0 };
 
   const highest = state.betting.highestBetThisRound;
   const callAmount = Math.max(0, highest - p.currentBet);
@@ -439,12 +714,26 @@ export const getLegalActions = (state, playerIndex) => {
   // Raise rules:
   // - Must be able to exceed highest (unless betting 0 -> use BET)
   // - Short all-in raises do not reopen action for players who already acted since last full raise.
-  const minRaise = state.betting.minRaiseAmount;
-  const minTotalBet = highest + minRaise;
-  const maxTotalBet = p.currentBet + p.stack;
+  // - Fixed-limit: every bet/raise is exactly one bet, and only raiseCap bets per round.
+  const structure = getBettingStructure(state);
+  const stackTotal = p.currentBet + p.stack;
+  let minTotalBet = highest + state.betting.minRaiseAmount;
+  let maxTotalBet = stackTotal;
+  let step = state.bbAmount;
+  let capReached = false;
+  if (structure === BETTING_STRUCTURES.POT_LIMIT) {
+    maxTotalBet = Math.min(stackTotal, potLimitMaxTotal(state, p));
+  } else if (structure === BETTING_STRUCTURES.FIXED_LIMIT) {
+    const betSize = fixedLimitBetSize(state);
+    minTotalBet = highest + betSize;
+    maxTotalBet = Math.min(stackTotal, minTotalBet);
+    step = betSize;
+    capReached = (state.betting.betsThisRound || 0) >= (state.raiseCap || Infinity);
+  }
   const alreadyActed = Boolean(state.betting.actedSinceLastFullRaise?.[playerIndex]);
-  const canRaise = highest > 0 && !alreadyActed && maxTotalBet > highest;
-  const canAllIn = p.stack > 0;
+  const canRaise = highest > 0 && !alreadyActed && !capReached && maxTotalBet > highest;
+  // Limit games only allow shoving when the stack fits inside the cap (or just calls)
+  const canAllIn = p.stack > 0 && ((maxTotalBet === stackTotal && !capReached) || callAmount >= p.stack);
 
   return {
     canFold: true,
@@ -456,6 +745,7 @@ export const getLegalActions = (state, playerIndex) => {
     callAmount,
     minTotalBet,
     maxTotalBet,
+    step,
   };
 };
 
@@ -473,18 +763,14 @@ const allPlayersSettledToHighest = (state) => {
 const bettingRoundShouldEnd = (state, nextActorIndex) => {
   // A round ends only when:
   // - Everyone is settled (matched or all-in or folded)
-  // - AND action has come back around to the correct end index
-  //   - If no bet (highest==0): end when it returns to startingIndex after at least one action
-  //   - If there is a bet: end when it returns to lastReopenerIndex after at least one action
+  // - AND action has come back around to someone who already acted since the last
+  //   full bet/raise (the bettor, or the first checker when nobody bet).
+  // Blinds are not actions, so the big blind still gets its option preflop.
   if (nextActorIndex === -1) return true; // no one can act
   if (!state.betting.hasActedThisRound) return false;
   if (!allPlayersSettledToHighest(state)) return false;
 
-  const highest = state.betting.highestBetThisRound;
-  const endIndex = highest === 0
-    ? state.betting.startingIndex
-    : (state.betting.lastReopenerIndex ?? state.betting.startingIndex);
-  return nextActorIndex === endIndex;
+  return Boolean(state.betting.actedSinceLastFullRaise?.[nextActorIndex]);
 };
 
 const resetBetsForNextStreet = (state) => {
@@ -495,10 +781,11 @@ const resetBetsForNextStreet = (state) => {
     syncLegacyFields(p);
   });
   state.betting.highestBetThisRound = 0;
-  state.betting.minRaiseAmount = state.bbAmount;
-  state.betting.lastFullRaiseSize = state.bbAmount;
+  state.betting.minRaiseAmount = streetMinBet(state);
+  state.betting.lastFullRaiseSize = streetMinBet(state);
   state.betting.actedSinceLastFullRaise = {};
   state.betting.lastReopenerIndex = -1;
+  state.betting.betsThisRound = 0;
   state.betting.hasActedThisRound = false;
 };
 
@@ -544,7 +831,26 @@ const comparePlayersForPot = (aPlayer, bPlayer) => {
   return compareHandsResults(a, b);
 };
 
-const awardPot = (state, pot, oddChipStartIndex) => {
+// The part of the biggest commitment nobody matched; it comes back as a one-player pot
+const logUncalledBet = (state) => {
+  const [top, second] = state.players
+    .map((p, i) => ({ playerIndex: i, committed: p.totalCommitted }))
+    .sort((a, b) => b.committed - a.committed);
+  const matched = second ? second.committed : 0;
+  if (top && top.committed > matched) {
+    logEvent(state, EVENT_TYPES.UNCALLED_BET, { playerIndex: top.playerIndex, amount: top.committed - matched });
+  }
+};
+
+const logHandEnded = (state, reason) => {
+  logEvent(state, EVENT_TYPES.HAND_ENDED, {
+    reason,
+    winners: [...state.winners],
+    stacks: state.players.map(p => p.stack),
+  });
+};
+
+const awardPot = (state, pot, oddChipStartIndex, potIndex) => {
   const eligible = pot.eligiblePlayers
     .map(id => state.players.find(p => p.id === id))
     .filter(Boolean);
@@ -564,6 +870,7 @@ const awardPot = (state, pot, oddChipStartIndex) => {
     }
   }
 
+  const stacksBefore = Object.fromEntries(winners.map(w => [w.id, w.stack]));
   const baseShare = Math.floor(pot.amount / winners.length);
   let remainder = pot.amount - baseShare * winners.length;
   winners.forEach(w => { w.stack += baseShare; syncLegacyFields(w); });
@@ -579,12 +886,20 @@ const awardPot = (state, pot, oddChipStartIndex) => {
         seatPlayer.stack += 1;
         syncLegacyFields(seatPlayer);
         remainder -= 1;
+        logEvent(state, EVENT_TYPES.ODD_CHIP, { potIndex, playerIndex: idx, amount: 1 });
       }
       idx = nextIndexClockwise(state.players, idx);
       loop++;
     }
   }
 
+  logEvent(state, EVENT_TYPES.POT_AWARDED, {
+    potIndex,
+    amount: pot.amount,
+    eligiblePlayers: [...pot.eligiblePlayers],
+    winners: winners.map(w => ({ playerIndex: state.players.indexOf(w), amount: w.stack - stacksBefore[w.id] })),
+  });
+
   // Mark UI winner label for main message; engine also returns ids
   winners.forEach(w => { w.currentAction = 'WINNER'; });
   return winners.map(w => w.id);
@@ -605,22 +920,28 @@ export const resolveHand = (state) => {
   next.players.forEach(p => {
     if (p.status === PLAYER_STATUS.FOLDED) return;
     if (!p.holeCards || p.holeCards.length < 2) return;
-    p.handStrength = evaluateHand(p.holeCards, next.communityCards);
+    p.handStrength = evaluateHand(p.holeCards, next.communityCards, next.variant);
+  });
+  next.players.forEach((p, i) => {
+    if (!isInHand(p) || !p.handStrength) return;
+    logEvent(next, EVENT_TYPES.SHOWDOWN, { playerIndex: i, cards: [...p.holeCards], hand: p.handStrength });
   });
 
   next.pots = computeSidePots(next.players);
+  logUncalledBet(next);
 
   // Resolve pots from smallest to largest (already in that order)
   const allWinners = new Set();
-  for (const pot of next.pots) {
-    const potWinners = awardPot(next, pot, next.dealerIndex) || [];
+  next.pots.forEach((pot, potIndex) => {
+    const potWinners = awardPot(next, pot, next.dealerIndex, potIndex) || [];
     potWinners.forEach(id => allWinners.add(id));
-  }
+  });
 
   next.winners = [...allWinners];
   const firstWinner = next.players.find(p => p.id === next.winners[0]);
   const desc = firstWinner?.handStrength?.name || 'Hand';
   next.message = next.winners.length > 1 ? `Split pot (${desc})` : `Winner: ${desc}`;
+  logHandEnded(next, 'showdown');
 
   return next;
 };
@@ -628,15 +949,15 @@ export const resolveHand = (state) => {
 const advanceStreet = (state) => {
   if (state.phase === PHASES.PREFLOP) {
     burnOne(state);
-    dealCommunity(state, 3);
+    dealCommunity(state, 3, PHASES.FLOP);
     state.phase = PHASES.FLOP;
   } else if (state.phase === PHASES.FLOP) {
     burnOne(state);
-    dealCommunity(state, 1);
+    dealCommunity(state, 1, PHASES.TURN);
     state.phase = PHASES.TURN;
   } else if (state.phase === PHASES.TURN) {
     burnOne(state);
-    dealCommunity(state, 1);
+    dealCommunity(state, 1, PHASES.RIVER);
     state.phase = PHASES.RIVER;
   } else if (state.phase === PHASES.RIVER) {
     // proceed to showdown
@@ -648,21 +969,151 @@ const advanceStreet = (state) => {
   const starter = findNextToAct(state, state.dealerIndex);
   state.betting.startingIndex = starter;
   state.betting.currentActorIndex = starter;
+  logEvent(state, EVENT_TYPES.STREET, {
+    street: state.phase,
+    board: [...state.communityCards],
+    pot: sum(state.players.map(p => p.totalCommitted)),
+  });
   return true;
 };
 
+// No more betting is possible: deal the remaining streets and go to showdown
+const runOutBoard = (state) => {
+  while (advanceStreet(state));
+  return resolveHand(state);
+};
+
+// --- Action validation ---
+// Reason codes for rejected actions (validateAction / tryApplyAction)
+export const ACTION_ERRORS = {
+  HAND_OVER: 'hand_over',
+  NOT_YOUR_TURN: 'not_your_turn',
+  CANNOT_ACT: 'cannot_act', // unknown seat, folded, all-in or busted
+  UNKNOWN_ACTION: 'unknown_action',
+  CANNOT_CHECK: 'cannot_check', // facing a bet
+  CANNOT_BET: 'cannot_bet', // there is already a bet: call or raise
+  NOTHING_TO_RAISE: 'nothing_to_raise', // no bet yet: bet instead
+  RAISE_NOT_REOPENED: 'raise_not_reopened', // only a short all-in since this player acted
+  RAISE_CAPPED: 'raise_capped', // fixed-limit raise cap reached
+  CANNOT_RAISE: 'cannot_raise', // the stack doesn't reach past the current bet
+  BELOW_MIN_RAISE: 'below_min_raise',
+  BELOW_MIN_BET: 'below_min_bet',
+  INVALID_AMOUNT: 'invalid_amount', // a bet or raise amount that isn't a number
+};
+
+// Final street bet for a raise/all-in request: all-ins, fixed-limit raises and
+// oversized requests go to the maximum, anything else stays as asked.
+const raiseTarget = (state, playerIndex, action, amount, legal) => {
+  const highest = state.betting.highestBetThisRound;
+  const desiredTotal = clampInt(amount, highest + 1, legal.maxTotalBet);
+  const isFixedLimit = getBettingStructure(state) === BETTING_STRUCTURES.FIXED_LIMIT;
+  return (action === ACTIONS.ALL_IN || isFixedLimit || desiredTotal >= legal.maxTotalBet) ? legal.maxTotalBet : desiredTotal;
+};
+
+// "fold, call 40, raise to 80-1000, all-in"
+export const describeLegalActions = (legal) => [
+  legal.canFold && 'fold',
+  legal.canCheck && 'check',
+  legal.canCall && `call ${legal.callAmount}`,
+  legal.canBet && (legal.minTotalBet === legal.maxTotalBet ? `bet ${legal.maxTotalBet}` : `bet ${legal.minTotalBet}-${legal.maxTotalBet}`),
+  legal.canRaise && (legal.minTotalBet >= legal.maxTotalBet ? `raise to ${legal.maxTotalBet}` : `raise to ${legal.minTotalBet}-${legal.maxTotalBet}`),
+  legal.canAllIn && 'all-in',
+].filter(Boolean).join(', ');
+
+const rejection = (code, message) => ({ code, message });
+
+// Bet and raise amounts go through clampInt, which can't make a number of null or 'abc'
+const hasAmount = (amount) => !Number.isNaN(Number.parseInt(amount, 10));
+
+/**
+ * validateAction(state, playerIndex, action, amount)
+ * Returns null when applyAction would accept the action, otherwise
+ * { code, message } with a code from ACTION_ERRORS.
+ */
+export const validateAction = (state, playerIndex, action, amount = 0) => {
+  if (state.handOver) return rejection(ACTION_ERRORS.HAND_OVER, 'The hand is over');
+  const p = state.players[playerIndex];
+  if (!p || !canAct(p)) return rejection(ACTION_ERRORS.CANNOT_ACT, `${p ? p.name : `Seat ${playerIndex}`} cannot act in this hand`);
+  if (state.betting.currentActorIndex !== playerIndex) {
+    const actor = state.players[state.betting.currentActorIndex];
+    return rejection(ACTION_ERRORS.NOT_YOUR_TURN, `It is ${actor ? `${actor.name}'s` : 'not your'} turn`);
+  }
+
+  const legal = getLegalActions(state, playerIndex);
+  const highest = state.betting.highestBetThisRound;
+  switch (action) {
+    case ACTIONS.FOLD:
+    case ACTIONS.CALL: // calling nothing is a check
+      return null;
+    case ACTIONS.CHECK:
+      return legal.canCheck ? null : rejection(ACTION_ERRORS.CANNOT_CHECK, `Cannot check facing a bet: ${legal.callAmount} to call`);
+    case ACTIONS.BET:
+      if (!legal.canBet) return rejection(ACTION_ERRORS.CANNOT_BET, `There is already a bet of ${highest}: call or raise`);
+      if (!hasAmount(amount)) return rejection(ACTION_ERRORS.INVALID_AMOUNT, `Bet amount must be a number, got ${amount}`);
+      // Fixed-limit bets are always one bet; elsewhere only an all-in may be short
+      if (getBettingStructure(state) !== BETTING_STRUCTURES.FIXED_LIMIT
+        && clampInt(amount, 1, legal.maxTotalBet) < Math.min(legal.minTotalBet, legal.maxTotalBet)) {
+        return rejection(ACTION_ERRORS.BELOW_MIN_BET, `Bet of ${amount} is below the minimum bet of ${legal.minTotalBet}`);
+      }
+      return null;
+    case ACTIONS.RAISE:
+    case ACTIONS.ALL_IN: {
+      if (action === ACTIONS.ALL_IN && p.currentBet + p.stack <= highest) return null; // all-in for a call
+      const capReached = getBettingStructure(state) === BETTING_STRUCTURES.FIXED_LIMIT
+        && highest > 0 && (state.betting.betsThisRound || 0) >= (state.raiseCap || Infinity);
+      if (capReached) return rejection(ACTION_ERRORS.RAISE_CAPPED, `Betting is capped at ${state.raiseCap} bets this round`);
+      if (action === ACTIONS.RAISE && !legal.canRaise) {
+        if (highest === 0) return rejection(ACTION_ERRORS.NOTHING_TO_RAISE, 'There is no bet to raise: bet instead');
+        if (state.betting.actedSinceLastFullRaise?.[playerIndex]) {
+          return rejection(ACTION_ERRORS.RAISE_NOT_REOPENED, 'A short all-in does not reopen the betting: call or fold');
+        }
+        return rejection(ACTION_ERRORS.CANNOT_RAISE, 'Not enough chips to raise: call all-in or fold');
+      }
+      if (action === ACTIONS.RAISE && !hasAmount(amount)) {
+        return rejection(ACTION_ERRORS.INVALID_AMOUNT, `Raise amount must be a number, got ${amount}`);
+      }
+      const total = raiseTarget(state, playerIndex, action, amount, legal);
+      const isAllIn = total === p.currentBet + p.stack;
+      if (!isAllIn && total - highest < state.betting.lastFullRaiseSize) {
+        return rejection(ACTION_ERRORS.BELOW_MIN_RAISE, `Raise to ${total} is below the minimum raise to ${legal.minTotalBet}`);
+      }
+      return null;
+    }
+    default:
+      return rejection(ACTION_ERRORS.UNKNOWN_ACTION, `Unknown action: ${action}`);
+  }
+};
+
+/**
+ * tryApplyAction(state, playerIndex, action, amount)
+ * Result-typed applyAction: { ok: true, state } or
+ * { ok: false, state, error: { code, message, legal, alternatives } } where state is
+ * the untouched input, legal comes from getLegalActions and alternatives is a
+ * readable list of what the player could do instead.
+ */
+export const tryApplyAction = (state, playerIndex, action, amount = 0) => {
+  const error = validateAction(state, playerIndex, action, amount);
+  if (!error) return { ok: true, state: applyAction(state, playerIndex, action, amount) };
+  const legal = getLegalActions(state, playerIndex);
+  return { ok: false, state, error: { ...error, legal, alternatives: describeLegalActions(legal) } };
+};
+
+// Applies a player action and returns the next state. Illegal actions (see
+// validateAction) return the input state itself, unchanged.
 export const applyAction = (state, playerIndex, action, amount = 0) => {
+  if (validateAction(state, playerIndex, action, amount)) return state;
   const next = structuredClone(state);
-  if (next.handOver) return next;
-
   const p = next.players[playerIndex];
-  if (!p || !canAct(p)) return next;
 
   const highest = next.betting.highestBetThisRound;
   const callAmt = Math.max(0, highest - p.currentBet);
 
   const legal = getLegalActions(next, playerIndex);
-  const act = action;
+  // All-in for no more than a call is a call
+  const act = action === ACTIONS.ALL_IN && p.currentBet + p.stack <= highest ? ACTIONS.CALL : action;
+  const committedBefore = p.totalCommitted;
+  const wasAllIn = p.status === PLAYER_STATUS.ALL_IN;
+  let reopened = false; // a full bet/raise gives everyone their action back
 
   // --- Resolve action ---
   // Mark that this player took an action this round (used for reopen + end-of-round)
@@ -675,20 +1126,17 @@ export const applyAction = (state, playerIndex, action, amount = 0) => {
     p.currentAction = 'Fold';
     syncLegacyFields(p);
   } else if (act === ACTIONS.CHECK) {
-    if (!legal.canCheck) return next;
     p.currentAction = 'Check';
     syncLegacyFields(p);
   } else if (act === ACTIONS.CALL) {
-    if (!legal.canCall && callAmt > 0) return next;
     const committed = commitChips(p, callAmt);
     p.currentAction = (p.status === PLAYER_STATUS.ALL_IN && committed < callAmt) ? 'All-In' : 'Call';
     syncLegacyFields(p);
   } else if (act === ACTIONS.BET) {
-    if (!legal.canBet) return next;
-    const betSize = clampInt(amount, 1, p.currentBet + p.stack);
-    // Minimum bet sizing: BB (postflop too per spec default)
-    const minBet = next.bbAmount;
-    const finalBet = Math.max(minBet, betSize);
+    const betSize = clampInt(amount, 1, legal.maxTotalBet);
+    // Minimum bet sizing: BB (postflop too per spec default); one fixed bet in limit
+    const minBet = legal.minTotalBet;
+    const finalBet = Math.min(legal.maxTotalBet, Math.max(minBet, betSize));
     const committed = commitChips(p, finalBet); // currentBet was 0 when betting
     next.betting.highestBetThisRound = p.currentBet;
     next.betting.minRaiseAmount = committed; // next raise must be at least this bet size
@@ -696,23 +1144,15 @@ export const applyAction = (state, playerIndex, action, amount = 0) => {
     // Full bet reopens action; reset acted-since-full-raise
     next.betting.actedSinceLastFullRaise = { [playerIndex]: true };
     next.betting.lastReopenerIndex = playerIndex;
+    next.betting.betsThisRound = 1;
+    reopened = true;
     p.currentAction = (p.status === PLAYER_STATUS.ALL_IN) ? `All-In ${p.currentBet}` : `Bet ${p.currentBet}`;
     syncLegacyFields(p);
   } else if (act === ACTIONS.RAISE || act === ACTIONS.ALL_IN) {
-    if (!legal.canRaise && act !== ACTIONS.ALL_IN) return next;
-    const desiredTotal = clampInt(amount, highest + 1, p.currentBet + p.stack);
-    const maxTotal = p.currentBet + p.stack;
-    const isAllIn = act === ACTIONS.ALL_IN || desiredTotal >= maxTotal;
-    const total = isAllIn ? maxTotal : desiredTotal;
-
-    if (total <= highest) return next; // must exceed to be a raise
-
+    // Whole stack, the pot-limit cap, or one fixed bet (validateAction checked the size)
+    const total = raiseTarget(next, playerIndex, act, amount, legal);
     const raiseSize = total - highest;
-    const prevFullRaise = next.betting.lastFullRaiseSize;
-    const meetsMinRaise = raiseSize >= prevFullRaise;
-
-    // If not all-in, must meet min raise
-    if (!isAllIn && !meetsMinRaise) return next;
+    const meetsMinRaise = raiseSize >= next.betting.lastFullRaiseSize;
 
     // Commit chips up to 'total'
     const toAdd = total - p.currentBet;
@@ -727,6 +1167,8 @@ export const applyAction = (state, playerIndex, action, amount = 0) => {
       // Full raise reopens action; reset acted-since-full-raise
       next.betting.actedSinceLastFullRaise = { [playerIndex]: true };
       next.betting.lastReopenerIndex = playerIndex;
+      next.betting.betsThisRound = (next.betting.betsThisRound || 0) + 1;
+      reopened = true;
     } else {
       // All-in raise that is less than min raise does NOT reopen action:
       // keep actedSinceLastFullRaise as-is, just ensure raiser is marked as acted (already done above).
@@ -734,21 +1176,48 @@ export const applyAction = (state, playerIndex, action, amount = 0) => {
 
     p.currentAction = (p.status === PLAYER_STATUS.ALL_IN) ? `All-In ${p.currentBet}` : `Raise to ${p.currentBet}`;
     syncLegacyFields(p);
-  } else {
-    return next;
   }
 
+  // --- Log the action exactly as applied ---
+  const added = p.totalCommitted - committedBefore;
+  let kind = ACTIONS.RAISE;
+  if (act === ACTIONS.FOLD) kind = ACTIONS.FOLD;
+  else if (added === 0) kind = ACTIONS.CHECK;
+  else if (p.currentBet <= highest) kind = ACTIONS.CALL;
+  else if (highest === 0) kind = ACTIONS.BET;
+  logEvent(next, EVENT_TYPES.ACTION, {
+    playerIndex,
+    street: next.phase,
+    action: act,
+    kind,
+    amount: added,
+    total: p.currentBet,
+    raiseBy: kind === ACTIONS.RAISE ? p.currentBet - highest : 0,
+    allIn: p.status === PLAYER_STATUS.ALL_IN && !wasAllIn,
+    reopened,
+    pot: sum(next.players.map(pl => pl.totalCommitted)),
+  });
+
   // --- Hand end if only one player remains (folds) ---
   if (maybeEndHandIfOneLeft(next)) {
     // award the entire committed pot to remaining player
     const pots = computeSidePots(next.players);
     const total = sum(pots.map(pt => pt.amount));
     const winner = next.players.find(pl => pl.id === next.winners[0]);
+    logUncalledBet(next);
     if (winner) {
       winner.stack += total;
       syncLegacyFields(winner);
+      const winnerIndex = next.players.indexOf(winner);
+      pots.forEach((pt, potIndex) => logEvent(next, EVENT_TYPES.POT_AWARDED, {
+        potIndex,
+        amount: pt.amount,
+        eligiblePlayers: [...pt.eligiblePlayers],
+        winners: [{ playerIndex: winnerIndex, amount: pt.amount }],
+      }));
     }
     next.pots = pots;
+    logHandEnded(next, 'fold');
     return next;
   }
 
@@ -757,10 +1226,13 @@ export const applyAction = (state, playerIndex, action, amount = 0) => {
   next.betting.currentActorIndex = nextActor;
 
   if (bettingRoundShouldEnd(next, nextActor)) {
-    const advanced = advanceStreet(next);
-    if (!advanced) {
-      return resolveHand(next);
-    }
+    // Keep dealing while fewer than two players can still bet (everyone else all-in)
+    do {
+      const advanced = advanceStreet(next);
+      if (!advanced) {
+        return resolveHand(next);
+      }
+    } while (countActiveInHand(next.players) < 2);
     return next;
   }
 
@@ -0,0 +1,260 @@
+// src/logic/pushFold.js
+// Heads-up push/fold: the small blind shoves or folds, the big blind calls or folds.
+// Equities between the 169 starting-hand classes come from the hand evaluator over
+// a shared set of sampled boards; the ranges come from fictitious play (each side
+// repeatedly best-responds to the other's average strategy, which converges to the
+// equilibrium in a two-player zero-sum game).
+
+import { ACTIONS, ANTE_TYPES, BETTING_STRUCTURES, PHASES, PLAYER_STATUS, RANKS, VARIANTS, createRng } from './pokerLogic.js';
+import { evaluateHandRank } from './handEvaluator.js';
+import { remainingDeck } from './equity.js';
+import { handClassOf, parseRange } from './ranges.js';
+import { icmCallThreshold } from './icm.js';
+
+// Effective stacks (in big blinds) at or below this play push/fold by default
+export const DEFAULT_PUSH_FOLD_THRESHOLD = 10;
+
+// 'AA', 'AKs', 'AKo', ... strongest ranks first
+export const HAND_CLASSES = (() => {
+  const classes = [];
+  for (let i = RANKS.length - 1; i >= 0; i--) {
+    for (let j = i; j >= 0; j--) {
+      if (i === j) classes.push(`${RANKS[i]}${RANKS[j]}`);
+      else classes.push(`${RANKS[i]}${RANKS[j]}s`, `${RANKS[i]}${RANKS[j]}o`);
+    }
+  }
+  return classes;
+})();
+
+const N = HAND_CLASSES.length;
+const MAX_COMBO_PAIRS = 8; // combo pairs sampled per class matchup
+
+let cachedTable = null;
+
+/**
+ * getEquityTable({ boards, seed }) -> { equity, weights }
+ * equity[i * 169 + j]: all-in equity of class i against class j (ties count half)
+ * weights[i * 169 + j]: combos of j that don't share a card with a given combo of i,
+ *   times the combos of i (how often the matchup is dealt)
+ * Built once and cached; the default takes a fraction of a second.
+ */
+export const getEquityTable = ({ boards = 300, seed = 1 } = {}) => {
+  if (cachedTable && cachedTable.boards === boards && cachedTable.seed === seed) return cachedTable;
+
+  const deck = remainingDeck([]);
+  const cardIndex = new Map(deck.map((c, i) => [c.id, i]));
+  const classCombos = HAND_CLASSES.map(c => parseRange(c).map(combo => combo.cards.map(card => cardIndex.get(card.id))));
+
+  // Sampled boards and which cards each one uses
+  const rng = createRng(seed);
+  const boardCards = [];
+  const onBoard = new Uint8Array(boards * deck.length);
+  for (let k = 0; k < boards; k++) {
+    const pool = deck.map((_, i) => i);
+    const board = [];
+    for (let n = 0; n < 5; n++) {
+      const j = n + Math.floor(rng.next() * (pool.length - n));
+      [pool[n], pool[j]] = [pool[j], pool[n]];
+      board.push(pool[n]);
+      onBoard[k * deck.length + pool[n]] = 1;
+    }
+    boardCards.push(board.map(i => deck[i]));
+  }
+  const blocked = (k, combo) => onBoard[k * deck.length + combo[0]] || onBoard[k * deck.length + combo[1]];
+
+  // Every combo's rank on every board it doesn't collide with
+  const rankOf = new Map();
+  classCombos.flat().forEach(combo => {
+    const ranks = new Int32Array(boards);
+    for (let k = 0; k < boards; k++) {
+      ranks[k] = blocked(k, combo) ? -1 : evaluateHandRank([deck[combo[0]], deck[combo[1]], ...boardCards[k]]);
+    }
+    rankOf.set(combo, ranks);
+  });
+
+  const equity = new Float64Array(N * N);
+  const weights = new Float64Array(N * N);
+  for (let i = 0; i < N; i++) {
+    for (let j = i; j < N; j++) {
+      const pairs = [];
+      classCombos[i].forEach(a => classCombos[j].forEach(b => {
+        if (!a.includes(b[0]) && !a.includes(b[1])) pairs.push([a, b]);
+      }));
+      weights[i * N + j] = pairs.length;
+      weights[j * N + i] = pairs.length;
+      if (pairs.length === 0) continue;
+      const step = Math.max(1, Math.floor(pairs.length / MAX_COMBO_PAIRS));
+      let score = 0;
+      let count = 0;
+      for (let p = 0; p < pairs.length; p += step) {
+        const ra = rankOf.get(pairs[p][0]);
+        const rb = rankOf.get(pairs[p][1]);
+        for (let k = 0; k < boards; k++) {
+          if (ra[k] < 0 || rb[k] < 0) continue;
+          score += ra[k] > rb[k] ? 1 : ra[k] === rb[k] ? 0.5 : 0;
+          count++;
+        }
+      }
+      equity[i * N + j] = score / count;
+      equity[j * N + i] = 1 - score / count;
+    }
+  }
+
+  cachedTable = { boards, seed, equity, weights };
+  return cachedTable;
+};
+
+// Turns per-class frequencies into range notation (hands played at least half the time)
+const toRange = (freq) => HAND_CLASSES.filter((_, i) => freq[i] >= 0.5).join(', ');
+
+// Share of the 1326 combos a strategy plays
+const comboShare = (freq) => HAND_CLASSES.reduce((acc, c, i) => acc + freq[i] * parseRange(c).length, 0) / 1326;
+
+const solutions = new Map();
+
+/**
+ * solvePushFold(stackBb, { anteBb, iterations }) -> solution
+ * stackBb is the effective stack in big blinds before posting (antes and blinds
+ * included). The solution is:
+ * {
+ *   stackBb, anteBb,
+ *   shove: { AA: 1, ... }, call: { AA: 1, ... } (frequency per hand class),
+ *   shoveRange, callRange (classes played at least half the time, in range notation),
+ *   shovePercent, callPercent (share of all starting hands),
+ *   sbEv (small blind's average result in big blinds)
+ * }
+ */
+export const solvePushFold = (stackBb, { anteBb = 0, iterations = 400 } = {}) => {
+  const key = `${stackBb}:${anteBb}:${iterations}`;
+  if (solutions.has(key)) return solutions.get(key);
+
+  const { equity, weights } = getEquityTable();
+  const S = Math.max(stackBb, 1 + anteBb);
+  const sbFold = -(0.5 + anteBb);
+  const bbFold = -(1 + anteBb);
+  const stolen = 1 + anteBb; // the small blind's profit when the big blind folds
+  const sb = new Float64Array(N).fill(1);
+  const bb = new Float64Array(N).fill(1);
+  const sbBest = new Float64Array(N);
+  const bbBest = new Float64Array(N);
+
+  for (let it = 1; it <= iterations; it++) {
+    for (let h = 0; h < N; h++) {
+      // Big blind: call when the equity against the shoving range beats the fold
+      let w = 0;
+      let eq = 0;
+      for (let j = 0; j < N; j++) {
+        const wj = weights[h * N + j] * sb[j];
+        w += wj;
+        eq += wj * equity[h * N + j];
+      }
+      bbBest[h] = w > 0 && S * (2 * (eq / w) - 1) > bbFold ? 1 : 0;
+
+      // Small blind: shove when stealing plus getting called beats the fold
+      let total = 0;
+      let ev = 0;
+      for (let j = 0; j < N; j++) {
+        const wj = weights[h * N + j];
+        total += wj;
+        ev += wj * ((1 - bb[j]) * stolen + bb[j] * S * (2 * equity[h * N + j] - 1));
+      }
+      sbBest[h] = ev / total > sbFold ? 1 : 0;
+    }
+    for (let h = 0; h < N; h++) {
+      sb[h] += (sbBest[h] - sb[h]) / it;
+      bb[h] += (bbBest[h] - bb[h]) / it;
+    }
+  }
+
+  // Small blind's EV against the final big blind strategy, averaged over deals
+  let sbEv = 0;
+  let deals = 0;
+  for (let h = 0; h < N; h++) {
+    for (let j = 0; j < N; j++) {
+      const wj = weights[h * N + j];
+      const shoveEv = (1 - bb[j]) * stolen + bb[j] * S * (2 * equity[h * N + j] - 1);
+      sbEv += wj * (sb[h] * shoveEv + (1 - sb[h]) * sbFold);
+      deals += wj;
+    }
+  }
+
+  const solution = {
+    stackBb,
+    anteBb,
+    shove: Object.fromEntries(HAND_CLASSES.map((c, i) => [c, Number(sb[i].toFixed(3))])),
+    call: Object.fromEntries(HAND_CLASSES.map((c, i) => [c, Number(bb[i].toFixed(3))])),
+    shoveRange: toRange(sb),
+    callRange: toRange(bb),
+    shovePercent: Number((comboShare(sb) * 100).toFixed(1)),
+    callPercent: Number((comboShare(bb) * 100).toFixed(1)),
+    sbEv: Number((sbEv / deals).toFixed(3)),
+  };
+  solutions.set(key, solution);
+  return solution;
+};
+
+// Frequency (0-1) the solution plays these hole cards
+export const shoveFrequency = (solution, holeCards) => solution.shove[handClassOf(holeCards)] ?? 0;
+export const callFrequency = (solution, holeCards) => solution.call[handClassOf(holeCards)] ?? 0;
+
+// All-in equity of these hole cards against the solution's shoving range
+export const equityVsShove = (solution, holeCards) => {
+  const { equity, weights } = getEquityTable();
+  const h = HAND_CLASSES.indexOf(handClassOf(holeCards));
+  let w = 0;
+  let eq = 0;
+  HAND_CLASSES.forEach((c, j) => {
+    const wj = weights[h * N + j] * solution.shove[c];
+    w += wj;
+    eq += wj * equity[h * N + j];
+  });
+  return w > 0 ? eq / w : 0;
+};
+
+// Tournaments: call a shove only when the equity pays for the prize money at risk
+// (icmCallThreshold). Folded players' antes are dead money and left out.
+const icmCall = (view, solution) => {
+  const stacks = view.players.map(p => p.stack + (p.playerIndex === view.playerIndex || p.playerIndex === view.sbIndex ? p.totalCommitted : 0));
+  const needed = icmCallThreshold(stacks, view.payouts, view.playerIndex, view.sbIndex, view.self.totalCommitted);
+  return equityVsShove(solution, view.holeCards) >= needed;
+};
+
+/**
+ * pushFoldDecision(view, { threshold, random }) -> { action, amount } or null
+ * Plays the solved ranges in a heads-up blind battle (everyone else folded or
+ * out, no-limit hold'em, preflop) once the effective stack is at most `threshold`
+ * big blinds: the small blind shoves or folds, the big blind calls a shove or
+ * folds. Returns null for any other spot, so the seat's strategy plays it.
+ * With view.payouts set the big blind calls by ICM instead of chip EV.
+ */
+export const pushFoldDecision = (view, { threshold = DEFAULT_PUSH_FOLD_THRESHOLD, random = Math.random } = {}) => {
+  if (!threshold || view.street !== PHASES.PREFLOP || view.variant !== VARIANTS.HOLDEM) return null;
+  if (view.bettingStructure && view.bettingStructure !== BETTING_STRUCTURES.NO_LIMIT) return null;
+  const inHand = view.players.filter(p => p.status === PLAYER_STATUS.ACTIVE || p.status === PLAYER_STATUS.ALL_IN);
+  const blinds = [view.sbIndex, view.bbIndex];
+  if (inHand.length !== 2 || !inHand.every(p => blinds.includes(p.playerIndex))) return null;
+
+  const effective = Math.min(...inHand.map(p => p.stack + p.totalCommitted));
+  const stackBb = Math.round(effective / view.bbAmount);
+  if (stackBb > threshold) return null;
+  // A big-blind ante is the same dead money as half of it from each player
+  const ante = view.anteType === ANTE_TYPES.BIG_BLIND ? (view.anteAmount || 0) / 2 : (view.anteAmount || 0);
+  const anteBb = Number((ante / view.bbAmount).toFixed(2));
+  const solution = solvePushFold(Math.max(1, stackBb), { anteBb });
+  const bets = view.actions.filter(a => a.kind !== ACTIONS.FOLD);
+  const { legal } = view;
+
+  if (view.playerIndex === view.sbIndex && bets.length === 0) {
+    if (random() >= shoveFrequency(solution, view.holeCards)) return { action: legal.canCheck ? ACTIONS.CHECK : ACTIONS.FOLD, amount: 0 };
+    return { action: ACTIONS.ALL_IN, amount: legal.maxTotalBet };
+  }
+  // The small blind's only move was a shove (or a raise that puts us all-in to call)
+  const sbAllIn = view.players[view.sbIndex].status === PLAYER_STATUS.ALL_IN;
+  const facingShove = view.playerIndex === view.bbIndex && bets.length === 1
+    && bets[0].playerIndex === view.sbIndex && (sbAllIn || legal.callAmount >= view.self.stack);
+  if (facingShove) {
+    if (view.payouts?.length) return { action: icmCall(view, solution) ? ACTIONS.CALL : ACTIONS.FOLD, amount: 0 };
+    return { action: random() < callFrequency(solution, view.holeCards) ? ACTIONS.CALL : ACTIONS.FOLD, amount: 0 };
+  }
+  return null;
+};
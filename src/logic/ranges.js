@@ -0,0 +1,234 @@
+// src/logic/ranges.js
+// Hand range notation ("22+, A2s+, KTo+, QJs, AhKh, T9s:0.5") parsed into weighted
+// two-card combos built from the engine's { rank, suit, id } cards.
+
+import { RANKS, SUITS, createRng, createSeed } from './pokerLogic.js';
+import { evaluateHandRank } from './handEvaluator.js';
+import { remainingDeck } from './equity.js';
+
+const rankIndex = (rank) => RANKS.indexOf(rank);
+const makeCard = (rank, suit) => ({ rank, suit, id: `${rank}${suit}` });
+
+// Canonical key for a two-card combo: higher card first, e.g. 'AHKS'
+export const comboKey = (cards) => {
+  const [a, b] = cards;
+  const first = rankIndex(a.rank) > rankIndex(b.rank) || (a.rank === b.rank && a.suit < b.suit);
+  return first ? `${a.id}${b.id}` : `${b.id}${a.id}`;
+};
+
+// 'AA', 'AKs' or 'AKo' for a pair of hole cards
+export const handClassOf = (cards) => {
+  const [a, b] = cards;
+  const [hi, lo] = rankIndex(a.rank) >= rankIndex(b.rank) ? [a, b] : [b, a];
+  if (hi.rank === lo.rank) return `${hi.rank}${lo.rank}`;
+  return `${hi.rank}${lo.rank}${hi.suit === lo.suit ? 's' : 'o'}`;
+};
+
+// All combos of one hand class ('QQ' -> 6, 'AKs' -> 4, 'AKo' -> 12, 'AK' -> 16)
+const combosForClass = (high, low, suitedness) => {
+  const combos = [];
+  SUITS.forEach((s1, i) => {
+    SUITS.forEach((s2, j) => {
+      if (high === low) {
+        if (j > i) combos.push([makeCard(high, s1), makeCard(low, s2)]);
+        return;
+      }
+      const suited = s1 === s2;
+      if (suitedness === 's' && !suited) return;
+      if (suitedness === 'o' && suited) return;
+      combos.push([makeCard(high, s1), makeCard(low, s2)]);
+    });
+  });
+  return combos;
+};
+
+const CLASS_PATTERN = /^([2-9TJQKA])([2-9TJQKA])([so]?)$/;
+const COMBO_PATTERN = /^([2-9TJQKA])([hcsd])([2-9TJQKA])([hcsd])$/i;
+
+const parseClass = (text) => {
+  const m = CLASS_PATTERN.exec(text);
+  if (!m) return null;
+  let [, high, low, suitedness] = m;
+  if (rankIndex(low) > rankIndex(high)) [high, low] = [low, high];
+  if (high === low && suitedness) return null; // 'AAs' is not a hand
+  return { high, low, suitedness };
+};
+
+// Expands one comma-separated token into hand classes
+const expandToken = (token) => {
+  // Specific combo: AhKh
+  const combo = COMBO_PATTERN.exec(token);
+  if (combo) {
+    const a = makeCard(combo[1].toUpperCase(), combo[2].toUpperCase());
+    const b = makeCard(combo[3].toUpperCase(), combo[4].toUpperCase());
+    if (a.id === b.id) throw new Error(`Invalid combo: ${token}`);
+    return [[a, b]];
+  }
+
+  // Span: 88-55, T9s-T6s, KQo-K9o
+  if (token.includes('-')) {
+    const [fromText, toText] = token.split('-');
+    const from = parseClass(fromText);
+    const to = parseClass(toText);
+    if (!from || !to || from.suitedness !== to.suitedness) throw new Error(`Invalid range span: ${token}`);
+    const combos = [];
+    if (from.high === from.low && to.high === to.low) {
+      const [lo, hi] = [rankIndex(from.high), rankIndex(to.high)].sort((x, y) => x - y);
+      for (let r = lo; r <= hi; r++) combos.push(...combosForClass(RANKS[r], RANKS[r], ''));
+      return combos;
+    }
+    if (from.high !== to.high || from.high === from.low) throw new Error(`Invalid range span: ${token}`);
+    const [lo, hi] = [rankIndex(from.low), rankIndex(to.low)].sort((x, y) => x - y);
+    for (let r = lo; r <= hi; r++) combos.push(...combosForClass(from.high, RANKS[r], from.suitedness));
+    return combos;
+  }
+
+  // Plus: 22+ (pairs up to AA), A2s+ (kicker up to one below the high card)
+  const plus = token.endsWith('+');
+  const parsed = parseClass(plus ? token.slice(0, -1) : token);
+  if (!parsed) throw new Error(`Invalid range token: ${token}`);
+  const { high, low, suitedness } = parsed;
+  if (!plus) return combosForClass(high, low, suitedness);
+  const combos = [];
+  if (high === low) {
+    for (let r = rankIndex(high); r < RANKS.length; r++) combos.push(...combosForClass(RANKS[r], RANKS[r], ''));
+  } else {
+    for (let r = rankIndex(low); r < rankIndex(high); r++) combos.push(...combosForClass(high, RANKS[r], suitedness));
+  }
+  return combos;
+};
+
+const blocks = (cards, deadIds) => cards.some(c => deadIds.has(c.id));
+
+/**
+ * parseRange(text, { deadCards })
+ * Returns [{ cards: [c1, c2], weight, key, handClass }]. Tokens are separated by
+ * commas or whitespace; an optional ':weight' (0-1) applies to the whole token and a
+ * later token overrides an earlier one for the same combo. Combos that use a dead
+ * card (board, known hole cards) are removed.
+ */
+export const parseRange = (text, { deadCards = [] } = {}) => {
+  const deadIds = new Set(deadCards.map(c => c.id || `${c.rank}${c.suit}`));
+  const byKey = new Map();
+  const tokens = String(text || '').split(/[\s,]+/).filter(Boolean);
+  for (const raw of tokens) {
+    const [token, weightText] = raw.split(':');
+    const weight = weightText === undefined ? 1 : Number.parseFloat(weightText);
+    if (!Number.isFinite(weight) || weight < 0 || weight > 1) throw new Error(`Invalid weight in range token: ${raw}`);
+    for (const cards of expandToken(token)) {
+      const key = comboKey(cards);
+      byKey.set(key, { cards, weight, key, handClass: handClassOf(cards) });
+    }
+  }
+  return [...byKey.values()].filter(c => c.weight > 0 && !blocks(c.cards, deadIds));
+};
+
+// Card removal against a board or other known cards
+export const removeBlockedCombos = (combos, deadCards) => {
+  const deadIds = new Set(deadCards.map(c => c.id || `${c.rank}${c.suit}`));
+  return combos.filter(c => !blocks(c.cards, deadIds));
+};
+
+export const rangeContains = (combos, holeCards) => {
+  const key = comboKey(holeCards);
+  return combos.some(c => c.key === key);
+};
+
+// Total weighted combo count (e.g. 'AA' = 6, 'AKs:0.5' = 2)
+export const countCombos = (combos) => combos.reduce((acc, c) => acc + c.weight, 0);
+
+const createWeightedPicker = (combos, rng) => {
+  const cumulative = [];
+  let total = 0;
+  for (const c of combos) {
+    total += c.weight;
+    cumulative.push(total);
+  }
+  return () => {
+    const target = rng.next() * total;
+    let lo = 0;
+    let hi = cumulative.length - 1;
+    while (lo < hi) {
+      const mid = (lo + hi) >> 1;
+      if (cumulative[mid] > target) hi = mid; else lo = mid + 1;
+    }
+    return combos[lo];
+  };
+};
+
+const MAX_DEAL_ATTEMPTS = 1000;
+
+/**
+ * calculateRangeEquity(ranges, board, deadCards, options)
+ * Monte Carlo equity for two or more ranges (strings or parseRange output) on a
+ * 0-5 card board. Each trial draws a weighted, non-overlapping combo per range and
+ * a random runout. Returns { players: [{ win, tie, equity }], trials }.
+ */
+export const calculateRangeEquity = (ranges, board = [], deadCards = [], options = {}) => {
+  const { iterations = 20000, seed } = options;
+  if (!ranges || ranges.length < 2) throw new Error('calculateRangeEquity needs at least two ranges');
+  const known = [...board, ...deadCards];
+  const parsed = ranges.map(r => removeBlockedCombos(typeof r === 'string' ? parseRange(r) : r, known));
+  parsed.forEach((combos, i) => {
+    if (combos.length === 0) throw new Error(`Range ${i} has no combos left after card removal`);
+  });
+
+  const rng = createRng(seed ?? createSeed());
+  const pickers = parsed.map(combos => createWeightedPicker(combos, rng));
+  const deck = remainingDeck(known);
+  const needed = 5 - board.length;
+  const wins = new Array(ranges.length).fill(0);
+  const ties = new Array(ranges.length).fill(0);
+  const shares = new Array(ranges.length).fill(0);
+  const ranks = new Array(ranges.length);
+  let trials = 0;
+
+  for (let t = 0; t < iterations; t++) {
+    // Deal one combo per range without overlaps (rejection sampling)
+    let hands = null;
+    for (let attempt = 0; attempt < MAX_DEAL_ATTEMPTS && !hands; attempt++) {
+      const used = new Set();
+      const picked = [];
+      for (const pick of pickers) {
+        const combo = pick();
+        if (blocks(combo.cards, used)) break;
+        combo.cards.forEach(c => used.add(c.id));
+        picked.push(combo.cards);
+      }
+      if (picked.length === pickers.length) hands = { picked, used };
+    }
+    if (!hands) throw new Error('Ranges overlap too much to deal non-conflicting hands');
+
+    const pool = deck.filter(c => !hands.used.has(c.id));
+    const fullBoard = [...board];
+    for (let i = 0; i < needed; i++) {
+      const j = i + Math.floor(rng.next() * (pool.length - i));
+      [pool[i], pool[j]] = [pool[j], pool[i]];
+      fullBoard.push(pool[i]);
+    }
+
+    let best = -1;
+    hands.picked.forEach((cards, i) => {
+      ranks[i] = evaluateHandRank([...cards, ...fullBoard]);
+      if (ranks[i] > best) best = ranks[i];
+    });
+    const winners = [];
+    for (let i = 0; i < ranks.length; i++) if (ranks[i] === best) winners.push(i);
+    if (winners.length === 1) {
+      wins[winners[0]]++;
+      shares[winners[0]]++;
+    } else {
+      winners.forEach(w => { ties[w]++; shares[w] += 1 / winners.length; });
+    }
+    trials++;
+  }
+
+  return {
+    players: ranges.map((_, i) => ({
+      win: wins[i] / trials,
+      tie: ties[i] / trials,
+      equity: shares[i] / trials,
+    })),
+    trials,
+  };
+};
@@ -0,0 +1,165 @@
+// src/logic/simulation.js
+// Headless bot-vs-bot sessions: plays hands straight through the engine (no UI)
+// and tallies results per seat from each hand's event log.
+
+import {
+  ACTIONS,
+  EVENT_TYPES,
+  VARIANTS,
+  createInitialGameState,
+  createPlayers,
+  createRng,
+  moveButton,
+  startHand,
+  tryApplyAction,
+} from './pokerLogic.js';
+import { decideAction, getStrategy } from './strategies.js';
+import { assertInvariants } from './invariants.js';
+import { DEFAULT_PUSH_FOLD_THRESHOLD } from './pushFold.js';
+import { createPlayerStats, recordHand } from './playerStats.js';
+
+const round = (n, digits = 2) => Number(n.toFixed(digits));
+
+// Busted seats buy back in for their starting stack before the next hand
+const rebuyBusted = (state, startingStacks, seats) => {
+  if (state.players.every(p => p.stack > 0)) return state;
+  const next = structuredClone(state);
+  next.players.forEach((p, i) => {
+    if (p.stack > 0) return;
+    p.stack = startingStacks[i];
+    p.chips = p.stack;
+    seats[i].buyIns += p.stack;
+  });
+  return next;
+};
+
+// Asks the seat's strategy for an action; one the engine rejects becomes check/fold
+const playTurn = (state, options) => {
+  const playerIndex = state.betting.currentActorIndex;
+  const { action, amount } = decideAction(state, playerIndex, options);
+  const result = tryApplyAction(state, playerIndex, action, amount);
+  if (result.ok) return result.state;
+  return tryApplyAction(state, playerIndex, result.error.legal.canCheck ? ACTIONS.CHECK : ACTIONS.FOLD).state;
+};
+
+const tallyHand = (state, seats) => {
+  const ended = state.log.find(e => e.type === EVENT_TYPES.HAND_ENDED);
+  const winners = new Set(ended.winners);
+  const showedDown = new Set(state.log.filter(e => e.type === EVENT_TYPES.SHOWDOWN).map(e => e.playerIndex));
+  state.log.filter(e => e.type === EVENT_TYPES.HOLE_CARDS).forEach(({ playerIndex }) => {
+    const seat = seats[playerIndex];
+    const won = winners.has(state.players[playerIndex].id);
+    seat.handsDealt++;
+    if (won) seat.handsWon++;
+    if (showedDown.has(playerIndex)) {
+      seat.showdowns++;
+      if (won) seat.showdownsWon++;
+    }
+    if (ended.stacks[playerIndex] === 0) seat.bustOuts++;
+  });
+};
+
+/**
+ * runSimulation(options) -> { config, handsPlayed, seats }
+ * options: {
+ *   players = 6, stacks = 1000 (one for all seats, or one per seat),
+ *   sbAmount = 10, bbAmount = 20, anteAmount = 0, variant, bettingStructure,
+ *   strategies = ['random'] (registered strategy names, repeated over the seats),
+ *   hands = 1000, seed = 1,
+ *   rebuy = true (busted seats buy back in; otherwise the run stops when one seat is left),
+ *   pushFoldThreshold = DEFAULT_PUSH_FOLD_THRESHOLD (big blinds; 0 = never play push/fold),
+ *   checkInvariants = false (assertInvariants after every transition)
+ * }
+ * Each seat reports: handsDealt, handsWon, showdowns, showdownsWon, bustOuts,
+ * buyIns, finalStack, net, bbPer100, winRate, showdownRate and showdownWinRate.
+ */
+export const runSimulation = ({
+  players = 6,
+  stacks = 1000,
+  sbAmount = 10,
+  bbAmount = 20,
+  anteAmount = 0,
+  variant = VARIANTS.HOLDEM,
+  bettingStructure,
+  strategies = ['random'],
+  hands = 1000,
+  seed = 1,
+  rebuy = true,
+  pushFoldThreshold = DEFAULT_PUSH_FOLD_THRESHOLD,
+  checkInvariants = false,
+} = {}) => {
+  if (players < 2) throw new Error('A simulation needs at least two players');
+  const startingStacks = Array.from({ length: players }, (_, i) => (Array.isArray(stacks) ? stacks[i] ?? stacks[stacks.length - 1] : stacks));
+  const seatStrategies = Array.from({ length: players }, (_, i) => strategies[i % strategies.length]);
+  seatStrategies.forEach(getStrategy); // unknown names fail before any hand is played
+  const names = seatStrategies.map((name, i) => `Seat ${i + 1} (${name})`);
+  const seats = seatStrategies.map((strategy, i) => ({
+    seat: i,
+    name: names[i],
+    strategy,
+    handsDealt: 0,
+    handsWon: 0,
+    showdowns: 0,
+    showdownsWon: 0,
+    bustOuts: 0,
+    buyIns: startingStacks[i],
+  }));
+
+  const table = createPlayers(players, 0, names).map((p, i) => ({
+    ...p,
+    isHuman: false,
+    strategy: seatStrategies[i],
+    stack: startingStacks[i],
+    chips: startingStacks[i],
+  }));
+  const check = checkInvariants ? assertInvariants : (s) => s;
+  let state = check(createInitialGameState({ players: table, sbAmount, bbAmount, anteAmount, variant, bettingStructure, seed }));
+  // Bots draw from their own stream so a strategy change doesn't reshuffle the deck
+  const random = createRng(seed ^ 0x5bd1e995).next;
+  // What the bots know about each other (playerStats.js)
+  let stats = createPlayerStats();
+
+  let handsPlayed = 0;
+  for (; handsPlayed < hands; handsPlayed++) {
+    if (rebuy) state = rebuyBusted(state, startingStacks, seats);
+    if (state.players.filter(p => p.stack > 0).length < 2) break;
+    state = check(startHand(handsPlayed ? moveButton(state) : state));
+    while (!state.handOver) {
+      state = check(playTurn(state, { random, pushFoldThreshold, stats }));
+    }
+    tallyHand(state, seats);
+    stats = recordHand(stats, state.log);
+  }
+
+  return {
+    config: { players, stacks: startingStacks, sbAmount, bbAmount, anteAmount, variant, bettingStructure: state.bettingStructure, strategies: seatStrategies, hands, seed, rebuy, pushFoldThreshold },
+    handsPlayed,
+    seats: seats.map(s => {
+      const finalStack = state.players[s.seat].stack;
+      const net = finalStack - s.buyIns;
+      const dealt = s.handsDealt || 1;
+      return {
+        ...s,
+        finalStack,
+        net,
+        bbPer100: round(net / bbAmount / dealt * 100),
+        winRate: round(s.handsWon / dealt, 4),
+        showdownRate: round(s.showdowns / dealt, 4),
+        showdownWinRate: round(s.showdowns ? s.showdownsWon / s.showdowns : 0, 4),
+      };
+    }),
+  };
+};
+
+const CSV_COLUMNS = [
+  'seat', 'name', 'strategy', 'handsDealt', 'handsWon', 'showdowns', 'showdownsWon', 'bustOuts',
+  'buyIns', 'finalStack', 'net', 'bbPer100', 'winRate', 'showdownRate', 'showdownWinRate',
+];
+
+const csvField = (value) => (/[",\n]/.test(String(value)) ? `"${String(value).replace(/"/g, '""')}"` : String(value));
+
+// One row per seat
+export const formatSimulationCsv = (result) => [
+  CSV_COLUMNS.join(','),
+  ...result.seats.map(s => CSV_COLUMNS.map(c => csvField(s[c])).join(',')),
+].join('\n');
@@ -0,0 +1,80 @@
+// Plays bot-vs-bot hands without the UI and prints per-seat results.
+// Run with: node src/logic/simulationCli.js [options]
+//   --players 6  --stack 1000 (or 1000,500,...)  --blinds 10/20  --ante 0
+//   --bots random,station,maniac  --hands 1000  --seed 1
+//   --variant holdem|omaha  --structure no_limit|pot_limit|fixed_limit
+//   --charts charts.json (preflop charts for the "chart" bot, see chartBot.js)
+//   --push-fold 10 (heads-up blind battles at or below this many big blinds play
+//     the solved push/fold ranges; 0 = off)
+//   --no-rebuy  --check (assert engine invariants)  --format json|csv
+
+import { parseArgs } from 'node:util';
+import { readFileSync } from 'node:fs';
+import { runSimulation, formatSimulationCsv } from './simulation.js';
+import { registerStrategy } from './strategies.js';
+import { createChartStrategy } from './chartBot.js';
+
+const USAGE = 'Usage: node src/logic/simulationCli.js [--players n] [--stack n[,n...]] [--blinds sb/bb] [--ante n] '
+  + '[--bots name,...] [--hands n] [--seed n] [--variant v] [--structure s] [--charts file] [--push-fold bb] [--no-rebuy] [--check] [--format json|csv]';
+
+const toInt = (text, name) => {
+  const n = Number.parseInt(text, 10);
+  if (!Number.isFinite(n) || n < 0) throw new Error(`--${name} must be a whole number, got "${text}"`);
+  return n;
+};
+
+const run = () => {
+  const { values } = parseArgs({
+    args: globalThis.process.argv.slice(2),
+    options: {
+      players: { type: 'string', default: '6' },
+      stack: { type: 'string', default: '1000' },
+      blinds: { type: 'string', default: '10/20' },
+      ante: { type: 'string', default: '0' },
+      bots: { type: 'string', default: 'random' },
+      hands: { type: 'string', default: '1000' },
+      seed: { type: 'string', default: '1' },
+      variant: { type: 'string' },
+      structure: { type: 'string' },
+      charts: { type: 'string' },
+      'push-fold': { type: 'string' },
+      'no-rebuy': { type: 'boolean', default: false },
+      check: { type: 'boolean', default: false },
+      format: { type: 'string', default: 'json' },
+      help: { type: 'boolean', short: 'h', default: false },
+    },
+  });
+  if (values.help) {
+    console.log(USAGE);
+    return;
+  }
+  if (!['json', 'csv'].includes(values.format)) throw new Error(`--format must be json or csv, got "${values.format}"`);
+  const [sb, bb] = values.blinds.split('/');
+  const stacks = values.stack.split(',').map(s => toInt(s, 'stack'));
+  if (values.charts) registerStrategy(createChartStrategy(readFileSync(values.charts, 'utf8')));
+
+  const result = runSimulation({
+    players: toInt(values.players, 'players'),
+    stacks: stacks.length === 1 ? stacks[0] : stacks,
+    sbAmount: toInt(sb, 'blinds'),
+    bbAmount: toInt(bb ?? sb * 2, 'blinds'),
+    anteAmount: toInt(values.ante, 'ante'),
+    variant: values.variant,
+    bettingStructure: values.structure,
+    strategies: values.bots.split(','),
+    hands: toInt(values.hands, 'hands'),
+    seed: toInt(values.seed, 'seed'),
+    rebuy: !values['no-rebuy'],
+    pushFoldThreshold: values['push-fold'] === undefined ? undefined : toInt(values['push-fold'], 'push-fold'),
+    checkInvariants: values.check,
+  });
+  console.log(values.format === 'csv' ? formatSimulationCsv(result) : JSON.stringify(result, null, 2));
+};
+
+try {
+  run();
+} catch (e) {
+  console.error(e.message);
+  console.error(USAGE);
+  globalThis.process.exitCode = 2;
+}
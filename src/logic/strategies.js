@@ -0,0 +1,156 @@
+// src/logic/strategies.js
+// Bot strategies and the registry the App and the simulation runner pick them from.
+//
+// A strategy is { name, label, description, decide(view, context) } where
+// decide returns { action, amount } (amount is the street total for bets and raises).
+// - view: createPlayerView(state, playerIndex), only what that seat may know
+// - context: { random } where random is a () => [0, 1) function, so seeded runs
+//   stay reproducible
+// Strategies only see the view, so the same code runs in the browser and in Node.
+
+import { ACTIONS, EVENT_TYPES, getLegalActions } from './pokerLogic.js';
+import { adaptiveStrategy } from './adaptiveBot.js';
+import { createChartStrategy } from './chartBot.js';
+import { DEFAULT_PUSH_FOLD_THRESHOLD, pushFoldDecision } from './pushFold.js';
+import { getPlayerStats } from './playerStats.js';
+
+// Bots play by their aggressive/tight sliders unless a seat picks something else
+export const DEFAULT_STRATEGY = 'adaptive';
+
+/**
+ * createPlayerView(state, playerIndex)
+ * {
+ *   playerIndex, holeCards, board, street, variant, bettingStructure,
+ *   sbAmount, bbAmount, anteAmount, anteType, dealerIndex, sbIndex, bbIndex,
+ *   payouts (tournament prizes, first place first, or null; see icm.js),
+ *   pot, highestBet, legal (getLegalActions),
+ *   self: { name, stack, currentBet, totalCommitted, aggressiveLevel, tightLevel },
+ *   players: [{ playerIndex, name, stack, currentBet, totalCommitted, status, stats }],
+ *   actions: this hand's ACTION events so far
+ * }
+ * Other players' hole cards are never part of the view. Each player's stats are
+ * getPlayerStats (VPIP, PFR, ...) from the session stats passed in, if any.
+ */
+export const createPlayerView = (state, playerIndex, { stats } = {}) => {
+  const p = state.players[playerIndex];
+  const started = state.log.find(e => e.type === EVENT_TYPES.HAND_STARTED);
+  return {
+    playerIndex,
+    holeCards: [...p.holeCards],
+    board: [...state.communityCards],
+    street: state.phase,
+    variant: state.variant,
+    bettingStructure: started ? started.bettingStructure : state.bettingStructure,
+    sbAmount: state.sbAmount,
+    bbAmount: state.bbAmount,
+    anteAmount: state.anteAmount || 0,
+    anteType: state.anteType,
+    payouts: state.payouts ? [...state.payouts] : null,
+    dealerIndex: state.dealerIndex,
+    sbIndex: started ? started.sbIndex : -1,
+    bbIndex: started ? started.bbIndex : -1,
+    pot: state.players.reduce((acc, pl) => acc + pl.totalCommitted, 0),
+    highestBet: state.betting.highestBetThisRound,
+    legal: getLegalActions(state, playerIndex),
+    self: {
+      name: p.name,
+      stack: p.stack,
+      currentBet: p.currentBet,
+      totalCommitted: p.totalCommitted,
+      aggressiveLevel: p.aggressiveLevel ?? 50,
+      tightLevel: p.tightLevel ?? 50,
+    },
+    players: state.players.map((pl, i) => ({
+      playerIndex: i,
+      name: pl.name,
+      stack: pl.stack,
+      currentBet: pl.currentBet,
+      totalCommitted: pl.totalCommitted,
+      status: pl.status,
+      stats: getPlayerStats(stats, i),
+    })),
+    actions: state.log.filter(e => e.type === EVENT_TYPES.ACTION),
+  };
+};
+
+// --- Registry ---
+const registry = new Map();
+
+// Adds (or replaces) a strategy under its name
+export const registerStrategy = (strategy) => {
+  if (!strategy?.name || typeof strategy.decide !== 'function') {
+    throw new Error('A strategy needs a name and a decide(view, context) function');
+  }
+  registry.set(strategy.name, strategy);
+  return strategy;
+};
+
+export const getStrategy = (name) => {
+  const strategy = registry.get(name);
+  if (!strategy) throw new Error(`Unknown bot strategy: ${name} (known: ${[...registry.keys()].join(', ')})`);
+  return strategy;
+};
+
+// [{ name, label, description }] in registration order, e.g. for a settings menu
+export const listStrategies = () => [...registry.values()].map(({ name, label, description }) => ({ name, label, description }));
+
+/**
+ * decideAction(state, playerIndex, { strategy, random, pushFoldThreshold, stats })
+ * Runs the seat's strategy (player.strategy, else DEFAULT_STRATEGY, unless one
+ * is named) on its view. Heads-up blind battles with an effective stack of at most
+ * pushFoldThreshold big blinds (0 turns this off) play the solved push/fold
+ * ranges instead. stats (playerStats.js) go into the view for exploitative bots.
+ * The engine still validates the answer.
+ */
+export const decideAction = (state, playerIndex, { strategy, random = Math.random, pushFoldThreshold = DEFAULT_PUSH_FOLD_THRESHOLD, stats } = {}) => {
+  const name = strategy || state.players[playerIndex].strategy || DEFAULT_STRATEGY;
+  const view = createPlayerView(state, playerIndex, { stats });
+  const solved = pushFoldDecision(view, { threshold: pushFoldThreshold, random });
+  const { action, amount = 0 } = solved || getStrategy(name).decide(view, { random });
+  return { action, amount };
+};
+
+// --- Built-in strategies ---
+
+registerStrategy(adaptiveStrategy);
+registerStrategy(createChartStrategy());
+
+// Bet half the pot when nobody has, otherwise raise to three times the bet
+// (at least the legal minimum), so raising wars end in a few steps
+const betOrRaise = (view) => {
+  const { legal } = view;
+  const target = legal.canBet ? Math.round(view.pot / 2) : view.highestBet * 3;
+  return {
+    action: legal.canBet ? ACTIONS.BET : ACTIONS.RAISE,
+    amount: Math.min(legal.maxTotalBet, Math.max(legal.minTotalBet, target)),
+  };
+};
+
+const checkOrCall = (legal) => ({ action: legal.canCheck ? ACTIONS.CHECK : ACTIONS.CALL, amount: 0 });
+
+registerStrategy({
+  name: 'random',
+  label: 'Random',
+  description: 'Weighted coin flips: raises 20%, otherwise checks, or calls 50% / folds 30% facing a bet',
+  decide: (view, { random }) => {
+    const { legal } = view;
+    const rand = random();
+    if (rand > 0.8 && (legal.canBet || legal.canRaise)) return betOrRaise(view);
+    if (legal.canCheck) return { action: ACTIONS.CHECK, amount: 0 };
+    return rand > 0.3 ? { action: ACTIONS.CALL, amount: 0 } : { action: ACTIONS.FOLD, amount: 0 };
+  },
+});
+
+registerStrategy({
+  name: 'station',
+  label: 'Calling station',
+  description: 'Never folds, never raises',
+  decide: (view) => checkOrCall(view.legal),
+});
+
+registerStrategy({
+  name: 'maniac',
+  label: 'Maniac',
+  description: 'Bets or raises whenever it may, calls when it may not',
+  decide: (view) => ((view.legal.canBet || view.legal.canRaise) ? betOrRaise(view) : checkOrCall(view.legal)),
+});
@@ -0,0 +1,68 @@
+// src/logic/tableClient.js
+// Client for a table server (tableServer.js). Uses the browser's WebSocket by
+// default; pass connect: openWebSocket (webSocket.js) to run it in Node.
+// A dropped connection is retried every retryMs with the seat's token, so the
+// player gets the same seat back while the server still holds it.
+
+/**
+ * createTableClient(url, { name, token, retryMs, connect, onWelcome, onState, onRejected, onError, onStatus })
+ *   -> { act(action, amount), getSeat(), getToken(), close() }
+ * onState({ seat, state, legal, seats }) gets every update; onStatus(connected)
+ * tracks the connection. close() stops retrying.
+ */
+export const createTableClient = (url, {
+  name,
+  token = null,
+  retryMs = 1000,
+  connect = (target) => new globalThis.WebSocket(target),
+  onWelcome = () => {},
+  onState = () => {},
+  onRejected = () => {},
+  onError = () => {},
+  onStatus = () => {},
+} = {}) => {
+  let socket = null;
+  let seat = null;
+  let retryTimer = null;
+  let stopped = false;
+
+  const open = () => {
+    socket = connect(url);
+    socket.onopen = () => {
+      onStatus(true);
+      socket.send(JSON.stringify({ type: 'join', name, token }));
+    };
+    socket.onmessage = ({ data }) => {
+      const message = JSON.parse(data);
+      if (message.type === 'welcome') {
+        seat = message.seat;
+        token = message.token;
+        onWelcome(message);
+      } else if (message.type === 'state') {
+        onState(message);
+      } else if (message.type === 'rejected') {
+        onRejected(message.error);
+      } else if (message.type === 'error') {
+        // Nothing to come back to at a full table
+        if (message.code === 'table_full') stopped = true;
+        onError(message);
+      }
+    };
+    socket.onclose = () => {
+      onStatus(false);
+      if (!stopped) retryTimer = setTimeout(open, retryMs);
+    };
+  };
+  open();
+
+  return {
+    act: (action, amount = 0) => socket.send(JSON.stringify({ type: 'action', action, amount })),
+    getSeat: () => seat,
+    getToken: () => token,
+    close: () => {
+      stopped = true;
+      clearTimeout(retryTimer);
+      socket.close();
+    },
+  };
+};
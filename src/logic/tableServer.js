@@ -0,0 +1,299 @@
+// src/logic/tableServer.js
+// A table the server owns: the engine state lives here and is the only truth;
+// clients send actions and get back what their seat may see. Each seat is a
+// human (claimed by a client) or a bot strategy (strategies.js).
+//
+// Client -> server
+//   { "type": "join", "name": "Ann", "token": "..." }   token (from an earlier welcome) reclaims a seat
+//   { "type": "action", "action": "raise", "amount": 60 }
+// Server -> client
+//   { "type": "welcome", "seat": 1, "token": "...", "reconnected": false }
+//   { "type": "state", "seat": 1, "state": createClientState(...), "legal": getLegalActions or null, "seats": [...] }
+//   { "type": "rejected", "error": { "code", "message", "alternatives" } }
+//   { "type": "error", "code": "table_full" | "not_joined" | "already_joined" | "bad_message", "message" }
+//
+// A dropped human keeps the seat for reconnectGraceMs; their turns meanwhile
+// check or fold after absentTimeoutMs. Hands start once every human seat is taken.
+
+import { randomUUID } from 'node:crypto';
+import { createServer } from 'node:http';
+import {
+  ACTION_ERRORS,
+  EVENT_TYPES,
+  createInitialGameState,
+  createPlayers,
+  describeLegalActions,
+  getLegalActions,
+  moveButton,
+  startHand,
+  tryApplyAction,
+} from './pokerLogic.js';
+import { decideAction, getStrategy } from './strategies.js';
+import { fallbackAction } from './agentProtocol.js';
+import { createPlayerStats, recordHand } from './playerStats.js';
+import { acceptWebSocket } from './webSocket.js';
+
+export const HUMAN_SEAT = 'human';
+
+// Shuffle state: any one of these rebuilds the deck, so none may leave the server
+const SEED_KEYS = ['seed', 'rngState', 'handSeed'];
+const withoutSeeds = (obj) => Object.fromEntries(Object.entries(obj).filter(([key]) => !SEED_KEYS.includes(key)));
+
+/**
+ * createClientState(state, seat) -> the engine state as `seat` may see it
+ * The deck, the shuffle seeds (also in the log) and burn cards are gone; other players' hole cards
+ * are empty (holeCardCount says how many they hold) until they show them down.
+ */
+export const createClientState = (state, seat) => {
+  const shown = new Set(state.log.filter(e => e.type === EVENT_TYPES.SHOWDOWN).map(e => e.playerIndex));
+  const visible = (i) => i === seat || shown.has(i);
+  const { deck: _deck, ...rest } = state;
+  const view = structuredClone(withoutSeeds(rest));
+  view.players.forEach((p, i) => {
+    p.holeCardCount = p.holeCards.length;
+    if (visible(i)) return;
+    p.holeCards = [];
+    p.hand = [];
+    delete p.handStrength;
+  });
+  view.log = view.log
+    .filter(e => e.type !== EVENT_TYPES.HOLE_CARDS || visible(e.playerIndex))
+    .map(e => withoutSeeds(e.type === EVENT_TYPES.BURN ? { ...e, card: null } : e));
+  return view;
+};
+
+/**
+ * createTable(options) -> { attach(connection), getState(), getSeats(), close() }
+ * options: {
+ *   seats = ['human', 'human', 'adaptive'] ('human' or a strategy name per seat),
+ *   stack = 1000, sbAmount = 10, bbAmount = 20, anteAmount = 0, variant, bettingStructure, seed,
+ *   botDelayMs = 800, handDelayMs = 3000, absentTimeoutMs = 10000, reconnectGraceMs = 60000
+ * }
+ * A connection is anything with send(text), close() and 'message' / 'close'
+ * events (webSocket.js connections).
+ */
+export const createTable = ({
+  seats = [HUMAN_SEAT, HUMAN_SEAT, 'adaptive'],
+  stack = 1000,
+  sbAmount = 10,
+  bbAmount = 20,
+  anteAmount = 0,
+  variant,
+  bettingStructure,
+  seed,
+  botDelayMs = 800,
+  handDelayMs = 3000,
+  absentTimeoutMs = 10000,
+  reconnectGraceMs = 60000,
+} = {}) => {
+  if (seats.length < 2) throw new Error('A table needs at least two seats');
+  seats.filter(s => s !== HUMAN_SEAT).forEach(getStrategy); // unknown names fail up front
+  const players = createPlayers(seats.length, stack).map((p, i) => ({
+    ...p,
+    name: seats[i] === HUMAN_SEAT ? `Seat ${i + 1}` : `Bot ${i + 1}`,
+    isHuman: seats[i] === HUMAN_SEAT,
+    strategy: seats[i] === HUMAN_SEAT ? null : seats[i],
+  }));
+  let state = createInitialGameState({ players, sbAmount, bbAmount, anteAmount, variant, bettingStructure, seed });
+  let stats = createPlayerStats();
+  let handsStarted = 0;
+  let turnTimer = null;
+  let handTimer = null;
+  let closed = false;
+  // Human seats: who holds them (token), and their live connection if any
+  const humans = new Map();
+  seats.forEach((s, i) => {
+    if (s === HUMAN_SEAT) humans.set(i, { token: null, connection: null, graceTimer: null });
+  });
+
+  const send = (connection, message) => connection.send(JSON.stringify(message));
+
+  const getSeats = () => seats.map((s, i) => ({
+    seat: i,
+    name: state.players[i].name,
+    kind: s === HUMAN_SEAT ? HUMAN_SEAT : 'bot',
+    strategy: s === HUMAN_SEAT ? null : s,
+    open: s === HUMAN_SEAT && !humans.get(i).token,
+    connected: s === HUMAN_SEAT ? Boolean(humans.get(i).connection) : true,
+  }));
+
+  const broadcast = () => {
+    const seatList = getSeats();
+    humans.forEach((h, i) => {
+      if (!h.connection) return;
+      const yourTurn = !state.handOver && state.betting.currentActorIndex === i;
+      send(h.connection, { type: 'state', seat: i, state: createClientState(state, i), legal: yourTurn ? getLegalActions(state, i) : null, seats: seatList });
+    });
+  };
+
+  const ready = () => [...humans.values()].every(h => h.token) && state.players.filter(p => p.stack > 0).length >= 2;
+
+  // Whoever acts next: bots after a pause, absent humans by the fallback, present humans by message
+  const schedule = () => {
+    clearTimeout(turnTimer);
+    turnTimer = null;
+    if (closed) return;
+    if (state.handOver || state.phase === 'idle') {
+      if (!handTimer && ready()) handTimer = setTimeout(startNextHand, handsStarted ? handDelayMs : 0);
+      return;
+    }
+    const i = state.betting.currentActorIndex;
+    if (i < 0) return;
+    if (seats[i] !== HUMAN_SEAT) {
+      turnTimer = setTimeout(() => {
+        const result = act(i, decideAction(state, i, { stats }));
+        // e.g. a fixed-limit raise past the cap: take the free option rather than stall
+        if (!result.ok) act(i, fallbackAction(result.error.legal));
+      }, botDelayMs);
+    } else if (!humans.get(i).connection) {
+      turnTimer = setTimeout(() => act(i, fallbackAction(getLegalActions(state, i))), absentTimeoutMs);
+    }
+  };
+
+  const update = (next) => {
+    state = next;
+    if (state.handOver) stats = recordHand(stats, state.log);
+    broadcast();
+    schedule();
+  };
+
+  const act = (i, { action, amount = 0 }) => {
+    const result = tryApplyAction(state, i, action, amount);
+    if (result.ok) update(result.state);
+    return result;
+  };
+
+  const startNextHand = () => {
+    handTimer = null;
+    if (closed || !ready()) return;
+    const next = startHand(handsStarted ? moveButton(state) : state);
+    handsStarted++;
+    update(next);
+  };
+
+  const rename = (i, name) => {
+    state = { ...state, players: state.players.map((p, j) => (j === i ? { ...p, name } : p)) };
+  };
+
+  const join = (connection, { name, token }) => {
+    const held = token && [...humans.entries()].find(([, h]) => h.token === token);
+    if (held) {
+      const [i, h] = held;
+      clearTimeout(h.graceTimer);
+      h.graceTimer = null;
+      const previous = h.connection;
+      h.connection = connection;
+      if (previous) previous.close(4000, 'Replaced by a newer connection');
+      send(connection, { type: 'welcome', seat: i, token, reconnected: true });
+      return i;
+    }
+    const free = [...humans.entries()].find(([, h]) => !h.token);
+    if (!free) {
+      send(connection, { type: 'error', code: 'table_full', message: 'Every seat is taken' });
+      connection.close(4001, 'Table full');
+      return null;
+    }
+    const [i, h] = free;
+    h.token = randomUUID();
+    h.connection = connection;
+    rename(i, String(name || '').trim().slice(0, 24) || `Seat ${i + 1}`);
+    send(connection, { type: 'welcome', seat: i, token: h.token, reconnected: false });
+    return i;
+  };
+
+  const attach = (connection) => {
+    let seat = null;
+    connection.on('message', (text) => {
+      let message;
+      try {
+        message = JSON.parse(text);
+      } catch {
+        send(connection, { type: 'error', code: 'bad_message', message: 'Messages must be JSON' });
+        return;
+      }
+      if (message?.type === 'join') {
+        if (seat !== null) {
+          send(connection, { type: 'error', code: 'already_joined', message: `You already sit in seat ${seat}` });
+          return;
+        }
+        seat = join(connection, message);
+        if (seat === null) return;
+        broadcast();
+        schedule();
+      } else if (message?.type === 'action') {
+        if (seat === null) {
+          send(connection, { type: 'error', code: 'not_joined', message: 'Join the table first' });
+          return;
+        }
+        // The engine clamps amounts, so anything but a number stops here
+        const { action, amount = 0 } = message;
+        if (typeof amount !== 'number' || !Number.isFinite(amount) || amount < 0) {
+          const alternatives = describeLegalActions(getLegalActions(state, seat));
+          send(connection, { type: 'rejected', error: { code: ACTION_ERRORS.INVALID_AMOUNT, message: `Amount must be a number of zero or more, got ${JSON.stringify(amount)}`, alternatives } });
+          return;
+        }
+        const result = act(seat, { action, amount });
+        if (!result.ok) {
+          const { code, message: reason, alternatives } = result.error;
+          send(connection, { type: 'rejected', error: { code, message: reason, alternatives } });
+        }
+      } else {
+        send(connection, { type: 'error', code: 'bad_message', message: `Unknown message type: ${message?.type}` });
+      }
+    });
+    connection.on('close', () => {
+      const h = seat === null ? null : humans.get(seat);
+      if (!h || h.connection !== connection || closed) return;
+      h.connection = null;
+      // After the grace period the seat is open to anyone; the old token stops working
+      h.graceTimer = setTimeout(() => {
+        h.graceTimer = null;
+        h.token = null;
+        broadcast();
+      }, reconnectGraceMs);
+      broadcast();
+      schedule();
+    });
+  };
+
+  const close = () => {
+    closed = true;
+    clearTimeout(turnTimer);
+    clearTimeout(handTimer);
+    humans.forEach(h => {
+      clearTimeout(h.graceTimer);
+      h.connection?.close(1001, 'Table closed');
+    });
+  };
+
+  return { attach, getState: () => state, getSeats, close };
+};
+
+/**
+ * startTableServer({ port = 8090, host = '127.0.0.1', ...createTable options })
+ *   -> Promise<{ url, table, close() -> Promise }>
+ * Listens for WebSocket clients on localhost only unless told otherwise; plain
+ * HTTP requests get a 426. port 0 picks a free port.
+ */
+export const startTableServer = ({ port = 8090, host = '127.0.0.1', ...options } = {}) => {
+  const table = createTable(options);
+  const server = createServer((req, res) => {
+    res.writeHead(426, { 'content-type': 'text/plain' }).end('This is a WebSocket poker table\n');
+  });
+  server.on('upgrade', (req, socket, head) => {
+    const connection = acceptWebSocket(req, socket, head);
+    if (connection) table.attach(connection);
+  });
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, host, () => resolve({
+      url: `ws://${host}:${server.address().port}/`,
+      table,
+      close: () => new Promise((done) => {
+        table.close();
+        server.close(done);
+        server.closeAllConnections();
+      }),
+    }));
+  });
+};
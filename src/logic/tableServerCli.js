@@ -0,0 +1,65 @@
+// Runs a networked table: the engine runs here, browsers and scripts join over WebSocket.
+// Run with: node src/logic/tableServerCli.js [options]
+//   --seats human,human,adaptive ('human' or a bot strategy per seat)
+//   --port 8090  --host 127.0.0.1 (localhost only unless a host is given)
+//   --stack 1000  --blinds 10/20  --ante 0  --seed n
+//   --bot-delay 800  --hand-delay 3000  --absent-timeout 10000  --grace 60000 (ms)
+
+import { parseArgs } from 'node:util';
+import { startTableServer } from './tableServer.js';
+
+const USAGE = 'Usage: node src/logic/tableServerCli.js [--seats human,human,adaptive] [--port n] [--host h] [--stack n] '
+  + '[--blinds sb/bb] [--ante n] [--seed n] [--bot-delay ms] [--hand-delay ms] [--absent-timeout ms] [--grace ms]';
+
+const toInt = (text, name) => {
+  const n = Number.parseInt(text, 10);
+  if (!Number.isFinite(n) || n < 0) throw new Error(`--${name} must be a whole number, got "${text}"`);
+  return n;
+};
+
+const run = async () => {
+  const { values } = parseArgs({
+    args: globalThis.process.argv.slice(2),
+    options: {
+      seats: { type: 'string', default: 'human,human,adaptive' },
+      port: { type: 'string', default: '8090' },
+      host: { type: 'string', default: '127.0.0.1' },
+      stack: { type: 'string', default: '1000' },
+      blinds: { type: 'string', default: '10/20' },
+      ante: { type: 'string', default: '0' },
+      seed: { type: 'string' },
+      'bot-delay': { type: 'string', default: '800' },
+      'hand-delay': { type: 'string', default: '3000' },
+      'absent-timeout': { type: 'string', default: '10000' },
+      grace: { type: 'string', default: '60000' },
+      help: { type: 'boolean', short: 'h', default: false },
+    },
+  });
+  if (values.help) {
+    console.log(USAGE);
+    return;
+  }
+  const [sb, bb] = values.blinds.split('/');
+  const { url, table } = await startTableServer({
+    port: toInt(values.port, 'port'),
+    host: values.host,
+    seats: values.seats.split(','),
+    stack: toInt(values.stack, 'stack'),
+    sbAmount: toInt(sb, 'blinds'),
+    bbAmount: toInt(bb ?? sb * 2, 'blinds'),
+    anteAmount: toInt(values.ante, 'ante'),
+    seed: values.seed === undefined ? undefined : toInt(values.seed, 'seed'),
+    botDelayMs: toInt(values['bot-delay'], 'bot-delay'),
+    handDelayMs: toInt(values['hand-delay'], 'hand-delay'),
+    absentTimeoutMs: toInt(values['absent-timeout'], 'absent-timeout'),
+    reconnectGraceMs: toInt(values.grace, 'grace'),
+  });
+  const open = table.getSeats().filter(s => s.open).map(s => s.seat);
+  console.log(`Table listening on ${url} (open seats: ${open.join(', ')})`);
+};
+
+run().catch((e) => {
+  console.error(e.message);
+  console.error(USAGE);
+  globalThis.process.exitCode = 2;
+});
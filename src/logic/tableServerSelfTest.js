@@ -0,0 +1,177 @@
+// Self-tests for the networked table, all on 127.0.0.1.
+// Run with: node src/logic/tableServerSelfTest.js
+
+import { ACTIONS, ACTION_ERRORS, EVENT_TYPES, PHASES, createInitialGameState, createPlayers, startHand } from './pokerLogic.js';
+import { createClientState, startTableServer } from './tableServer.js';
+import { createTableClient } from './tableClient.js';
+import { registerStrategy } from './strategies.js';
+import { connectWebSocket, openWebSocket } from './webSocket.js';
+
+function assert(cond, msg) {
+  if (!cond) throw new Error(msg);
+}
+
+// Resolves with the first message in `messages` (past or future) after `from` that matches
+const waitFor = (messages, predicate, { from = 0, timeoutMs = 3000, what = 'message' } = {}) => new Promise((resolve, reject) => {
+  const started = Date.now();
+  const poll = () => {
+    const found = messages.slice(from).find(predicate);
+    if (found) resolve(found);
+    else if (Date.now() - started > timeoutMs) reject(new Error(`Timed out waiting for ${what}`));
+    else setTimeout(poll, 5);
+  };
+  poll();
+});
+
+// A raw connection that records what it gets and checks or calls whenever it may
+const rawPlayer = async (url, join) => {
+  const connection = await connectWebSocket(url);
+  const messages = [];
+  connection.on('message', (text) => {
+    const message = JSON.parse(text);
+    messages.push(message);
+    if (message.type === 'state' && message.legal) {
+      connection.send(JSON.stringify({ type: 'action', action: message.legal.canCheck ? ACTIONS.CHECK : ACTIONS.CALL }));
+    }
+  });
+  connection.send(JSON.stringify({ type: 'join', ...join }));
+  return { connection, messages };
+};
+
+function testClientStateHidesCards() {
+  // A long seed, so finding its digits in the view means it leaked
+  const g = startHand(createInitialGameState({ players: createPlayers(3, 1000), sbAmount: 10, bbAmount: 20, seed: 2654435769 }));
+  const view = createClientState(g, 1);
+  assert(!('deck' in view) && !('seed' in view) && !('rngState' in view) && !('handSeed' in view), 'No deck or shuffle seed');
+  assert(view.players[1].holeCards.length === 2 && view.players[0].holeCards.length === 0 && view.players[0].holeCardCount === 2, 'Only the own cards');
+  assert(view.players[2].hand.length === 0, 'Legacy hand field is hidden too');
+  const ids = [0, 2].flatMap(i => g.players[i].holeCards.map(c => c.id));
+  assert(ids.every(id => !JSON.stringify(view).includes(`"${id}"`)), 'No opponent card id anywhere in the view');
+  assert(view.log.filter(e => e.type === EVENT_TYPES.HOLE_CARDS).every(e => e.playerIndex === 1), 'Only the own HOLE_CARDS event');
+  const text = JSON.stringify(view);
+  assert(!text.includes(String(g.handSeed)) && !/seed|rng/i.test(text), 'No shuffle seed anywhere, the log included');
+  assert(g.players[0].holeCards.length === 2, 'The server state is untouched');
+}
+
+async function testNetworkedTable() {
+  const server = await startTableServer({
+    port: 0,
+    seats: ['human', 'human', 'station'],
+    seed: 7,
+    botDelayMs: 5,
+    handDelayMs: 20,
+    absentTimeoutMs: 50,
+    reconnectGraceMs: 1000,
+  });
+  const sockets = [];
+  let ann = null;
+  const annStates = [];
+  try {
+    const http = await fetch(server.url.replace('ws:', 'http:'));
+    assert(http.status === 426, `Plain HTTP is refused: ${http.status}`);
+
+    const welcomes = [];
+    ann = createTableClient(server.url, {
+      name: 'Ann',
+      retryMs: 20,
+      connect: (url) => {
+        const socket = openWebSocket(url);
+        sockets.push(socket);
+        return socket;
+      },
+      onWelcome: (message) => welcomes.push(message),
+      onState: (message) => {
+        annStates.push(message);
+        if (message.legal) ann.act(message.legal.canCheck ? ACTIONS.CHECK : ACTIONS.CALL);
+      },
+    });
+    await waitFor(welcomes, m => m.seat === 0, { what: 'Ann seated' });
+    // One human seat is still open, so nothing is dealt yet
+    await new Promise(resolve => setTimeout(resolve, 50));
+    assert(annStates.every(m => m.state.phase === 'idle'), 'No hand before the table is full');
+
+    const bob = await rawPlayer(server.url, { name: 'Bob' });
+    const bobWelcome = await waitFor(bob.messages, m => m.type === 'welcome', { what: 'Bob seated' });
+    assert(bobWelcome.seat === 1 && bobWelcome.token && !bobWelcome.reconnected, 'Bob takes seat 1');
+    const seatList = (await waitFor(annStates, m => m.seats[1].name === 'Bob', { what: 'seat list' })).seats;
+    assert(seatList[0].name === 'Ann' && seatList[2].kind === 'bot' && !seatList[1].open, `Seat list: ${JSON.stringify(seatList)}`);
+
+    // Every view of a running hand shows only the own cards
+    const preflop = await waitFor(annStates, m => m.state.phase === PHASES.PREFLOP, { what: 'a dealt hand' });
+    assert(preflop.state.players[0].holeCards.length === 2 && preflop.state.players[1].holeCards.length === 0, 'Ann sees only her cards');
+    assert(!('deck' in preflop.state), 'No deck goes out');
+    assert(preflop.legal === null || preflop.state.betting.currentActorIndex === 0, 'Legal actions only on your turn');
+
+    // Acting out of turn is refused with the engine's reason
+    const notBobs = bob.messages.findLast(m => m.type === 'state' && m.state.betting.currentActorIndex !== 1 && !m.state.handOver);
+    if (notBobs) {
+      bob.connection.send(JSON.stringify({ type: 'action', action: ACTIONS.FOLD }));
+      const rejected = await waitFor(bob.messages, m => m.type === 'rejected', { what: 'a rejection' });
+      assert(rejected.error.code && rejected.error.message, 'Rejections carry a code and a message');
+    }
+    const sent = bob.messages.length;
+    bob.connection.send(JSON.stringify({ type: 'action', action: ACTIONS.RAISE, amount: null }));
+    const nan = await waitFor(bob.messages, m => m.type === 'rejected', { what: 'an amount rejection', from: sent });
+    assert(nan.error.code === ACTION_ERRORS.INVALID_AMOUNT, `Amounts must be numbers: ${JSON.stringify(nan.error)}`);
+    assert(server.table.getState().players.every(p => Number.isFinite(p.stack)), 'No stack turns into NaN');
+    bob.connection.send('not json');
+    await waitFor(bob.messages, m => m.type === 'error' && m.code === 'bad_message', { what: 'bad_message' });
+
+    // Checking and calling down reaches a showdown, where cards are revealed
+    const shown = await waitFor(annStates, m => m.state.handOver && m.state.log.some(e => e.type === EVENT_TYPES.SHOWDOWN), { what: 'a showdown' });
+    const showdowns = shown.state.log.filter(e => e.type === EVENT_TYPES.SHOWDOWN);
+    assert(showdowns.every(e => shown.state.players[e.playerIndex].holeCards.length === 2), 'Shown hands are visible');
+    assert(shown.state.log.filter(e => e.type === EVENT_TYPES.BURN).every(e => e.card === null), 'Burn cards stay hidden');
+
+    // A third player finds the table full
+    const late = await rawPlayer(server.url, { name: 'Cat' });
+    await waitFor(late.messages, m => m.type === 'error' && m.code === 'table_full', { what: 'table_full' });
+
+    // Ann's connection drops: the client rejoins with its token and keeps seat 0
+    sockets[0].close();
+    const rejoined = await waitFor(welcomes, m => m.reconnected, { what: 'Ann reconnected' });
+    assert(rejoined.seat === 0 && ann.getSeat() === 0 && sockets.length === 2, 'Same seat after reconnecting');
+
+    // Bob leaves: his turns check or fold by themselves and play goes on
+    const handBefore = server.table.getState().handNumber;
+    const seen = annStates.length;
+    bob.connection.close();
+    const away = await waitFor(annStates, m => m.seats[1].connected === false, { what: 'Bob away', from: seen });
+    assert(!away.seats[1].open, 'An away seat is held for its player');
+    await waitFor(annStates, m => m.state.handNumber >= handBefore + 2, { what: 'hands without Bob', from: seen });
+
+    // After the grace period the seat is open again, and a newcomer gets it
+    await waitFor(annStates, m => m.seats[1].open, { what: 'seat 1 released', from: seen });
+    const dan = await rawPlayer(server.url, { name: 'Dan', token: bobWelcome.token });
+    const danWelcome = await waitFor(dan.messages, m => m.type === 'welcome', { what: 'Dan seated' });
+    assert(danWelcome.seat === 1 && !danWelcome.reconnected && danWelcome.token !== bobWelcome.token, 'A released seat goes to a new player');
+    dan.connection.close();
+  } finally {
+    ann?.close();
+    await server.close();
+  }
+}
+
+async function testRejectedBotMovesFallBack() {
+  // A bot whose every move the engine refuses must not stall the table
+  registerStrategy({ name: 'test-illegal', label: 'Illegal', description: 'Always dances', decide: () => ({ action: 'dance', amount: 0 }) });
+  const server = await startTableServer({ port: 0, seats: ['human', 'test-illegal'], seed: 3, botDelayMs: 5, handDelayMs: 5 });
+  try {
+    const ann = await rawPlayer(server.url, { name: 'Ann' });
+    await waitFor(ann.messages, m => m.type === 'state' && m.state.handNumber >= 3, { what: 'hands against the illegal bot' });
+    ann.connection.close();
+  } finally {
+    await server.close();
+  }
+}
+
+try {
+  testClientStateHidesCards();
+  await testRejectedBotMovesFallBack();
+  await testNetworkedTable();
+  console.log('Table server self-tests: OK');
+} catch (e) {
+  console.error('Table server self-tests: FAILED');
+  console.error(e);
+  globalThis.process.exitCode = 1;
+}
@@ -0,0 +1,224 @@
+// src/logic/webSocket.js
+// Just enough WebSocket (RFC 6455) on node:http for the table server: text
+// messages, ping/pong and close, both ends. Browsers use their own WebSocket.
+// A connection is an EventEmitter with send(text) and close(code, reason) that
+// emits 'message' (text) and 'close' (once).
+
+import { Buffer } from 'node:buffer';
+import { EventEmitter } from 'node:events';
+import { createHash, randomBytes } from 'node:crypto';
+import { request as httpRequest } from 'node:http';
+
+const GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const MAX_MESSAGE_BYTES = 1 << 20;
+
+const OPCODES = {
+  CONTINUATION: 0x0,
+  TEXT: 0x1,
+  BINARY: 0x2,
+  CLOSE: 0x8,
+  PING: 0x9,
+  PONG: 0xa,
+};
+
+const acceptKey = (key) => createHash('sha1').update(key + GUID).digest('base64');
+
+// Clients mask what they send, servers don't
+const encodeFrame = (opcode, payload, masked) => {
+  const length = payload.length;
+  const extended = length < 126 ? 0 : length < 65536 ? 2 : 8;
+  const header = Buffer.alloc(2 + extended + (masked ? 4 : 0));
+  header[0] = 0x80 | opcode;
+  header[1] = (masked ? 0x80 : 0) | (extended === 0 ? length : extended === 2 ? 126 : 127);
+  if (extended === 2) header.writeUInt16BE(length, 2);
+  if (extended === 8) header.writeBigUInt64BE(BigInt(length), 2);
+  if (!masked) return Buffer.concat([header, payload]);
+  const mask = randomBytes(4);
+  mask.copy(header, 2 + extended);
+  const body = Buffer.from(payload);
+  for (let i = 0; i < body.length; i++) body[i] ^= mask[i % 4];
+  return Buffer.concat([header, body]);
+};
+
+// Next whole frame at the start of `buffer`, or null if more bytes are needed
+const decodeFrame = (buffer) => {
+  if (buffer.length < 2) return null;
+  const fin = Boolean(buffer[0] & 0x80);
+  const opcode = buffer[0] & 0x0f;
+  const masked = Boolean(buffer[1] & 0x80);
+  let length = buffer[1] & 0x7f;
+  let offset = 2;
+  if (length === 126) {
+    if (buffer.length < 4) return null;
+    length = buffer.readUInt16BE(2);
+    offset = 4;
+  } else if (length === 127) {
+    if (buffer.length < 10) return null;
+    length = Number(buffer.readBigUInt64BE(2));
+    offset = 10;
+  }
+  const maskAt = offset;
+  if (masked) offset += 4;
+  if (buffer.length < offset + length) return length > MAX_MESSAGE_BYTES ? { tooBig: true } : null;
+  const payload = Buffer.from(buffer.subarray(offset, offset + length));
+  if (masked) {
+    for (let i = 0; i < payload.length; i++) payload[i] ^= buffer[maskAt + (i % 4)];
+  }
+  return { fin, opcode, payload, size: offset + length };
+};
+
+// Wraps an upgraded socket; `masked` is true on the client end
+const wrapSocket = (socket, { masked }) => {
+  const connection = new EventEmitter();
+  let buffered = Buffer.alloc(0);
+  let fragments = [];
+  let closed = false;
+
+  const finish = () => {
+    if (closed) return;
+    closed = true;
+    socket.destroy();
+    connection.emit('close');
+  };
+  const write = (opcode, payload) => {
+    if (!closed && socket.writable) socket.write(encodeFrame(opcode, payload, masked));
+  };
+  const close = (code = 1000, reason = '') => {
+    if (closed) return;
+    const payload = Buffer.alloc(2 + Buffer.byteLength(reason));
+    payload.writeUInt16BE(code, 0);
+    payload.write(reason, 2);
+    write(OPCODES.CLOSE, payload);
+    socket.end();
+    finish();
+  };
+
+  const onData = (chunk) => {
+    buffered = Buffer.concat([buffered, chunk]);
+    for (let frame = decodeFrame(buffered); frame; frame = decodeFrame(buffered)) {
+      if (frame.tooBig) {
+        close(1009, 'Message too big');
+        return;
+      }
+      buffered = buffered.subarray(frame.size);
+      if (frame.opcode === OPCODES.CLOSE) {
+        close(frame.payload.length >= 2 ? frame.payload.readUInt16BE(0) : 1000);
+        return;
+      }
+      if (frame.opcode === OPCODES.PING) write(OPCODES.PONG, frame.payload);
+      if (frame.opcode === OPCODES.BINARY) {
+        close(1003, 'Text messages only');
+        return;
+      }
+      if (frame.opcode === OPCODES.TEXT || frame.opcode === OPCODES.CONTINUATION) {
+        fragments.push(frame.payload);
+        if (frame.fin) {
+          const text = Buffer.concat(fragments).toString('utf8');
+          fragments = [];
+          connection.emit('message', text);
+        }
+      }
+    }
+  };
+
+  socket.on('data', onData);
+  socket.on('end', finish);
+  socket.on('close', finish);
+  socket.on('error', finish);
+  connection.send = (text) => write(OPCODES.TEXT, Buffer.from(String(text), 'utf8'));
+  connection.close = close;
+  connection.isOpen = () => !closed;
+  connection.feed = onData; // bytes that arrived with the upgrade itself
+  return connection;
+};
+
+/**
+ * acceptWebSocket(req, socket, head) -> connection, or null
+ * For an http server's 'upgrade' event; anything but a WebSocket handshake gets a 400.
+ */
+export const acceptWebSocket = (req, socket, head = Buffer.alloc(0)) => {
+  const key = req.headers['sec-websocket-key'];
+  if (!key || String(req.headers.upgrade).toLowerCase() !== 'websocket') {
+    socket.end('HTTP/1.1 400 Bad Request\r\nConnection: close\r\n\r\n');
+    return null;
+  }
+  socket.write([
+    'HTTP/1.1 101 Switching Protocols',
+    'Upgrade: websocket',
+    'Connection: Upgrade',
+    `Sec-WebSocket-Accept: ${acceptKey(key)}`,
+  ].join('\r\n') + '\r\n\r\n');
+  const connection = wrapSocket(socket, { masked: false });
+  // Once the caller has had a chance to listen
+  if (head.length) setTimeout(() => connection.feed(head), 0);
+  return connection;
+};
+
+// connectWebSocket(url) -> Promise<connection>; the Node end of a client
+export const connectWebSocket = (url) => new Promise((resolve, reject) => {
+  const { hostname, port, pathname, search } = new URL(url);
+  const key = randomBytes(16).toString('base64');
+  const req = httpRequest({
+    host: hostname,
+    port,
+    path: pathname + search,
+    headers: { Connection: 'Upgrade', Upgrade: 'websocket', 'Sec-WebSocket-Key': key, 'Sec-WebSocket-Version': '13' },
+  });
+  req.on('upgrade', (res, socket, head) => {
+    if (res.headers['sec-websocket-accept'] !== acceptKey(key)) {
+      socket.destroy();
+      reject(new Error(`${url} answered with a bad WebSocket accept key`));
+      return;
+    }
+    const connection = wrapSocket(socket, { masked: true });
+    if (head.length) setTimeout(() => connection.feed(head), 0);
+    resolve(connection);
+  });
+  req.on('response', (res) => {
+    res.resume();
+    reject(new Error(`${url} refused the WebSocket upgrade (HTTP ${res.statusCode})`));
+  });
+  req.on('error', reject);
+  req.end();
+});
+
+/**
+ * openWebSocket(url) -> socket with the browser WebSocket shape
+ * (readyState, send, close, onopen/onmessage({ data })/onclose/onerror), so
+ * browser-side code like tableClient.js runs in Node too.
+ */
+export const openWebSocket = (url) => {
+  let connection = null;
+  let closeRequested = false;
+  const socket = {
+    readyState: 0,
+    onopen: null,
+    onmessage: null,
+    onclose: null,
+    onerror: null,
+    send: (text) => connection?.send(text),
+    close: () => {
+      closeRequested = true;
+      connection?.close();
+    },
+  };
+  connectWebSocket(url).then((c) => {
+    connection = c;
+    c.on('message', data => socket.onmessage?.({ data }));
+    c.on('close', () => {
+      socket.readyState = 3;
+      socket.onclose?.({});
+    });
+    if (closeRequested) {
+      c.close();
+      return;
+    }
+    socket.readyState = 1;
+    socket.onopen?.({});
+  }, (e) => {
+    socket.readyState = 3;
+    socket.onerror?.(e);
+    socket.onclose?.({});
+  });
+  return socket;
+};